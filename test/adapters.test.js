@@ -0,0 +1,162 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE files (id INTEGER PRIMARY KEY, name TEXT, content BLOB);"
+    + "INSERT INTO files VALUES (1, 'a', X'00FF10'), (2, 'b', NULL);";
+
+// The native drivers are optional dependencies, so the tests of their adapters are skipped if they are not installed
+var MODULES = {
+    betterSqlite3: requireOptional("better-sqlite3"),
+    nodeSqlite3: requireOptional("sqlite3")
+};
+
+var ADAPTERS = {
+    sqlJs: async function(){
+        return (await helpers.openDb()).db;
+    },
+    betterSqlite3: async function(){
+        var Database = MODULES.betterSqlite3;
+        return sqlitePorter.adapters.betterSqlite3(new Database(":memory:"));
+    },
+    nodeSqlite3: async function(){
+        var sqlite3 = MODULES.nodeSqlite3;
+        return sqlitePorter.adapters.nodeSqlite3(new sqlite3.Database(":memory:"));
+    }
+};
+
+// Returns a module, or null if it is not installed
+function requireOptional(name){
+    try{
+        return require(name);
+    }catch(e){
+        if(e.code === "MODULE_NOT_FOUND") return null;
+        throw e;
+    }
+}
+
+// Executes a transaction, resolving once it has been committed or rejecting with the error with which it was rolled back
+function transaction(db, callback){
+    return new Promise(function(resolve, reject){
+        db.transaction(callback, reject, resolve);
+    });
+}
+
+async function queryNames(db){
+    var rows = (await sqlitePorter.exportDbToJson(db, {dataOnly: true, tables: ["files"]})).json.data.inserts.files || [];
+    return rows.map(function(row){
+        return row.name;
+    });
+}
+
+async function openDb(name){
+    var db = await ADAPTERS[name]();
+    await sqlitePorter.importSqlToDb(db, SCHEMA);
+    return db;
+}
+
+async function readContent(db){
+    var result = await sqlitePorter.exportDbToJson(db, {dataOnly: true, typed: true});
+    return result.json.data.inserts.files.map(function(row){
+        return row.content;
+    });
+}
+
+Object.keys(ADAPTERS).forEach(function(name){
+    var skip = MODULES.hasOwnProperty(name) && !MODULES[name] ? name + " is not installed" : false;
+
+    test(name + ": transactions execute statements in order and commit them", {skip: skip}, async function(){
+        var db = await openDb(name), results = [];
+        await transaction(db, function(tx){
+            tx.executeSql("INSERT INTO files (name) VALUES (?)", ["c"], function(tx, rs){
+                results.push(rs.rowsAffected, rs.insertId);
+                tx.executeSql("UPDATE files SET name = ? WHERE id <= ?", ["d", 2], function(tx, rs){
+                    results.push(rs.rowsAffected);
+                });
+            });
+            tx.executeSql("SELECT COUNT(*) AS count FROM files", [], function(tx, rs){
+                results.push(rs.rows.length, rs.rows.item(0).count);
+            });
+        });
+        // Statements queued by callbacks are executed after those already queued
+        assert.deepStrictEqual(results, [1, 3, 1, 3, 2]);
+        assert.deepStrictEqual(await queryNames(db), ["d", "d", "c"]);
+    });
+
+    test(name + ": failed statements roll back the transaction", {skip: skip}, async function(){
+        var db = await openDb(name), statementError = null;
+        await assert.rejects(transaction(db, function(tx){
+            tx.executeSql("DELETE FROM files WHERE id = 1");
+            tx.executeSql("INSERT INTO missing VALUES (1)", [], null, function(tx, error){
+                statementError = error;
+            });
+            tx.executeSql("DELETE FROM files");
+        }), /no such table: missing/);
+        assert.match(statementError.message, /no such table: missing/);
+        assert.deepStrictEqual(await queryNames(db), ["a", "b"]);
+    });
+
+    test(name + ": errors handled by returning false do not roll back the transaction", {skip: skip}, async function(){
+        var db = await openDb(name);
+        await transaction(db, function(tx){
+            tx.executeSql("DELETE FROM files WHERE id = 1");
+            tx.executeSql("INSERT INTO missing VALUES (1)", [], null, function(){
+                return false;
+            });
+        });
+        assert.deepStrictEqual(await queryNames(db), ["b"]);
+    });
+
+    test(name + ": errors thrown by callbacks roll back the transaction", {skip: skip}, async function(){
+        var db = await openDb(name);
+        await assert.rejects(transaction(db, function(tx){
+            tx.executeSql("DELETE FROM files", [], function(){
+                throw new Error("callback failed");
+            });
+        }), {message: "callback failed"});
+        assert.deepStrictEqual(await queryNames(db), ["a", "b"]);
+
+        await assert.rejects(transaction(db, function(tx){
+            tx.executeSql("DELETE FROM files");
+            throw new Error("transaction callback failed");
+        }), {message: "transaction callback failed"});
+        assert.deepStrictEqual(await queryNames(db), ["a", "b"]);
+    });
+
+    test(name + ": executeSql() executes statements outside a transaction", {skip: skip}, async function(){
+        var db = await openDb(name);
+        var rs = await new Promise(function(resolve, reject){
+            db.executeSql("DELETE FROM files WHERE id = ?", [2], resolve, reject);
+        });
+        assert.strictEqual(rs.rowsAffected, 1);
+        await assert.rejects(new Promise(function(resolve, reject){
+            db.executeSql("SELECT * FROM missing", [], resolve, reject);
+        }), /no such table: missing/);
+        assert.deepStrictEqual(await queryNames(db), ["a"]);
+    });
+
+    test(name + ": BLOBs round-trip through untyped JSON", {skip: skip}, async function(){
+        var json = (await sqlitePorter.exportDbToJson(await openDb(name))).json;
+        assert.strictEqual(json.formatVersion, 2);
+        assert.deepStrictEqual(json.data.inserts.files[0].content, {"$blob": "AP8Q"});
+
+        var diff = await sqlitePorter.diffData(await openDb(name), json);
+        assert.deepStrictEqual(diff.data, {});
+
+        var target = await ADAPTERS[name]();
+        await sqlitePorter.importJsonToDb(target, JSON.stringify(json));
+        assert.deepStrictEqual(await readContent(target), [{"$blob": "AP8Q"}, null]);
+    });
+
+    test(name + ": BLOBs round-trip through SQL", {skip: skip}, async function(){
+        var sql = (await sqlitePorter.exportDbToSql(await openDb(name))).sql;
+        assert.ok(sql.indexOf("X'00ff10'") !== -1 || sql.indexOf("X'00FF10'") !== -1, sql);
+
+        var target = await ADAPTERS[name]();
+        await sqlitePorter.importSqlToDb(target, sql);
+        assert.deepStrictEqual(await readContent(target), [{"$blob": "AP8Q"}, null]);
+    });
+});
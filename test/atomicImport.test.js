@@ -0,0 +1,84 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE existing (id INTEGER PRIMARY KEY);"
+    + "INSERT INTO existing VALUES (1);";
+
+// JSON which creates a table and inserts a row, then fails to create an index on a missing table
+var FAILING_JSON = {
+    structure: {
+        tables: {users: "(id INTEGER PRIMARY KEY, name TEXT)"},
+        indexes: {bad: "CREATE INDEX bad ON missing (x)"}
+    },
+    data: {inserts: {users: [{id: 1, name: "a"}]}}
+};
+
+var VALID_JSON = {
+    structure: {
+        tables: {users: "(id INTEGER PRIMARY KEY, name TEXT)"},
+        indexes: {users_name: "CREATE INDEX users_name ON users (name)"}
+    },
+    data: {inserts: {users: [{id: 1, name: "a"}]}}
+};
+
+// Lists the names of the schema objects of a database
+function namesOf(raw){
+    return helpers.query(raw, "SELECT name FROM sqlite_master ORDER BY name").map(function(row){
+        return row.name;
+    });
+}
+
+test("without atomic, the data is kept if creating the indexes fails", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, FAILING_JSON), function(error){
+        assert.match(error.message, /no such table: main.missing/);
+        assert.strictEqual(error.statement, "CREATE INDEX bad ON missing (x)");
+        return true;
+    });
+    assert.deepStrictEqual(namesOf(opened.raw), ["existing", "users"]);
+});
+
+test("with atomic, the whole import is rolled back if any statement fails", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, FAILING_JSON, {atomic: true}), function(error){
+        assert.strictEqual(error.statement, "CREATE INDEX bad ON missing (x)");
+        return true;
+    });
+    assert.deepStrictEqual(namesOf(opened.raw), ["existing"]);
+
+    await sqlitePorter.importJsonToDb(opened.db, VALID_JSON, {atomic: true});
+    assert.deepStrictEqual(namesOf(opened.raw), ["existing", "users", "users_name"]);
+});
+
+test("with wipe, existing tables are dropped in the same transaction as the import", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, FAILING_JSON, {atomic: true, wipe: true}));
+    assert.deepStrictEqual(namesOf(opened.raw), ["existing"]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM existing"), [{id: 1}]);
+
+    await sqlitePorter.importJsonToDb(opened.db, VALID_JSON, {atomic: true, wipe: true});
+    assert.deepStrictEqual(namesOf(opened.raw), ["users", "users_name"]);
+});
+
+test("with dryRun, the import is always rolled back", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.importJsonToDb(opened.db, VALID_JSON, {dryRun: true, wipe: true});
+    assert.deepStrictEqual(namesOf(opened.raw), ["existing"]);
+
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, FAILING_JSON, {dryRun: true}), function(error){
+        assert.strictEqual(error.statement, "CREATE INDEX bad ON missing (x)");
+        return true;
+    });
+    assert.deepStrictEqual(namesOf(opened.raw), ["existing"]);
+
+    await sqlitePorter.importSqlToDb(opened.db, "INSERT INTO existing VALUES (2);", {dryRun: true});
+    await assert.rejects(sqlitePorter.importSqlToDb(opened.db, "INSERT INTO existing VALUES (3); INSERT INTO existing VALUES (1);", {dryRun: true}), function(error){
+        assert.strictEqual(error.statement, "INSERT INTO existing VALUES (1)");
+        return true;
+    });
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM existing"), [{id: 1}]);
+});
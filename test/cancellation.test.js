@@ -0,0 +1,82 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);"
+    + "INSERT INTO users VALUES (1, 'a'), (2, 'b'), (3, 'c');";
+
+var IMPORT_SQL = "INSERT INTO users VALUES (4, 'd');\nINSERT INTO users VALUES (5, 'e');\nINSERT INTO users VALUES (6, 'f');";
+
+function isAbortError(error){
+    assert.strictEqual(error.name, "AbortError");
+    assert.strictEqual(error.cancelled, true);
+    return true;
+}
+
+test("cancelling an import rolls it back and rejects with an AbortError", async function(){
+    var opened = await helpers.openDb(SCHEMA), counts = [];
+    var importing = sqlitePorter.importSqlToDb(opened.db, IMPORT_SQL, {
+        progressFn: function(count){
+            counts.push(count);
+            importing.cancel();
+        }
+    });
+    await assert.rejects(importing, isAbortError);
+    assert.deepStrictEqual(counts, [1]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id FROM users"), [{id: 1}, {id: 2}, {id: 3}]);
+});
+
+test("cancellation is reported to cancelFn instead of errorFn if specified", async function(){
+    var opened = await helpers.openDb(SCHEMA), handle;
+    var outcome = await new Promise(function(resolve){
+        handle = sqlitePorter.importJsonToDb(opened.db, {data: {inserts: {users: [{id: 4, name: "d"}]}}}, {
+            batchInsertSize: 1,
+            successFn: function(){
+                resolve("success");
+            },
+            errorFn: function(){
+                resolve("error");
+            },
+            cancelFn: function(){
+                resolve("cancelled");
+            }
+        });
+        handle.cancel();
+    });
+    assert.strictEqual(outcome, "cancelled");
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id FROM users"), [{id: 1}, {id: 2}, {id: 3}]);
+});
+
+test("an aborted signal cancels an export, which passes no output", async function(){
+    var opened = await helpers.openDb(SCHEMA), controller = new AbortController(), chunks = 0;
+    var exporting = sqlitePorter.exportDbToJson(opened.db, {
+        signal: controller.signal,
+        chunkSize: 1,
+        chunkFn: function(){
+            chunks++;
+            controller.abort();
+        }
+    });
+    await assert.rejects(exporting, isAbortError);
+    assert.strictEqual(chunks, 1);
+
+    await assert.rejects(sqlitePorter.exportDbToSql(opened.db, {signal: controller.signal}), isAbortError);
+});
+
+test("a signal which is already aborted cancels a wipe before it changes the database", async function(){
+    var opened = await helpers.openDb(SCHEMA), controller = new AbortController();
+    controller.abort();
+    await assert.rejects(sqlitePorter.wipeDb(opened.db, {signal: controller.signal}), isAbortError);
+    assert.strictEqual(helpers.query(opened.raw, "SELECT COUNT(*) AS count FROM users")[0].count, 3);
+});
+
+test("cancelling a completed operation has no effect", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var importing = sqlitePorter.importSqlToDb(opened.db, IMPORT_SQL);
+    assert.strictEqual(await importing, 3);
+    importing.cancel();
+    assert.strictEqual(helpers.query(opened.raw, "SELECT COUNT(*) AS count FROM users")[0].count, 6);
+});
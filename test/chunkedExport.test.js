@@ -0,0 +1,105 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);"
+    + "INSERT INTO users VALUES (1, 'a'), (2, 'b'), (3, 'c'), (4, 'd'), (5, 'e');";
+
+// Exports the database to JSON in chunks, calling pageFn(db) after each page of rows
+async function exportChunks(db, opts, pageFn){
+    var chunks = [];
+    var result = await sqlitePorter.exportDbToJson(db, Object.assign({
+        chunkSize: 2,
+        chunkFn: function(json, tableName, progress){
+            chunks.push({json: json, tableName: tableName, progress: progress});
+            if(tableName && pageFn){
+                pageFn(db, chunks.length);
+            }
+        }
+    }, opts));
+    assert.strictEqual(result.json, null);
+    return chunks;
+}
+
+// Collects the exported rows of a table from the chunks
+function rowsOf(chunks, tableName){
+    return chunks.filter(function(chunk){
+        return chunk.tableName === tableName;
+    }).reduce(function(rows, chunk){
+        return rows.concat(chunk.json.data.inserts[tableName]);
+    }, []);
+}
+
+test("tables are exported in pages of chunkSize rows between the structure and the indexes", async function(){
+    var db = (await helpers.openDb(SCHEMA + "CREATE INDEX users_name ON users (name);")).db;
+    var chunks = await exportChunks(db, {});
+    assert.deepStrictEqual(chunks.map(function(chunk){
+        return chunk.tableName;
+    }), [null, "users", "users", "users", null]);
+    assert.ok(chunks[0].json.structure.tables.users);
+    assert.deepStrictEqual(chunks.slice(1, 4).map(function(chunk){
+        return chunk.progress;
+    }), [{count: 2, totalCount: 5}, {count: 4, totalCount: 5}, {count: 5, totalCount: 5}]);
+    assert.deepStrictEqual(rowsOf(chunks, "users").map(function(row){
+        return row.id;
+    }), [1, 2, 3, 4, 5]);
+    assert.ok(chunks[4].json.structure.indexes.users_name);
+});
+
+test("rows deleted between pages do not cause later rows to be skipped", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var chunks = await exportChunks(db, {}, function(db, n){
+        if(n === 2){
+            db.transaction(function(tx){
+                tx.executeSql("DELETE FROM users WHERE id = 1");
+            });
+        }
+    });
+    assert.deepStrictEqual(rowsOf(chunks, "users").map(function(row){
+        return row.id;
+    }), [1, 2, 3, 4, 5]);
+});
+
+test("rows inserted between pages do not cause earlier rows to be exported twice", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var chunks = await exportChunks(db, {}, function(db, n){
+        if(n === 2){
+            db.transaction(function(tx){
+                tx.executeSql("INSERT INTO users VALUES (0, 'z')");
+            });
+        }
+    });
+    assert.deepStrictEqual(rowsOf(chunks, "users").map(function(row){
+        return row.id;
+    }), [1, 2, 3, 4, 5]);
+});
+
+test("tables with a column named rowid are paged by another name for the rowid", async function(){
+    var db = (await helpers.openDb("CREATE TABLE t (rowid TEXT, x INTEGER);"
+        + "INSERT INTO t VALUES ('c', 1), ('b', 2), ('a', 3);")).db;
+    var rows = rowsOf(await exportChunks(db, {}), "t");
+    assert.deepStrictEqual(rows, [{rowid: "c", x: 1}, {rowid: "b", x: 2}, {rowid: "a", x: 3}]);
+});
+
+test("WITHOUT ROWID tables are paged in primary key order", async function(){
+    var db = (await helpers.openDb("CREATE TABLE t (k TEXT PRIMARY KEY, x INTEGER) WITHOUT ROWID;"
+        + "INSERT INTO t VALUES ('c', 1), ('a', 2), ('b', 3);")).db;
+    var rows = rowsOf(await exportChunks(db, {typed: true}), "t");
+    assert.deepStrictEqual(rows, [{k: "a", x: 2}, {k: "b", x: 3}, {k: "c", x: 1}]);
+});
+
+test("orderBy and limit are applied across pages", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var rows = rowsOf(await exportChunks(db, {orderBy: "id DESC", limit: 3}), "users");
+    assert.deepStrictEqual(rows.map(function(row){
+        return row.id;
+    }), [5, 4, 3]);
+
+    rows = rowsOf(await exportChunks(db, {where: "id > ?", params: [1], limit: 3}), "users");
+    assert.deepStrictEqual(rows.map(function(row){
+        return row.id;
+    }), [2, 3, 4]);
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var childProcess = require("node:child_process");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, data BLOB, r REAL);"
+    + "INSERT INTO t (name, data, r) VALUES ('it''s', X'00FF', 1.5), (NULL, NULL, NULL);"
+    + "CREATE INDEX t_name ON t (name);"
+    + "CREATE VIEW v AS SELECT name FROM t;";
+
+// Output of the sqlite3 CLI's .dump command for a database like SCHEMA, with an FTS4 virtual table
+var DUMP = "PRAGMA foreign_keys=OFF;\n"
+    + "BEGIN TRANSACTION;\n"
+    + "CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, data BLOB, r REAL);\n"
+    + "INSERT INTO t VALUES(1,'it''s',X'00ff',1.5);\n"
+    + "INSERT INTO t VALUES(2,NULL,NULL,NULL);\n"
+    + "PRAGMA writable_schema=ON;\n"
+    + "INSERT INTO sqlite_schema(type,name,tbl_name,rootpage,sql)VALUES('table','docs','docs',0,'CREATE VIRTUAL TABLE docs USING fts4(body)');\n"
+    + "INSERT INTO sqlite_sequence VALUES('t',2);\n"
+    + "CREATE INDEX t_name ON t(name);\n"
+    + "CREATE VIEW v AS SELECT name FROM t;\n"
+    + "PRAGMA writable_schema=OFF;\n"
+    + "COMMIT;\n";
+
+var ROWS = "SELECT id, name, hex(data) AS data, r FROM t ORDER BY id";
+
+// Indicates if the sqlite3 CLI is installed
+function hasCli(){
+    return !childProcess.spawnSync("sqlite3", ["-version"]).error;
+}
+
+test("a .dump of the sqlite3 CLI is imported", async function(){
+    var opened = await helpers.openDb();
+    await sqlitePorter.importSqlToDb(opened.db, DUMP, {cliDump: true});
+    assert.deepStrictEqual(helpers.query(opened.raw, ROWS), [{id: 1, name: "it's", data: "00FF", r: 1.5}, {id: 2, name: null, data: "", r: null}]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT typeof(data) AS type FROM t WHERE id = 1"), [{type: "blob"}]);
+
+    // The AUTOINCREMENT counter continues from the dumped value
+    opened.raw.exec("DELETE FROM t WHERE id = 2; INSERT INTO t (name) VALUES ('c');");
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id FROM t WHERE name = 'c'"), [{id: 3}]);
+
+    opened.raw.exec("INSERT INTO docs VALUES ('hello world')");
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT body FROM docs WHERE docs MATCH 'hello'"), [{body: "hello world"}]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT type, name FROM sqlite_master WHERE name IN ('t_name', 'v') ORDER BY name"),
+        [{type: "index", name: "t_name"}, {type: "view", name: "v"}]);
+});
+
+test("a .dump without the cliDump option fails on its transaction statements", async function(){
+    var opened = await helpers.openDb();
+    await assert.rejects(sqlitePorter.importSqlToDb(opened.db, DUMP));
+});
+
+test(".dump-style exports are imported with the cliDump option", async function(){
+    var source = await helpers.openDb(SCHEMA);
+    var sql = (await sqlitePorter.exportDbToSql(source.db, {cliDump: true})).sql;
+    assert.match(sql, /^PRAGMA foreign_keys=OFF;\nBEGIN TRANSACTION;\n/);
+    assert.match(sql, /\nCOMMIT;\n?$/);
+    assert.match(sql, /INSERT INTO "t" VALUES\(1,'it''s',X'00FF',1\.5\);/);
+    assert.match(sql, /INSERT INTO sqlite_sequence VALUES\('t',2\);/);
+
+    var target = await helpers.openDb();
+    await sqlitePorter.importSqlToDb(target.db, sql, {cliDump: true});
+    assert.deepStrictEqual(helpers.query(target.raw, ROWS), helpers.query(source.raw, ROWS));
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM sqlite_sequence"), [{name: "t", seq: 2}]);
+});
+
+test(".dump-style exports are read by the sqlite3 CLI", {skip: !hasCli() && "the sqlite3 CLI is not installed"}, async function(){
+    var source = await helpers.openDb(SCHEMA);
+    var sql = (await sqlitePorter.exportDbToSql(source.db, {cliDump: true})).sql;
+    var result = childProcess.spawnSync("sqlite3", [":memory:"], {input: sql + "\nSELECT id || '|' || quote(name) || '|' || quote(data) || '|' || quote(r) FROM t; SELECT seq FROM sqlite_sequence;", encoding: "utf8"});
+    assert.strictEqual(result.stderr, "");
+    assert.strictEqual(result.stdout, "1|'it''s'|X'00FF'|1.5\n2|NULL|NULL|NULL\n2\n");
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, local TEXT DEFAULT 'default');"
+    + "INSERT INTO users VALUES (1, 'a', 'local');";
+
+var JSON_DATA = {data: {inserts: {users: [{id: 1, name: "b"}, {id: 2, name: "c"}]}}};
+
+// Imports JSON_DATA into a new database using a conflict strategy, returning the database
+async function importWith(opts){
+    var opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.importJsonToDb(opened.db, JSON_DATA, opts);
+    return opened;
+}
+
+function usersOf(raw){
+    return helpers.query(raw, "SELECT * FROM users ORDER BY id");
+}
+
+test("replace deletes conflicting rows and inserts the new rows", async function(){
+    var opened = await importWith({});
+    assert.deepStrictEqual(usersOf(opened.raw), [{id: 1, name: "b", local: "default"}, {id: 2, name: "c", local: "default"}]);
+    opened = await importWith({conflictStrategy: "replace"});
+    assert.deepStrictEqual(usersOf(opened.raw), [{id: 1, name: "b", local: "default"}, {id: 2, name: "c", local: "default"}]);
+});
+
+test("ignore keeps conflicting rows and inserts the others", async function(){
+    var opened = await importWith({conflictStrategy: "ignore"});
+    assert.deepStrictEqual(usersOf(opened.raw), [{id: 1, name: "a", local: "local"}, {id: 2, name: "c", local: "default"}]);
+});
+
+test("abort and fail reject the import on a conflicting row", async function(){
+    for(var strategy of ["abort", "fail"]){
+        var opened = await helpers.openDb(SCHEMA);
+        await assert.rejects(sqlitePorter.importJsonToDb(opened.db, JSON_DATA, {conflictStrategy: strategy}), /UNIQUE constraint failed: users\.id/);
+        assert.deepStrictEqual(usersOf(opened.raw), [{id: 1, name: "a", local: "local"}]);
+    }
+});
+
+test("upsert updates just the fields present in conflicting rows", async function(){
+    var opened = await importWith({conflictStrategy: "upsert"});
+    assert.deepStrictEqual(usersOf(opened.raw), [{id: 1, name: "b", local: "local"}, {id: 2, name: "c", local: "default"}]);
+
+    // The strategy and key columns may be specified per table
+    opened = await importWith({conflictStrategy: "ignore", tableOptions: {users: {conflictStrategy: "upsert", keyColumns: ["id"]}}});
+    assert.deepStrictEqual(usersOf(opened.raw), [{id: 1, name: "b", local: "local"}, {id: 2, name: "c", local: "default"}]);
+});
+
+test("upsert reads the key columns of tables created by the import from their definitions", async function(){
+    var definitions = {
+        "(\"first name\" TEXT, last TEXT, note TEXT, extra TEXT, CONSTRAINT pk PRIMARY KEY (\"first name\" COLLATE NOCASE, last DESC))": ["first name", "last"],
+        "(\"first name\" TEXT PRIMARY KEY ON CONFLICT ABORT, last TEXT, note TEXT, extra TEXT)": ["first name"],
+        "(\"first name\" TEXT, last TEXT CHECK (last <> 'PRIMARY KEY'), note TEXT, extra TEXT, UNIQUE ([first name], last))": ["first name", "last"]
+    };
+    for(var definition in definitions){
+        var opened = await helpers.openDb();
+        await sqlitePorter.importJsonToDb(opened.db, {
+            structure: {tables: {people: definition}},
+            data: {inserts: {people: [
+                {"first name": "a", last: "b", note: "first", extra: "kept"},
+                {"first name": "a", last: "b", note: "second"}
+            ]}}
+        }, {conflictStrategy: "upsert"});
+        assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM people"), [{"first name": "a", last: "b", note: "second", extra: "kept"}], definition);
+    }
+});
+
+test("upsert fails if a table has no key columns", async function(){
+    var opened = await helpers.openDb();
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, {
+        structure: {tables: {t: "(x TEXT)"}},
+        data: {inserts: {t: [{x: "a"}]}}
+    }, {conflictStrategy: "upsert"}), /Unable to determine key columns for upsert into table 't'/);
+});
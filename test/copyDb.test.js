@@ -0,0 +1,60 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("node:fs");
+var os = require("node:os");
+var path = require("node:path");
+var Database = require("better-sqlite3");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SOURCE_SCHEMA = "CREATE TABLE parents (id INTEGER PRIMARY KEY, name TEXT);"
+    + "INSERT INTO parents VALUES (1, 'new'), (2, 'added');";
+
+var TARGET_SCHEMA = "PRAGMA foreign_keys = ON;"
+    + "CREATE TABLE parents (id INTEGER PRIMARY KEY, name TEXT, notes TEXT);"
+    + "CREATE TABLE children (id INTEGER PRIMARY KEY, parent_id INTEGER REFERENCES parents(id) ON DELETE CASCADE);"
+    + "INSERT INTO parents VALUES (1, 'old', 'kept');"
+    + "INSERT INTO children VALUES (10, 1);";
+
+function assertMerged(target){
+    assert.deepStrictEqual(target.prepare("SELECT * FROM parents ORDER BY id").all(), [
+        {id: 1, name: "new", notes: "kept"},
+        {id: 2, name: "added", notes: null}
+    ]);
+    assert.deepStrictEqual(target.prepare("SELECT * FROM children").all(), [{id: 10, parent_id: 1}]);
+}
+
+test("merge mode updates existing rows without resetting other columns or cascading deletes", async function(){
+    var source = (await helpers.openDb(SOURCE_SCHEMA)).db;
+    var target = new Database(":memory:");
+    target.exec(TARGET_SCHEMA);
+    var count = await sqlitePorter.copyDb(source, sqlitePorter.adapters.betterSqlite3(target), {mode: "merge"});
+    assert.strictEqual(count, 2);
+    assertMerged(target);
+});
+
+test("merge mode updates existing rows by primary key when copying from an attached database", async function(){
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "sqlitePorter-")), file = path.join(dir, "source.db");
+    try{
+        var source = new Database(file);
+        source.exec(SOURCE_SCHEMA);
+        source.close();
+        var target = new Database(":memory:");
+        target.exec(TARGET_SCHEMA);
+        var count = await sqlitePorter.copyDb(null, sqlitePorter.adapters.betterSqlite3(target), {mode: "merge", attach: file});
+        assert.strictEqual(count, 2);
+        assertMerged(target);
+        target.close();
+    }finally{
+        fs.rmSync(dir, {recursive: true, force: true});
+    }
+});
+
+test("merge mode replaces conflicting rows of tables without a primary key", async function(){
+    var source = (await helpers.openDb("CREATE TABLE tags (name TEXT UNIQUE, colour TEXT); INSERT INTO tags VALUES ('a', 'red');")).db;
+    var opened = await helpers.openDb("CREATE TABLE tags (name TEXT UNIQUE, colour TEXT); INSERT INTO tags VALUES ('a', 'blue');");
+    await sqlitePorter.copyDb(source, opened.db);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM tags"), [{name: "a", colour: "red"}]);
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+// The pure-JS implementations used if WebCrypto is not available
+var internal = helpers.loadPrivate(["sha256", "hmacSha256", "pbkdf2Sha256", "aesGcm"]);
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);"
+    + "INSERT INTO users VALUES (1, 'a'), (2, 'b');";
+
+function hex(bytes){
+    return Buffer.from(bytes).toString("hex");
+}
+
+function bytes(hexString){
+    return new Uint8Array(Buffer.from(hexString, "hex"));
+}
+
+function ascii(string){
+    return new Uint8Array(Buffer.from(string, "latin1"));
+}
+
+// Runs fn with WebCrypto unavailable, so the pure-JS implementations are used
+async function withoutSubtleCrypto(fn){
+    var descriptor = Object.getOwnPropertyDescriptor(globalThis, "crypto");
+    Object.defineProperty(globalThis, "crypto", {value: {getRandomValues: crypto.getRandomValues.bind(crypto)}, configurable: true, writable: true});
+    try{
+        return await fn();
+    }finally{
+        Object.defineProperty(globalThis, "crypto", descriptor);
+    }
+}
+
+function pbkdf2(password, salt, iterations){
+    return new Promise(function(resolve){
+        internal.pbkdf2Sha256(ascii(password), ascii(salt), iterations, resolve);
+    });
+}
+
+function aesGcm(key, iv, input, decrypt){
+    return withoutSubtleCrypto(function(){
+        return new Promise(function(resolve, reject){
+            internal.aesGcm(bytes(key), bytes(iv), bytes(input), decrypt, resolve, reject);
+        });
+    });
+}
+
+async function createEnvelope(opts){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    return JSON.parse((await sqlitePorter.exportDbToJson(db, {envelope: Object.assign({compression: "none"}, opts)})).json);
+}
+
+test("SHA-256 matches the FIPS 180 examples", function(){
+    assert.strictEqual(hex(internal.sha256(ascii("abc"))), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+    assert.strictEqual(hex(internal.sha256(ascii(""))), "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+    assert.strictEqual(hex(internal.sha256(ascii("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq"))),
+        "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1");
+    assert.strictEqual(hex(internal.sha256(ascii("a".repeat(1000000)))), "cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0");
+});
+
+test("HMAC-SHA-256 matches the RFC 4231 test cases", function(){
+    assert.strictEqual(hex(internal.hmacSha256(bytes("0b".repeat(20)), ascii("Hi There"))),
+        "b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7");
+    assert.strictEqual(hex(internal.hmacSha256(ascii("Jefe"), ascii("what do ya want for nothing?"))),
+        "5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843");
+});
+
+test("PBKDF2-HMAC-SHA-256 matches the RFC 6070 and RFC 7914 test vectors", async function(){
+    assert.strictEqual(hex(await pbkdf2("password", "salt", 1)), "120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b");
+    assert.strictEqual(hex(await pbkdf2("password", "salt", 2)), "ae4d0c95af6b46d32d0adff928f06dd02a303f8ef3c251dfd6e2d85a95474c43");
+    assert.strictEqual(hex(await pbkdf2("password", "salt", 4096)), "c5e478d59288c841aa530db6845c4c8d962893a001ce4e11a4963873aa98134a");
+    assert.strictEqual(hex(await pbkdf2("passwd", "salt", 1)), "55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc");
+    assert.strictEqual(hex(await pbkdf2("Password", "NaCl", 80000)), "4ddcd8f60b98be21830cee5ef22701f9641a4418d04c0414aeff08876b34ab56");
+});
+
+test("AES-256-GCM matches the test cases of the GCM specification", async function(){
+    var zeroKey = "00".repeat(32), zeroIv = "00".repeat(12);
+    // Test case 13
+    assert.strictEqual(hex(await aesGcm(zeroKey, zeroIv, "", false)), "530f8afbc74536b9a963b4f1c4cb738b");
+    // Test case 14
+    assert.strictEqual(hex(await aesGcm(zeroKey, zeroIv, "00".repeat(16), false)), "cea7403d4d606b6e074ec5d3baf39d18" + "d0d1c8a799996bf0265b98b5d48ab919");
+    // Test case 15
+    var key = "feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308", iv = "cafebabefacedbaddecaf888",
+        plaintext = "d9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72"
+            + "1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b391aafd255",
+        ciphertext = "522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa"
+            + "8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662898015ad",
+        tag = "b094dac5d93471bdec1a502270e3cc6c";
+    assert.strictEqual(hex(await aesGcm(key, iv, plaintext, false)), ciphertext + tag);
+    assert.strictEqual(hex(await aesGcm(key, iv, ciphertext + tag, true)), plaintext);
+
+    var tampered = ciphertext.replace(/^52/, "53") + tag;
+    await assert.rejects(aesGcm(key, iv, tampered, true));
+});
+
+test("envelopes encrypted using WebCrypto are decrypted using the pure-JS implementations", async function(){
+    var envelope = await createEnvelope({passphrase: "secret", iterations: 1000});
+    var target = await helpers.openDb();
+    await withoutSubtleCrypto(function(){
+        return sqlitePorter.importJsonToDb(target.db, envelope, {passphrase: "secret"});
+    });
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM users"), [{id: 1, name: "a"}, {id: 2, name: "b"}]);
+});
+
+test("envelopes report a wrong passphrase", async function(){
+    var envelope = await createEnvelope({passphrase: "secret", iterations: 1000});
+    await assert.rejects(sqlitePorter.unwrapEnvelope(envelope, {passphrase: "wrong"}), {message: "Failed to unwrap envelope: wrong passphrase"});
+    await withoutSubtleCrypto(async function(){
+        await assert.rejects(sqlitePorter.unwrapEnvelope(envelope, {passphrase: "wrong"}), {message: "Failed to unwrap envelope: wrong passphrase"});
+    });
+    await assert.rejects(sqlitePorter.unwrapEnvelope(envelope), {message: "Failed to unwrap envelope: the envelope is encrypted; specify the passphrase option to decrypt it"});
+});
+
+test("envelopes report corruption", async function(){
+    var envelope = await createEnvelope({passphrase: "secret", iterations: 1000});
+    var payload = Buffer.from(envelope.payload, "base64");
+    payload[0] ^= 1;
+    envelope.payload = payload.toString("base64");
+    await assert.rejects(sqlitePorter.unwrapEnvelope(envelope, {passphrase: "secret"}), {message: "Failed to unwrap envelope: checksum mismatch; the envelope is corrupted"});
+
+    var unencrypted = await createEnvelope();
+    unencrypted.payload = unencrypted.payload.slice(4);
+    await assert.rejects(sqlitePorter.unwrapEnvelope(unencrypted), {message: "Failed to unwrap envelope: checksum mismatch; the envelope is corrupted"});
+});
+
+test("errors thrown by callbacks are not reported as encryption failures", async function(t){
+    var key = new Uint8Array(32), iv = new Uint8Array(12), calls = 0, failures = 0, thrown = null;
+    t.mock.timers.enable({apis: ["setTimeout"]});
+    internal.aesGcm(key, iv, ascii("payload"), false, function(){
+        calls++;
+        throw new Error("callback failed");
+    }, function(){
+        failures++;
+    });
+    // WebCrypto settles asynchronously, after which the callback is called by a timer
+    for(var i = 0; i < 100 && calls === 0; i++){
+        await new Promise(setImmediate);
+        try{
+            t.mock.timers.tick(0);
+        }catch(e){
+            thrown = e;
+        }
+    }
+    await new Promise(setImmediate);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(thrown.message, "callback failed");
+    assert.strictEqual(failures, 0);
+});
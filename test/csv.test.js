@@ -0,0 +1,59 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE artists (id INTEGER PRIMARY KEY, title TEXT, note TEXT);"
+    + "INSERT INTO artists VALUES (1, 'Pink Floyd', NULL), (2, 'Crosby, Stills & Nash', ''), (3, 'The \"Band\"', 'line 1' || char(10) || 'line 2');";
+
+test("rows are exported as RFC 4180 CSV", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var result = await sqlitePorter.exportTableToCsv(db, "artists");
+    assert.strictEqual(result.count, 3);
+    assert.strictEqual(result.csv, "id,title,note\r\n"
+        + "1,Pink Floyd,\r\n"
+        + "2,\"Crosby, Stills & Nash\",\"\"\r\n"
+        + "3,\"The \"\"Band\"\"\",\"line 1\nline 2\"\r\n");
+
+    result = await sqlitePorter.exportTableToCsv(db, "artists", {delimiter: ";", header: false, lineSeparator: "\n", columns: ["title"], where: "id < ?", params: [3]});
+    assert.strictEqual(result.csv, "Pink Floyd\nCrosby, Stills & Nash\n");
+});
+
+test("exported CSV is imported unchanged", async function(){
+    var source = await helpers.openDb(SCHEMA);
+    var csv = (await sqlitePorter.exportTableToCsv(source.db, "artists")).csv;
+    var target = await helpers.openDb(SCHEMA.split("INSERT")[0]);
+    await sqlitePorter.importCsvToDb(target.db, "artists", csv);
+    var all = "SELECT id, title, note, typeof(note) AS type FROM artists ORDER BY id";
+    assert.deepStrictEqual(helpers.query(target.raw, all), helpers.query(source.raw, all));
+});
+
+test("CSV is imported into the named columns", async function(){
+    var opened = await helpers.openDb(SCHEMA.split("INSERT")[0]);
+    await sqlitePorter.importCsvToDb(opened.db, "artists", "title,id\n\"a\",1\r\n\nb,2\r", {emptyAsNull: false});
+    await sqlitePorter.importCsvToDb(opened.db, "artists", "3;c;", {header: false, delimiter: ";"});
+    await sqlitePorter.importCsvToDb(opened.db, "artists", "d,4\n", {header: false, columns: ["title", "id"], emptyAsNull: false});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM artists ORDER BY id"), [
+        {id: 1, title: "a", note: null},
+        {id: 2, title: "b", note: null},
+        {id: 3, title: "c", note: null},
+        {id: 4, title: "d", note: null}
+    ]);
+
+    await sqlitePorter.importCsvToDb(opened.db, "artists", "id,title\n1,e\n", {conflictStrategy: "upsert"});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT title FROM artists WHERE id = 1"), [{title: "e"}]);
+});
+
+test("chunked CSV export delivers the header and pages of rows", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db, chunks = [];
+    var result = await sqlitePorter.exportTableToCsv(db, "artists", {chunkSize: 2, chunkFn: function(csv, tableName, progress){
+        chunks.push([csv, tableName, progress]);
+    }});
+    assert.strictEqual(result.csv, null);
+    assert.deepStrictEqual(chunks.map(function(chunk){
+        return chunk[2];
+    }), [null, {count: 2, totalCount: 3}, {count: 3, totalCount: 3}]);
+    assert.strictEqual(chunks[0][0], "id,title,note\r\n");
+});
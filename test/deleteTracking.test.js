@@ -0,0 +1,92 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name);"
+    + "INSERT INTO users VALUES (1, 'a'), (2, 'b');";
+
+async function openTrackedDb(){
+    var opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.enableDeleteTracking(opened.db);
+    opened.raw.exec("DELETE FROM users WHERE id = 2");
+    return opened;
+}
+
+test("incremental export includes logged deletions", async function(){
+    var opened = await openTrackedDb();
+    var result = await sqlitePorter.exportDbToJson(opened.db, {watermarks: {users: 2}});
+    assert.deepStrictEqual(result.json.data.deletes, {users: [{id: 2}]});
+});
+
+test("full exports skip the deletion log and its triggers", async function(){
+    var opened = await openTrackedDb();
+    var json = (await sqlitePorter.exportDbToJson(opened.db)).json;
+    assert.deepStrictEqual(Object.keys(json.structure.tables), ["users"]);
+    assert.deepStrictEqual(Object.keys(json.data.inserts), ["users"]);
+    assert.strictEqual(json.structure.triggers, undefined);
+    var sql = (await sqlitePorter.exportDbToSql(opened.db)).sql;
+    assert.ok(sql.indexOf("sqlitePorter_deletes") === -1);
+});
+
+test("the deletion log is exported if named explicitly", async function(){
+    var opened = await openTrackedDb();
+    var json = (await sqlitePorter.exportDbToJson(opened.db, {tables: ["sqlitePorter_deletes"], dataOnly: true})).json;
+    assert.strictEqual(json.data.inserts.sqlitePorter_deletes.length, 1);
+});
+
+test("wipeDb() and copyDb() skip the deletion log", async function(){
+    var opened = await openTrackedDb();
+    var target = await helpers.openDb();
+    await sqlitePorter.copyDb(opened.db, target.db);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT type, name FROM sqlite_master"), [{type: "table", name: "users"}]);
+
+    await sqlitePorter.wipeDb(opened.db);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'sqlite_sequence'"), [{name: "sqlitePorter_deletes"}]);
+});
+
+test("user tables whose names start with the name of the deletion log are exported", async function(){
+    var opened = await openTrackedDb();
+    opened.raw.exec("CREATE TABLE sqlitePorter_deletes_archive (id INTEGER PRIMARY KEY); INSERT INTO sqlitePorter_deletes_archive VALUES (1);");
+    var json = (await sqlitePorter.exportDbToJson(opened.db)).json;
+    assert.deepStrictEqual(Object.keys(json.structure.tables).sort(), ["sqlitePorter_deletes_archive", "users"]);
+    assert.deepStrictEqual(json.data.inserts.sqlitePorter_deletes_archive, [{id: 1}]);
+    assert.strictEqual(json.structure.triggers, undefined);
+});
+
+test("rows changed since an incremental export are merged into existing rows on import", async function(){
+    var schema = "PRAGMA foreign_keys = ON;"
+        + "CREATE TABLE artists (id INTEGER PRIMARY KEY, name TEXT, local TEXT, updated INTEGER);"
+        + "CREATE TABLE albums (id INTEGER PRIMARY KEY, artist_id INTEGER REFERENCES artists (id) ON DELETE CASCADE);"
+        + "CREATE TABLE tags (name TEXT, updated INTEGER);"
+        + "INSERT INTO artists VALUES (1, 'a', 'local', 1);"
+        + "INSERT INTO albums VALUES (1, 1);"
+        + "INSERT INTO tags VALUES ('x', 1);";
+    var source = await helpers.openDb(schema), target = await helpers.openDb(schema);
+    source.raw.exec("UPDATE artists SET name = 'b', local = NULL, updated = 2 WHERE id = 1;"
+        + "INSERT INTO artists VALUES (2, 'c', NULL, 2);"
+        + "INSERT INTO tags VALUES ('y', 2);");
+    var opts = {watermarks: {artists: 1, albums: 1, tags: 1}, watermarkColumn: "updated", excludeColumns: ["local"], tableOptions: {albums: {watermarkColumn: "id"}}};
+
+    var json = (await sqlitePorter.exportDbToJson(source.db, opts)).json;
+    await sqlitePorter.importJsonToDb(target.db, json);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM artists ORDER BY id"), [
+        {id: 1, name: "b", local: "local", updated: 2},
+        {id: 2, name: "c", local: null, updated: 2}
+    ]);
+    // The album was not deleted by the update of its artist, and the table without a primary key was imported using the replace strategy
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM albums"), [{id: 1, artist_id: 1}]);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT name FROM tags ORDER BY name"), [{name: "x"}, {name: "y"}]);
+
+    // Each chunk of a chunked export is marked as incremental
+    var chunks = [];
+    await sqlitePorter.exportDbToJson(source.db, Object.assign({chunkFn: function(chunk, tableName){
+        if(tableName) chunks.push(chunk);
+    }}, opts));
+    assert.ok(chunks.length > 0);
+    chunks.forEach(function(chunk){
+        assert.deepStrictEqual(chunk.watermarks, {artists: 2, albums: 1, tags: 2});
+    });
+});
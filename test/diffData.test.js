@@ -0,0 +1,94 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, age INTEGER);"
+    + "INSERT INTO users VALUES (1, 'a', 30), (2, 'b', 40), (3, 'c', 50);"
+    + "CREATE TABLE tags (user_id INTEGER, tag TEXT);"
+    + "INSERT INTO tags VALUES (1, 'x'), (2, 'y');";
+
+var SERVER_JSON = {data: {inserts: {users: [
+    {id: 1, name: "a", age: 30},
+    {id: 2, name: "bb", age: 40},
+    {id: 4, name: "d", age: 60}
+]}}};
+
+test("rows are compared by primary key into inserts, updates and deletes", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var result = await new Promise(function(resolve, reject){
+        sqlitePorter.diffData(opened.db, JSON.stringify(SERVER_JSON), {
+            successFn: function(changes, count){
+                resolve({changes: changes, count: count});
+            },
+            errorFn: reject
+        });
+    });
+    assert.deepStrictEqual(result.changes, {data: {
+        inserts: {users: [{id: 4, name: "d", age: 60}]},
+        updates: {users: [{set: {name: "bb"}, where: {id: 2}}]},
+        deletes: {users: [{id: 3}]}
+    }});
+    assert.strictEqual(result.count, 3);
+    // The database is not modified
+    assert.strictEqual(helpers.query(opened.raw, "SELECT name FROM users WHERE id = 2")[0].name, "b");
+});
+
+test("importing the differences makes the database match the JSON structure", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var changes = await sqlitePorter.diffData(opened.db, SERVER_JSON);
+    await sqlitePorter.importJsonToDb(opened.db, changes);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM users ORDER BY id"), SERVER_JSON.data.inserts.users);
+    assert.deepStrictEqual(await sqlitePorter.diffData(opened.db, SERVER_JSON), {data: {}});
+    // Tables not in the JSON structure are neither compared nor changed
+    assert.strictEqual(helpers.query(opened.raw, "SELECT COUNT(*) AS count FROM tags")[0].count, 2);
+});
+
+test("only the fields present in the JSON structure are compared", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var changes = await sqlitePorter.diffData(opened.db, {data: {inserts: {users: [{id: 1, age: 31}, {id: 2}, {id: 3, name: "c"}]}}});
+    assert.deepStrictEqual(changes, {data: {updates: {users: [{set: {age: 31}, where: {id: 1}}]}}});
+});
+
+test("rows of tables which do not exist are all inserts", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var changes = await sqlitePorter.diffData(opened.db, {data: {inserts: {groups: [{id: 1}], users: []}}}, {tables: ["groups"]});
+    assert.deepStrictEqual(changes, {data: {inserts: {groups: [{id: 1}]}}});
+});
+
+test("typed JSON structures are compared by storage class", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var rows = [{id: 1, name: "a", age: "30"}, {id: 2, name: "b", age: 40}, {id: 3, name: "c", age: 50}];
+    assert.deepStrictEqual(await sqlitePorter.diffData(opened.db, {data: {inserts: {users: rows}}}), {data: {}});
+    assert.deepStrictEqual(await sqlitePorter.diffData(opened.db, {formatVersion: 2, data: {inserts: {users: rows}}}),
+        {formatVersion: 2, data: {updates: {users: [{set: {age: "30"}, where: {id: 1}}]}}});
+});
+
+test("rows of tables without a primary key are matched by keyColumns", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var json = {data: {inserts: {tags: [{user_id: 1, tag: "z"}, {user_id: 3, tag: "w"}]}}};
+    await assert.rejects(sqlitePorter.diffData(opened.db, json),
+        {message: "Unable to match rows of table 'tags' as it has no primary key; specify the key columns using the keyColumns option"});
+    assert.deepStrictEqual(await sqlitePorter.diffData(opened.db, json, {tableOptions: {tags: {keyColumns: ["user_id"]}}}), {data: {
+        inserts: {tags: [{user_id: 3, tag: "w"}]},
+        updates: {tags: [{set: {tag: "z"}, where: {user_id: 1}}]},
+        deletes: {tags: [{user_id: 2}]}
+    }});
+});
+
+test("only rows matching the where option are compared", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var changes = await sqlitePorter.diffData(opened.db, {data: {inserts: {users: [{id: 1, name: "a", age: 30}]}}}, {where: "age < ?", params: [45]});
+    assert.deepStrictEqual(changes, {data: {deletes: {users: [{id: 2}]}}});
+});
+
+test("invalid JSON structures are rejected", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await assert.rejects(sqlitePorter.diffData(opened.db, "{"), /^SyntaxError: Failed to parse JSON structure: /);
+    await assert.rejects(sqlitePorter.diffData(opened.db, {data: {inserts: {users: {id: 1}}}}), function(error){
+        assert.deepStrictEqual(error.problems, [{path: "data.inserts.users", message: "must be an array"}]);
+        return true;
+    });
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, age TEXT);"
+    + "CREATE TABLE log (user_id INTEGER);"
+    + "CREATE TABLE old (x);"
+    + "CREATE INDEX users_name ON users (name);"
+    + "CREATE INDEX users_age ON users (age);"
+    + "CREATE VIEW user_names AS SELECT name FROM users;"
+    + "CREATE TRIGGER users_log AFTER INSERT ON users BEGIN INSERT INTO log VALUES (new.id); END;"
+    + "INSERT INTO users VALUES (1, 'a', '20');";
+
+// Lists the schema objects of a database, other than autoindexes
+function schemaOf(raw){
+    return helpers.query(raw, "SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name");
+}
+
+test("differences are reported without changing the database", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var diff = await sqlitePorter.diffStructure(opened.db, {
+        tables: {
+            users: "(id INTEGER PRIMARY KEY, name TEXT, age TEXT, email TEXT)",
+            log: "(user_id INTEGER)",
+            orders: "(id INTEGER PRIMARY KEY)"
+        },
+        indexes: {
+            users_name: "CREATE INDEX users_name ON users (name, age)",
+            users_email: "CREATE INDEX users_email ON users (email)"
+        }
+    });
+    assert.deepStrictEqual(diff.tables.added, ["orders"]);
+    assert.deepStrictEqual(diff.tables.removed, ["old"]);
+    assert.deepStrictEqual(diff.tables.changed, {users: {columns: {added: ["email"], removed: [], changed: []}, rebuild: false}});
+    assert.deepStrictEqual(diff.indexes, {added: ["users_email"], removed: ["users_age"], changed: ["users_name"]});
+    assert.strictEqual(diff.hasChanges, true);
+    assert.strictEqual(helpers.query(opened.raw, "SELECT COUNT(*) AS count FROM sqlite_master WHERE name = 'orders'")[0].count, 0);
+
+    var json = (await sqlitePorter.exportDbToJson(opened.db)).json;
+    assert.strictEqual((await sqlitePorter.diffStructure(opened.db, json.structure)).hasChanges, false);
+});
+
+test("added columns are applied using ALTER TABLE, keeping the rows", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.diffStructure(opened.db, {
+        tables: {users: "(id INTEGER PRIMARY KEY, name TEXT, age TEXT, email TEXT DEFAULT 'none')", log: "(user_id INTEGER)", old: "(x)"},
+        indexes: {users_name: "CREATE INDEX users_name ON users (name)", users_age: "CREATE INDEX users_age ON users (age)"}
+    }, {apply: true});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM users"), [{id: 1, name: "a", age: "20", email: "none"}]);
+});
+
+test("rebuilt tables keep their rows, triggers, views and indexes", async function(){
+    var opened = await helpers.openDb(SCHEMA), before = schemaOf(opened.raw);
+    var structure = {
+        tables: {users: "(id INTEGER PRIMARY KEY, name TEXT NOT NULL, age INTEGER)", log: "(user_id INTEGER)", old: "(x)"},
+        indexes: {users_name: "CREATE INDEX users_name ON users (name DESC)"}
+    };
+    var diff = await sqlitePorter.diffStructure(opened.db, structure, {apply: true});
+    assert.strictEqual(diff.tables.changed.users.rebuild, true);
+    assert.deepStrictEqual(diff.indexes.removed, ["users_age"]);
+    assert.deepStrictEqual(schemaOf(opened.raw), before);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id, name, age, typeof(age) AS type FROM users"), [{id: 1, name: "a", age: 20, type: "integer"}]);
+    assert.match(helpers.query(opened.raw, "SELECT sql FROM sqlite_master WHERE name = 'users_name'")[0].sql, /name DESC/);
+
+    opened.raw.exec("INSERT INTO users VALUES (2, 'b', 30)");
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM log"), [{user_id: 1}, {user_id: 2}]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM user_names ORDER BY name"), [{name: "a"}, {name: "b"}]);
+
+    // With dropRemoved, the indexes and tables which are not in the JSON structure are dropped
+    structure.tables.users = "(id INTEGER PRIMARY KEY, name TEXT NOT NULL)";
+    delete structure.tables.old;
+    await sqlitePorter.diffStructure(opened.db, structure, {apply: true, dropRemoved: true});
+    assert.deepStrictEqual(schemaOf(opened.raw), [
+        {type: "index", name: "users_name"},
+        {type: "table", name: "log"},
+        {type: "table", name: "users"},
+        {type: "trigger", name: "users_log"},
+        {type: "view", name: "user_names"}
+    ]);
+});
+
+test("tables are not rebuilt while foreign keys are enforced", async function(){
+    var opened = await helpers.openDb("PRAGMA foreign_keys = ON;" + SCHEMA);
+    await assert.rejects(sqlitePorter.diffStructure(opened.db, {
+        tables: {users: "(id INTEGER PRIMARY KEY, name TEXT NOT NULL, age TEXT)", log: "(user_id INTEGER)", old: "(x)"}
+    }, {apply: true}), /Unable to rebuild table 'users' while foreign key constraints are enforced/);
+});
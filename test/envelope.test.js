@@ -0,0 +1,61 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);"
+    + "INSERT INTO users VALUES (1, 'a'), (2, 'b');";
+
+// Runs fn with a global property replaced by value, restoring it afterwards
+async function withGlobal(name, value, fn){
+    var descriptor = Object.getOwnPropertyDescriptor(globalThis, name);
+    Object.defineProperty(globalThis, name, {value: value, configurable: true, writable: true});
+    try{
+        return await fn();
+    }finally{
+        Object.defineProperty(globalThis, name, descriptor);
+    }
+}
+
+test("envelopes are not compressed by default if CompressionStream is not supported", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    await withGlobal("CompressionStream", undefined, async function(){
+        var envelope = (await sqlitePorter.exportDbToSql(db, {envelope: true})).sql;
+        assert.strictEqual(JSON.parse(envelope).compression, "none");
+
+        var target = await helpers.openDb();
+        await sqlitePorter.importSqlToDb(target.db, envelope);
+        assert.strictEqual(helpers.query(target.raw, "SELECT COUNT(*) AS count FROM users")[0].count, 2);
+
+        await assert.rejects(sqlitePorter.exportDbToSql(db, {envelope: {compression: "gzip"}}), /requires the CompressionStream API/);
+    });
+});
+
+test("envelopes are compressed with gzip by default if CompressionStream is supported", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var envelope = (await sqlitePorter.exportDbToSql(db, {envelope: true})).sql;
+    assert.strictEqual(JSON.parse(envelope).compression, "gzip");
+});
+
+test("the pure-JS key derivation yields to the event loop and matches WebCrypto", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db, ticks = 0;
+    var timer = setInterval(function(){
+        ticks++;
+    }, 0);
+    var envelope;
+    try{
+        envelope = await withGlobal("crypto", {getRandomValues: crypto.getRandomValues.bind(crypto)}, async function(){
+            return (await sqlitePorter.exportDbToJson(db, {envelope: {compression: "none", passphrase: "secret", iterations: 20000}})).json;
+        });
+    }finally{
+        clearInterval(timer);
+    }
+    assert.ok(ticks > 0);
+
+    // Decrypted using WebCrypto
+    var target = await helpers.openDb();
+    await sqlitePorter.importJsonToDb(target.db, envelope, {passphrase: "secret"});
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM users"), [{id: 1, name: "a"}, {id: 2, name: "b"}]);
+});
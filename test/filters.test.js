@@ -0,0 +1,64 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, email TEXT);"
+    + "CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER, total REAL);"
+    + "CREATE TABLE order_items (id INTEGER PRIMARY KEY, order_id INTEGER);"
+    + "CREATE TABLE tmp_cache (k TEXT);"
+    + "CREATE INDEX orders_user ON orders (user_id);"
+    + "CREATE INDEX tmp_cache_k ON tmp_cache (k);"
+    + "INSERT INTO users VALUES (1, 'a', 'a@example.com'), (2, 'b', 'b@example.com');"
+    + "INSERT INTO orders VALUES (1, 1, 10), (2, 2, 20), (3, 1, 30);"
+    + "INSERT INTO order_items VALUES (1, 1), (2, 3);"
+    + "INSERT INTO tmp_cache VALUES ('x');";
+
+test("tables and excludeTables select tables by name, glob pattern or RegExp", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var json = (await sqlitePorter.exportDbToJson(db, {tables: ["users", "order*", /^TMP_/i], excludeTables: ["order_?tems"]})).json;
+    assert.deepStrictEqual(Object.keys(json.structure.tables).sort(), ["orders", "tmp_cache", "users"]);
+    assert.deepStrictEqual(Object.keys(json.data.inserts).sort(), ["orders", "tmp_cache", "users"]);
+    // Indexes are only exported with their tables
+    assert.deepStrictEqual(Object.keys(json.structure.indexes).sort(), ["orders_user", "tmp_cache_k"]);
+
+    json = (await sqlitePorter.exportDbToJson(db, {excludeTables: [/^tmp_/, "order_items"]})).json;
+    assert.deepStrictEqual(Object.keys(json.structure.tables).sort(), ["orders", "users"]);
+    assert.deepStrictEqual(Object.keys(json.structure.indexes), ["orders_user"]);
+});
+
+test("where, params, orderBy and limit restrict the exported rows", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var json = (await sqlitePorter.exportDbToJson(db, {tables: ["orders"], where: "user_id = ?", params: [1], orderBy: "total DESC", limit: 1, dataOnly: true})).json;
+    assert.deepStrictEqual(json.data.inserts.orders, [{id: 3, user_id: 1, total: 30}]);
+});
+
+test("columns and excludeColumns restrict the exported columns", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var json = (await sqlitePorter.exportDbToJson(db, {tables: ["users"], columns: ["id", "name"], dataOnly: true})).json;
+    assert.deepStrictEqual(json.data.inserts.users, [{id: 1, name: "a"}, {id: 2, name: "b"}]);
+    json = (await sqlitePorter.exportDbToJson(db, {tables: ["users"], excludeColumns: ["email"], dataOnly: true})).json;
+    assert.deepStrictEqual(json.data.inserts.users, [{id: 1, name: "a"}, {id: 2, name: "b"}]);
+
+    await assert.rejects(sqlitePorter.exportDbToJson(db, {tables: ["users"], columns: ["email"], excludeColumns: ["email"]}),
+        /No columns selected for export from table 'users'/);
+});
+
+test("tableOptions override the options for all tables", async function(){
+    var db = (await helpers.openDb(SCHEMA)).db;
+    var sql = (await sqlitePorter.exportDbToSql(db, {
+        tables: ["users", "orders"],
+        dataOnly: true,
+        where: "user_id = ?",
+        params: [2],
+        tableOptions: {
+            users: {where: "id = ?", params: [2], excludeColumns: ["email"]}
+        }
+    })).sql;
+    var target = await helpers.openDb(SCHEMA.split("INSERT")[0]);
+    await sqlitePorter.importSqlToDb(target.db, sql);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM users"), [{id: 2, name: "b", email: null}]);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM orders"), [{id: 2, user_id: 2, total: 20}]);
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "PRAGMA foreign_keys = ON;"
+    + "CREATE TABLE posts (id INTEGER PRIMARY KEY, user_id INTEGER REFERENCES users(id), parent_id INTEGER REFERENCES posts(id));"
+    + "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);";
+
+test("rows are inserted into tables before the tables which reference them", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.importJsonToDb(opened.db, {data: {inserts: {
+        posts: [{id: 1, user_id: 1, parent_id: null}],
+        users: [{id: 1, name: "a"}]
+    }}});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id, user_id FROM posts"), [{id: 1, user_id: 1}]);
+    assert.strictEqual(helpers.query(opened.raw, "PRAGMA foreign_keys")[0].foreign_keys, 1);
+});
+
+test("disableForeignKeys allows rows referencing rows imported after them", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var sql = "INSERT INTO posts VALUES (2, 1, 1);\nINSERT INTO posts VALUES (1, 1, NULL);\nINSERT INTO users VALUES (1, 'a');";
+    await assert.rejects(sqlitePorter.importSqlToDb(opened.db, sql), /FOREIGN KEY constraint failed/);
+
+    await sqlitePorter.importSqlToDb(opened.db, sql, {disableForeignKeys: true});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id FROM posts ORDER BY id"), [{id: 1}, {id: 2}]);
+    // Foreign key enforcement is turned back on
+    assert.strictEqual(helpers.query(opened.raw, "PRAGMA foreign_keys")[0].foreign_keys, 1);
+});
+
+test("disableForeignKeys rolls back imports which leave foreign key violations", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await assert.rejects(sqlitePorter.importSqlToDb(opened.db, "INSERT INTO users VALUES (1, 'a');\nINSERT INTO posts VALUES (1, 2, NULL);", {disableForeignKeys: true}), function(error){
+        assert.match(error.message, /1 foreign key violation\(s\), e\.g\. row 1 of table 'posts' references a missing row of table 'users'/);
+        assert.deepStrictEqual(error.violations, [{table: "posts", rowid: 1, parent: "users", fkid: 1}]);
+        return true;
+    });
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM users"), []);
+    assert.strictEqual(helpers.query(opened.raw, "PRAGMA foreign_keys")[0].foreign_keys, 1);
+});
+
+test("disableForeignKeys requires db.executeSql() if foreign keys are enforced", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var db = {
+        transaction: opened.db.transaction.bind(opened.db)
+    };
+    await assert.rejects(sqlitePorter.importSqlToDb(db, "INSERT INTO posts VALUES (1, 1, NULL);", {disableForeignKeys: true}),
+        {message: "The disableForeignKeys option requires a database which provides an executeSql() method to execute statements outside a transaction"});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM posts"), []);
+
+    // Nothing needs to be turned off if foreign keys are not enforced
+    opened.raw.exec("PRAGMA foreign_keys = OFF");
+    await sqlitePorter.importSqlToDb(db, "INSERT INTO posts VALUES (1, 1, NULL);\nINSERT INTO users VALUES (1, 'a');", {disableForeignKeys: true});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id FROM posts"), [{id: 1}]);
+});
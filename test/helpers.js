@@ -0,0 +1,60 @@
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var initSqlJs = require("sql.js");
+var sqlitePorter = require("../www/sqlitePorter.js");
+
+var sqlJs = null;
+
+/**
+ * Opens an in-memory sql.js database wrapped by the sqlJs adapter, optionally executing SQL to set it up.
+ * @param {string} sql - optional SQL statements to execute
+ * @return {Promise} resolved with an object with <code>db</code> (the adapted database) and <code>raw</code> (the sql.js database) properties
+ */
+function openDb(sql){
+    sqlJs = sqlJs || initSqlJs();
+    return sqlJs.then(function(SQL){
+        var raw = new SQL.Database();
+        if(sql){
+            raw.exec(sql);
+        }
+        return {db: sqlitePorter.adapters.sqlJs(raw), raw: raw};
+    });
+}
+
+/**
+ * Queries a sql.js database directly.
+ * @param {Database} raw - sql.js database
+ * @param {string} sql - SELECT statement
+ * @return {array} rows as objects mapping column names to values
+ */
+function query(raw, sql){
+    var rows = [], statement = raw.prepare(sql);
+    while(statement.step()){
+        rows.push(statement.getAsObject());
+    }
+    statement.free();
+    return rows;
+}
+
+/**
+ * Loads private functions of the plugin, by evaluating its source with them exported in place of the public API.
+ * @param {array} names - names of the functions to load
+ * @return {object} map of the names to the functions
+ */
+function loadPrivate(names){
+    var source = fs.readFileSync(path.join(__dirname, "../www/sqlitePorter.js"), "utf8"), module = {};
+    var exported = names.map(function(name){
+        return name + ": " + name;
+    });
+    new Function("module", source.replace("module.exports = sqlitePorter;", "module.exports = {" + exported.join(", ") + "};"))(module);
+    return module.exports;
+}
+
+module.exports = {
+    sqlitePorter: sqlitePorter,
+    openDb: openDb,
+    query: query,
+    loadPrivate: loadPrivate
+};
@@ -0,0 +1,47 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var AWKWARD_SCHEMA = "CREATE TABLE \"order\" (\"group\" PRIMARY KEY, \"first name\", \"a.b\", \"ünïcödé\", \"quote\"\"d\");"
+    + "CREATE TABLE IF NOT EXISTS [my table] (id INTEGER PRIMARY KEY, [value-1]);"
+    + "INSERT INTO \"order\" VALUES ('g1', 'Fred', 'dotted', 'ü', 'q');"
+    + "INSERT INTO [my table] VALUES (1, 'x');";
+
+test("exportDbToJson() takes table names from sqlite_master rather than parsing CREATE TABLE", async function(){
+    var opened = await helpers.openDb(AWKWARD_SCHEMA);
+    var result = await sqlitePorter.exportDbToJson(opened.db);
+    assert.deepStrictEqual(Object.keys(result.json.structure.tables).sort(), ["my table", "order"]);
+    assert.deepStrictEqual(result.json.data.inserts["order"], [{"group": "g1", "first name": "Fred", "a.b": "dotted", "ünïcödé": "ü", "quote\"d": "q"}]);
+    assert.deepStrictEqual(result.json.data.inserts["my table"], [{id: 1, "value-1": "x"}]);
+});
+
+test("exportDbToSql() output with awkward names imports into an empty database", async function(){
+    var source = await helpers.openDb(AWKWARD_SCHEMA);
+    var result = await sqlitePorter.exportDbToSql(source.db);
+    var target = await helpers.openDb();
+    await sqlitePorter.importSqlToDb(target.db, result.sql);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM \"order\""), helpers.query(source.raw, "SELECT * FROM \"order\""));
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM [my table]"), [{id: 1, "value-1": "x"}]);
+});
+
+test("importJsonToDb() quotes awkward table and column names in inserts, updates and deletes", async function(){
+    var opened = await helpers.openDb(AWKWARD_SCHEMA);
+    await sqlitePorter.importJsonToDb(opened.db, {
+        data: {
+            inserts: {"order": [{"group": "g2", "first name": "Bob", "a.b": "x", "ünïcödé": "é", "quote\"d": "r"}]},
+            updates: {"my table": [{set: {"value-1": "y"}, where: {id: 1}}]},
+            deletes: {"order": [{"group": "g1"}]}
+        }
+    });
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT \"group\", \"first name\" FROM \"order\""), [{"group": "g2", "first name": "Bob"}]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM [my table]"), [{id: 1, "value-1": "y"}]);
+});
+
+test("wipeDb() drops tables with awkward names", async function(){
+    var opened = await helpers.openDb(AWKWARD_SCHEMA);
+    await sqlitePorter.wipeDb(opened.db);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT name FROM sqlite_master"), []);
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE t (id INTEGER PRIMARY KEY, text TEXT, n);";
+
+test("inserted values are bound with their JavaScript types", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.importJsonToDb(opened.db, {data: {inserts: {t: [
+        {id: 1, text: "null", n: 1.5},
+        {id: 2, text: "true", n: "007"},
+        {id: 3, text: "it's; -- not \"SQL\"", n: null},
+        {id: 4, text: "", n: true}
+    ]}}});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id, text, n, typeof(n) AS type FROM t ORDER BY id"), [
+        {id: 1, text: "null", n: 1.5, type: "real"},
+        {id: 2, text: "true", n: "007", type: "text"},
+        {id: 3, text: "it's; -- not \"SQL\"", n: null, type: "null"},
+        {id: 4, text: "", n: 1, type: "integer"}
+    ]);
+});
+
+test("updates and deletes are bound with their JavaScript types", async function(){
+    var opened = await helpers.openDb(SCHEMA + "INSERT INTO t VALUES (1, 'a', 1), (2, 'b', '2'), (3, 'c', 3);");
+    await sqlitePorter.importJsonToDb(opened.db, {data: {
+        updates: {t: [{set: {text: "null", n: "1"}, where: {id: 1}}]},
+        deletes: {t: [{n: "2"}, {n: 3}]}
+    }});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id, text, n, typeof(n) AS type FROM t ORDER BY id"), [
+        {id: 1, text: "null", n: "1", type: "text"}
+    ]);
+});
+
+test("rows are batched into multi-row inserts within the bound parameter limit", async function(){
+    var opened = await helpers.openDb(SCHEMA), rows = [];
+    for(var i = 1; i <= 1000; i++){
+        rows.push({id: i, text: "row " + i, n: i});
+    }
+    var count = await sqlitePorter.importJsonToDb(opened.db, {data: {inserts: {t: rows}}}, {batchInsertSize: 500});
+    // 3 columns per row allow at most 333 rows per statement
+    assert.strictEqual(count, 4);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT COUNT(*) AS count, SUM(n) AS sum FROM t"), [{count: 1000, sum: 500500}]);
+
+    opened = await helpers.openDb(SCHEMA);
+    count = await sqlitePorter.importJsonToDb(opened.db, {data: {inserts: {t: rows.slice(0, 10)}}}, {batchInsertSize: 1});
+    assert.strictEqual(count, 10);
+});
@@ -0,0 +1,104 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var MIGRATIONS = [
+    {
+        version: 1,
+        up: "CREATE TABLE artists (id INTEGER PRIMARY KEY, name TEXT);",
+        down: "DROP TABLE artists;"
+    },
+    {
+        version: 2,
+        up: {
+            structure: {
+                tables: {albums: "(id INTEGER PRIMARY KEY, artist_id INTEGER, title TEXT)"},
+                indexes: {albums_artist: "CREATE INDEX albums_artist ON albums (artist_id)"}
+            }
+        },
+        down: "DROP TABLE albums;"
+    },
+    {
+        version: 3,
+        up: "INSERT INTO artists VALUES (1, 'a');",
+        down: "DELETE FROM artists WHERE id = 1;"
+    }
+];
+
+// Lists the names of the tables and indexes of a database
+function namesOf(raw){
+    return helpers.query(raw, "SELECT name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name").map(function(row){
+        return row.name;
+    });
+}
+
+function userVersion(raw){
+    return helpers.query(raw, "PRAGMA user_version")[0].user_version;
+}
+
+test("migrations are applied in order from the current version", async function(){
+    var opened = await helpers.openDb(), progress = [];
+    var version = await sqlitePorter.migrate(opened.db, MIGRATIONS.slice(0, 2), {
+        progressFn: function(count, totalCount, version){
+            progress.push([count, totalCount, version]);
+        }
+    });
+    assert.strictEqual(version, 2);
+    assert.deepStrictEqual(progress, [[1, 2, 1], [2, 2, 2]]);
+    assert.strictEqual(userVersion(opened.raw), 2);
+    assert.deepStrictEqual(namesOf(opened.raw), ["albums", "albums_artist", "artists"]);
+
+    // Only the new migration is applied
+    assert.strictEqual(await sqlitePorter.migrate(opened.db, MIGRATIONS), 3);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM artists"), [{id: 1, name: "a"}]);
+    assert.strictEqual(await sqlitePorter.migrate(opened.db, MIGRATIONS), 3);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM artists"), [{id: 1, name: "a"}]);
+});
+
+test("down migrations roll back to a lower target version", async function(){
+    var opened = await helpers.openDb();
+    await sqlitePorter.migrate(opened.db, MIGRATIONS);
+    assert.strictEqual(await sqlitePorter.migrate(opened.db, MIGRATIONS, {targetVersion: 1}), 1);
+    assert.strictEqual(userVersion(opened.raw), 1);
+    assert.deepStrictEqual(namesOf(opened.raw), ["artists"]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM artists"), []);
+
+    assert.strictEqual(await sqlitePorter.migrate(opened.db, MIGRATIONS, {targetVersion: 0}), 0);
+    assert.deepStrictEqual(namesOf(opened.raw), []);
+
+    var noDown = [{version: 1, up: "CREATE TABLE t (x);"}, {version: 2, up: "SELECT 1;"}];
+    await sqlitePorter.migrate(opened.db, noDown);
+    await assert.rejects(sqlitePorter.migrate(opened.db, noDown, {targetVersion: 1}), /Unable to migrate down from version 2 as it has no down migration/);
+    assert.strictEqual(userVersion(opened.raw), 2);
+});
+
+test("a failed migration is rolled back and reports its version", async function(){
+    var opened = await helpers.openDb();
+    var migrations = MIGRATIONS.slice(0, 2).concat({version: 3, up: "INSERT INTO artists VALUES (1, 'a'); INSERT INTO missing VALUES (1);"});
+    await assert.rejects(sqlitePorter.migrate(opened.db, migrations), function(error){
+        assert.strictEqual(error.version, 3);
+        assert.match(error.message, /no such table: missing/);
+        return true;
+    });
+    // The previous migrations were kept
+    assert.strictEqual(userVersion(opened.raw), 2);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM artists"), []);
+});
+
+test("the version may be stored in a table", async function(){
+    var opened = await helpers.openDb();
+    await sqlitePorter.migrate(opened.db, MIGRATIONS, {versionTable: "schema_version"});
+    assert.strictEqual(userVersion(opened.raw), 0);
+    assert.strictEqual(await sqlitePorter.migrate(opened.db, MIGRATIONS, {versionTable: "schema_version", targetVersion: 2}), 2);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM artists"), []);
+});
+
+test("invalid migration versions are rejected", async function(){
+    var opened = await helpers.openDb();
+    await assert.rejects(sqlitePorter.migrate(opened.db, [{version: 2, up: ""}, {version: 1, up: ""}]),
+        /Invalid migration version '1' at index 1; versions must be positive integers in ascending order/);
+    await assert.rejects(sqlitePorter.migrate(opened.db, [{version: 0, up: ""}]), /Invalid migration version '0' at index 0/);
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);"
+    + "INSERT INTO users VALUES (1, 'a');";
+
+test("functions return Promises when no callbacks are specified", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var exported = sqlitePorter.exportDbToSql(opened.db);
+    assert.ok(exported instanceof Promise);
+    var result = await exported;
+    assert.strictEqual(typeof result.sql, "string");
+    assert.strictEqual(typeof result.count, "number");
+
+    var json = (await sqlitePorter.exportDbToJson(opened.db)).json;
+    assert.deepStrictEqual(json.data.inserts.users, [{id: 1, name: "a"}]);
+
+    var target = await helpers.openDb();
+    assert.strictEqual(await sqlitePorter.importSqlToDb(target.db, result.sql), result.count);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM users"), [{id: 1, name: "a"}]);
+
+    assert.strictEqual(typeof await sqlitePorter.importJsonToDb(target.db, {data: {inserts: {users: [{id: 2, name: "b"}]}}}), "number");
+    assert.strictEqual(typeof await sqlitePorter.wipeDb(target.db), "number");
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT name FROM sqlite_master"), []);
+});
+
+test("functions call the callbacks instead if specified", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var returned;
+    var args = await new Promise(function(resolve, reject){
+        returned = sqlitePorter.exportDbToSql(opened.db, {
+            successFn: function(){
+                resolve(Array.prototype.slice.call(arguments));
+            },
+            errorFn: reject
+        });
+    });
+    assert.ok(!(returned instanceof Promise));
+    assert.strictEqual(typeof returned.cancel, "function");
+    assert.strictEqual(typeof args[0], "string");
+    assert.strictEqual(typeof args[1], "number");
+
+    var error = await new Promise(function(resolve){
+        sqlitePorter.importSqlToDb(opened.db, "INSERT INTO missing VALUES (1)", {
+            successFn: function(){
+                resolve(null);
+            },
+            errorFn: resolve
+        });
+    });
+    assert.match(error.message, /no such table: missing/);
+});
+
+test("import failures reject with the failed statement", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await assert.rejects(sqlitePorter.importSqlToDb(opened.db, "INSERT INTO users VALUES (2, 'b');\nINSERT INTO missing VALUES (1);"), function(error){
+        assert.match(error.message, /no such table: missing/);
+        assert.strictEqual(error.statement, "INSERT INTO missing VALUES (1)");
+        return true;
+    });
+    // The transaction was rolled back
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT id FROM users"), [{id: 1}]);
+});
+
+test("export failures reject rather than never completing", async function(){
+    var db = sqlitePorter.createAdapter({
+        execute: function(sql, params, successFn){
+            successFn({rowsAffected: 0});
+        },
+        query: function(sql, params, successFn, errorFn){
+            errorFn(new Error("disk I/O error"));
+        }
+    });
+    await assert.rejects(sqlitePorter.exportDbToSql(db), {message: "Failed to query database; message=disk I/O error"});
+    await assert.rejects(sqlitePorter.exportDbToJson(db), {message: "Failed to query database; message=disk I/O error"});
+});
+
+test("an invalid database is rejected", async function(){
+    await assert.rejects(sqlitePorter.exportDbToJson(null), /'db' argument must provide a valid SQLite database instance/);
+});
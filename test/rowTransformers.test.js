@@ -0,0 +1,92 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT NOT NULL);"
+    + "CREATE TABLE posts (id INTEGER PRIMARY KEY, title TEXT NOT NULL);";
+
+test("importJsonToDb() calls beforeTable and afterTable around the inserts into each table", async function(){
+    var opened = await helpers.openDb(SCHEMA), calls = [];
+    var json = {data: {inserts: {
+        users: [{id: 1, name: "a"}, {id: 2, name: "b"}],
+        posts: [{id: 1, title: "x"}]
+    }}};
+    await sqlitePorter.importJsonToDb(opened.db, json, {
+        batchInsertSize: 1,
+        beforeTable: function(tableName){
+            calls.push(["before", tableName, helpers.query(opened.raw, "SELECT COUNT(*) AS count FROM " + tableName)[0].count]);
+        },
+        afterTable: function(tableName, count){
+            calls.push(["after", tableName, count]);
+        }
+    });
+    assert.deepStrictEqual(calls, [
+        ["before", "users", 0],
+        ["after", "users", 2],
+        ["before", "posts", 0],
+        ["after", "posts", 1]
+    ]);
+});
+
+test("importJsonToDb() does not call afterTable for a table whose inserts fail", async function(){
+    var opened = await helpers.openDb(SCHEMA), calls = [];
+    var json = {data: {inserts: {
+        users: [{id: 1, name: "a"}],
+        posts: [{id: 1, title: null}]
+    }}};
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, json, {
+        beforeTable: function(tableName){
+            calls.push(["before", tableName]);
+        },
+        afterTable: function(tableName){
+            calls.push(["after", tableName]);
+        }
+    }), /NOT NULL/);
+    assert.deepStrictEqual(calls, [["before", "users"], ["after", "users"], ["before", "posts"]]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM users"), []);
+});
+
+test("importJsonToDb() reports errors thrown by hooks for their table", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var json = {data: {inserts: {users: [{id: 1, name: "a"}], posts: [{id: 1, title: "x"}]}}};
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, json, {
+        transformRow: function(row, tableName){
+            if(tableName === "posts") throw new Error("bad row");
+            return row;
+        }
+    }), {message: "Failed to import table 'posts': bad row"});
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, json, {
+        afterTable: function(tableName){
+            if(tableName === "users") throw new Error("bad table");
+        }
+    }), {message: "Failed to import table 'users': bad table"});
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM users"), []);
+});
+
+test("import errors report the original index of rows transformed by transformRow", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var json = {data: {inserts: {users: [
+        {id: 1, name: "a", deleted: true},
+        {id: 2, name: "b"},
+        {id: 3, name: "c", deleted: true},
+        {id: 4, name: null},
+        {id: 5, name: "e"}
+    ]}}};
+    var transformRow = function(row){
+        if(row.deleted) return null;
+        delete row.deleted;
+        return row;
+    };
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, json, {transformRow: transformRow}), function(error){
+        assert.strictEqual(error.rowIndex, 3);
+        assert.strictEqual(error.path, "data.inserts.users[3].name");
+        assert.match(error.message, /at data\.inserts\.users\[3\]\.name$/);
+        return true;
+    });
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, json, {transformRow: transformRow, batchInsertSize: 1}), {rowIndex: 3});
+    // The batch which failed cannot be split into rows with the fail conflict strategy, so the index is that of its first row
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, json, {transformRow: transformRow, conflictStrategy: "fail"}), {rowIndex: 1, rowCount: 3});
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+// Views are created in an order which is not their dependency order, and the trigger logs the insertion of each row
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);"
+    + "CREATE TABLE log (user_id INTEGER);"
+    + "CREATE VIEW z_users AS SELECT id, name FROM users;"
+    + "CREATE VIEW a_names AS SELECT name FROM z_users;"
+    + "CREATE INDEX users_name ON users (name);"
+    + "CREATE TRIGGER users_log AFTER INSERT ON users BEGIN INSERT INTO log VALUES (new.id); END;"
+    + "INSERT INTO users VALUES (1, 'a'), (2, 'b');";
+
+// Lists the schema objects of a database, other than autoindexes
+function schemaOf(raw){
+    return helpers.query(raw, "SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name");
+}
+
+test("indexes, views and triggers are exported in their own sections of the JSON structure", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var structure = (await sqlitePorter.exportDbToJson(opened.db)).json.structure;
+    assert.deepStrictEqual(Object.keys(structure.tables).sort(), ["log", "users"]);
+    assert.deepStrictEqual(Object.keys(structure.indexes), ["users_name"]);
+    assert.deepStrictEqual(Object.keys(structure.views), ["z_users", "a_names"]);
+    assert.deepStrictEqual(Object.keys(structure.triggers), ["users_log"]);
+    assert.strictEqual(structure.otherSQL, undefined);
+});
+
+test("views are imported in dependency order and triggers do not fire for imported rows", async function(){
+    var source = await helpers.openDb(SCHEMA);
+    var json = (await sqlitePorter.exportDbToJson(source.db)).json;
+    // List the dependent view first
+    json.structure.views = {a_names: json.structure.views.a_names, z_users: json.structure.views.z_users};
+
+    var target = await helpers.openDb();
+    await sqlitePorter.importJsonToDb(target.db, json);
+    assert.deepStrictEqual(schemaOf(target.raw), schemaOf(source.raw));
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM a_names"), [{name: "a"}, {name: "b"}]);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM log"), [{user_id: 1}, {user_id: 2}]);
+});
+
+test("SQL exports create tables, then insert data, then create indexes, views and triggers", async function(){
+    var source = await helpers.openDb(SCHEMA);
+    var sql = (await sqlitePorter.exportDbToSql(source.db)).sql;
+    var position = function(text){
+        var index = sql.indexOf(text);
+        assert.notStrictEqual(index, -1, text);
+        return index;
+    };
+    assert.ok(position("CREATE TABLE users") < position("INSERT OR REPLACE INTO \"users\""));
+    assert.ok(position("INSERT OR REPLACE INTO \"users\"") < position("CREATE INDEX users_name"));
+    assert.ok(position("CREATE VIEW z_users") < position("CREATE VIEW a_names"));
+    assert.ok(position("INSERT OR REPLACE INTO \"log\"") < position("CREATE TRIGGER users_log"));
+
+    var target = await helpers.openDb();
+    await sqlitePorter.importSqlToDb(target.db, sql);
+    assert.deepStrictEqual(schemaOf(target.raw), schemaOf(source.raw));
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM log"), [{user_id: 1}, {user_id: 2}]);
+});
+
+test("indexes, views and triggers in the legacy otherSQL section are still imported", async function(){
+    var target = await helpers.openDb();
+    await sqlitePorter.importJsonToDb(target.db, {
+        structure: {
+            tables: {users: "(id INTEGER PRIMARY KEY, name TEXT)", log: "(user_id INTEGER)"},
+            otherSQL: [
+                "CREATE TRIGGER users_log AFTER INSERT ON users BEGIN INSERT INTO log VALUES (new.id); END",
+                "CREATE VIEW z_users AS SELECT id, name FROM users",
+                "CREATE INDEX users_name ON users (name)"
+            ]
+        },
+        data: {inserts: {users: [{id: 1, name: "a"}]}}
+    });
+    assert.deepStrictEqual(schemaOf(target.raw), [
+        {type: "index", name: "users_name"},
+        {type: "table", name: "log"},
+        {type: "table", name: "users"},
+        {type: "trigger", name: "users_log"},
+        {type: "view", name: "z_users"}
+    ]);
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT * FROM log"), []);
+});
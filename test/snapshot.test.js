@@ -0,0 +1,51 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE a (id INTEGER PRIMARY KEY);"
+    + "CREATE TABLE b (id INTEGER PRIMARY KEY);"
+    + "INSERT INTO a VALUES (1); INSERT INTO b VALUES (1);";
+
+// Counts the transactions started on a database, and inserts a row into table b once the rows of table a have been exported
+async function exportWhileWriting(opts){
+    var db = (await helpers.openDb(SCHEMA)).db, counts = {transaction: 0, readTransaction: 0}, rows = {};
+    var counted = {
+        transaction: function(){
+            counts.transaction++;
+            return db.transaction.apply(db, arguments);
+        },
+        readTransaction: function(){
+            counts.readTransaction++;
+            return db.readTransaction.apply(db, arguments);
+        }
+    };
+    await sqlitePorter.exportDbToJson(counted, Object.assign({
+        dataOnly: true,
+        chunkFn: function(chunk, tableName){
+            if(tableName === null) return;
+            rows[tableName] = chunk.data.inserts[tableName].length;
+            if(tableName === "a"){
+                db.transaction(function(tx){
+                    tx.executeSql("INSERT INTO b VALUES (2)");
+                });
+            }
+        }
+    }, opts));
+    return {counts: counts, rows: rows};
+}
+
+test("exports read each table in its own read transaction by default", async function(){
+    var result = await exportWhileWriting({});
+    assert.strictEqual(result.counts.transaction, 0);
+    assert.ok(result.counts.readTransaction > 1);
+    assert.deepStrictEqual(result.rows, {a: 1, b: 2});
+});
+
+test("the snapshot option reads all tables in a single read transaction", async function(){
+    var result = await exportWhileWriting({snapshot: true});
+    assert.deepStrictEqual(result.counts, {transaction: 0, readTransaction: 1});
+    assert.deepStrictEqual(result.rows, {a: 1, b: 1});
+});
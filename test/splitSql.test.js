@@ -0,0 +1,61 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+test("splitSql() splits an ordinary dump into its statements", function(){
+    var sql = "DROP TABLE IF EXISTS \"Artist\";\n"
+        + "CREATE TABLE Artist ([Id] PRIMARY KEY, [Title]);\n"
+        + "INSERT INTO \"Artist\"(\"Id\",\"Title\") VALUES ('1','Fred');\n"
+        + "INSERT INTO \"Artist\"(\"Id\",\"Title\") VALUES ('2','Bob');\n";
+    assert.deepStrictEqual(sqlitePorter.splitSql(sql), [
+        "DROP TABLE IF EXISTS \"Artist\"",
+        "CREATE TABLE Artist ([Id] PRIMARY KEY, [Title])",
+        "INSERT INTO \"Artist\"(\"Id\",\"Title\") VALUES ('1','Fred')",
+        "INSERT INTO \"Artist\"(\"Id\",\"Title\") VALUES ('2','Bob')"
+    ]);
+});
+
+test("splitSql() keeps the statements of a trigger body together", function(){
+    var sql = "CREATE TRIGGER log AFTER INSERT ON a BEGIN INSERT INTO b VALUES (new.id); UPDATE c SET n = n + 1; END; SELECT 1";
+    assert.deepStrictEqual(sqlitePorter.splitSql(sql), [
+        "CREATE TRIGGER log AFTER INSERT ON a BEGIN INSERT INTO b VALUES (new.id); UPDATE c SET n = n + 1; END",
+        "SELECT 1"
+    ]);
+});
+
+test("splitSql() ignores semicolons within quoted strings and identifiers", function(){
+    var sql = "CREATE TABLE [a;b] (`c;d`, \"e;f\"); INSERT INTO [a;b] VALUES ('it''s; here', 'back\\'); SELECT 1";
+    assert.deepStrictEqual(sqlitePorter.splitSql(sql), [
+        "CREATE TABLE [a;b] (`c;d`, \"e;f\")",
+        "INSERT INTO [a;b] VALUES ('it''s; here', 'back\\')",
+        "SELECT 1"
+    ]);
+});
+
+test("splitSql() removes comments, but not comment markers within strings", function(){
+    var sql = "-- header; comment\nSELECT 1; /* block;\ncomment */ SELECT '--not a comment', '/* nor this */';";
+    assert.deepStrictEqual(sqlitePorter.splitSql(sql), [
+        "SELECT 1",
+        "SELECT '--not a comment', '/* nor this */'"
+    ]);
+});
+
+test("splitSql() returns no statements for empty input", function(){
+    assert.deepStrictEqual(sqlitePorter.splitSql(""), []);
+    assert.deepStrictEqual(sqlitePorter.splitSql(" ;\n-- just a comment\n"), []);
+});
+
+test("importSqlToDb() imports a dump containing triggers and awkward quoting", async function(){
+    var opened = await helpers.openDb();
+    var sql = "CREATE TABLE [a;b] (id PRIMARY KEY, `v;w`);\n"
+        + "CREATE TABLE log (msg);\n"
+        + "CREATE TRIGGER t AFTER INSERT ON [a;b] BEGIN INSERT INTO log VALUES ('inserted; ' || new.id); END;\n"
+        + "INSERT INTO [a;b] VALUES (1, 'it''s');\n";
+    var count = await sqlitePorter.importSqlToDb(opened.db, sql);
+    assert.strictEqual(count, 4);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM [a;b]"), [{id: 1, "v;w": "it's"}]);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM log"), [{msg: "inserted; 1"}]);
+});
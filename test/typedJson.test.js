@@ -0,0 +1,54 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE t (id INTEGER PRIMARY KEY, v, n INTEGER);"
+    + "INSERT INTO t (id, v) VALUES (1, 'null'), (2, 'true'), (3, 'undefined'), (4, 1.5), (5, X'00FF10'), (6, NULL), (7, '9007199254740993');"
+    + "INSERT INTO t (id, n) VALUES (8, 9007199254740991), (9, 9007199254740993), (10, -9223372036854775808), (11, 9223372036854775807);";
+
+// Reads each value of column v exactly as stored
+function storedValues(raw){
+    return helpers.query(raw, "SELECT id, typeof(v) AS type, quote(v) AS v, quote(n) AS n FROM t ORDER BY id");
+}
+
+test("typed JSON export encodes values by storage class", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var json = (await sqlitePorter.exportDbToJson(opened.db, {typed: true, dataOnly: true})).json;
+    assert.strictEqual(json.formatVersion, 2);
+    assert.deepStrictEqual(json.data.inserts.t.map(function(row){
+        return row.v === null ? row.n : row.v;
+    }), ["null", "true", "undefined", 1.5, {"$blob": "AP8Q"}, null, "9007199254740993",
+        9007199254740991, {"$int": "9007199254740993"}, {"$int": "-9223372036854775808"}, {"$int": "9223372036854775807"}]);
+});
+
+test("typed JSON export followed by import is lossless", async function(){
+    var source = await helpers.openDb(SCHEMA);
+    var json = (await sqlitePorter.exportDbToJson(source.db, {typed: true})).json;
+    var target = await helpers.openDb();
+    await sqlitePorter.importJsonToDb(target.db, JSON.parse(JSON.stringify(json)));
+    assert.deepStrictEqual(storedValues(target.raw), storedValues(source.raw));
+});
+
+test("large integers are exported exactly by .dump-style SQL exports", async function(){
+    var source = await helpers.openDb(SCHEMA);
+    var sql = (await sqlitePorter.exportDbToSql(source.db, {cliDump: true})).sql;
+    assert.match(sql, /VALUES\(11,NULL,9223372036854775807\)/);
+    var target = await helpers.openDb();
+    await sqlitePorter.importSqlToDb(target.db, sql, {cliDump: true});
+    assert.deepStrictEqual(storedValues(target.raw), storedValues(source.raw));
+});
+
+test("untyped JSON converts strings to their JS equivalents and rejects typed values", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var json = (await sqlitePorter.exportDbToJson(opened.db, {tables: ["t"], where: "id <= 3"})).json;
+    assert.strictEqual(json.formatVersion, undefined);
+    assert.deepStrictEqual(json.data.inserts.t, [{id: 1, v: null, n: null}, {id: 2, v: true, n: null}, {id: 3, v: undefined, n: null}]);
+
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, {data: {inserts: {t: [{id: 20, v: {"$int": "1"}}]}}}, {validate: true}),
+        /data\.inserts\.t\[0\]\.v is a large integer value, which requires formatVersion 2/);
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, {formatVersion: 2, data: {inserts: {t: [{id: 20, v: {"$int": "1e3"}}]}}}, {validate: true}),
+        /data\.inserts\.t\[0\]\.v\.\$int must be a string of decimal digits/);
+});
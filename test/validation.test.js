@@ -0,0 +1,103 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT NOT NULL, age INTEGER);";
+
+// Imported by earlier versions, but not valid according to validateJson()
+var LOOSE_JSON = {
+    structure: {
+        tables: {totals: "AS SELECT 1 AS id"},
+        comment: "exported by app"
+    }
+};
+
+test("validateJson returns no problems for a valid JSON structure", function(){
+    assert.deepStrictEqual(sqlitePorter.validateJson({
+        structure: {tables: {users: "([id] INTEGER PRIMARY KEY, [name])"}, otherSQL: ["PRAGMA user_version = 1"]},
+        data: {
+            inserts: {users: [{id: 1, name: "a"}]},
+            updates: {users: [{set: {name: "b"}, where: {id: 1}}]},
+            deletes: {users: [{id: 2}]}
+        }
+    }), []);
+    assert.deepStrictEqual(sqlitePorter.validateJson('{"data": {"inserts": {"users": []}}}'), []);
+});
+
+test("validateJson returns all the problems found with their paths", function(){
+    assert.deepStrictEqual(sqlitePorter.validateJson({
+        formatVersion: "1",
+        structure: {tables: {users: "id INTEGER"}},
+        data: {
+            inserts: {"Order Items": [{id: 1, tags: ["a"]}], users: {id: 1}},
+            updates: {users: [{where: {id: 1}}]}
+        }
+    }), [
+        {path: "formatVersion", message: "must be 1 or 2"},
+        {path: "structure.tables.users", message: "must be a table definition in parentheses, e.g. \"([Id] PRIMARY KEY, [Title])\""},
+        {path: "data.inserts[\"Order Items\"][0].tags", message: "must be a string, number, boolean or null"},
+        {path: "data.inserts.users", message: "must be an array"},
+        {path: "data.updates.users[0].set", message: "is required"}
+    ]);
+    assert.deepStrictEqual(sqlitePorter.validateJson("{"), [{path: "", message: "is not valid JSON: " + getParseError("{")}]);
+    assert.deepStrictEqual(sqlitePorter.validateJson([]), [{path: "", message: "must be an object"}]);
+});
+
+test("importJsonToDb only validates the JSON structure if the validate option is specified", async function(){
+    var opened = await helpers.openDb();
+    await sqlitePorter.importJsonToDb(opened.db, LOOSE_JSON);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM totals"), [{id: 1}]);
+
+    var target = await helpers.openDb();
+    await assert.rejects(sqlitePorter.importJsonToDb(target.db, LOOSE_JSON, {validate: true}), function(error){
+        assert.strictEqual(error.message, "Failed to parse JSON structure to SQL: invalid JSON structure; 2 problem(s) found, e.g. structure.tables.totals "
+            + "must be a table definition in parentheses, e.g. \"([Id] PRIMARY KEY, [Title])\"");
+        assert.deepStrictEqual(error.problems.map(function(problem){
+            return problem.path;
+        }), ["structure.tables.totals", "structure.comment"]);
+        return true;
+    });
+    assert.deepStrictEqual(helpers.query(target.raw, "SELECT name FROM sqlite_master"), []);
+});
+
+test("import errors report the table, row index, field and path of the row which failed", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var rows = [{id: 1, name: "a", age: 1}, {id: 2, name: "b", age: 2}, {id: 3, name: null, age: 3}];
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, {data: {inserts: {users: rows}}}), function(error){
+        assert.match(error.message, /NOT NULL constraint failed: users\.name/);
+        assert.match(error.message, /data\.inserts\.users\[2\]\.name/);
+        assert.strictEqual(error.table, "users");
+        assert.strictEqual(error.rowIndex, 2);
+        assert.strictEqual(error.field, "name");
+        assert.strictEqual(error.path, "data.inserts.users[2].name");
+        return true;
+    });
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM users"), []);
+});
+
+test("import errors with the fail conflict strategy report the batch which failed", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var rows = [];
+    for(var i = 1; i <= 5; i++){
+        rows.push({id: i, name: i === 4 ? null : "n" + i, age: i});
+    }
+    await assert.rejects(sqlitePorter.importJsonToDb(opened.db, {data: {inserts: {users: rows}}}, {conflictStrategy: "fail", batchInsertSize: 2}), function(error){
+        assert.match(error.message, /NOT NULL constraint failed: users\.name/);
+        assert.strictEqual(error.table, "users");
+        assert.strictEqual(error.rowIndex, 2);
+        assert.strictEqual(error.rowCount, 2);
+        return true;
+    });
+});
+
+// Returns the message of the error thrown when parsing a string as JSON
+function getParseError(string){
+    try{
+        JSON.parse(string);
+    }catch(e){
+        return e.message;
+    }
+}
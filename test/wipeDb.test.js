@@ -0,0 +1,110 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers");
+var sqlitePorter = helpers.sqlitePorter;
+
+var SCHEMA = "PRAGMA foreign_keys = ON;"
+    + "CREATE TABLE countries (code TEXT PRIMARY KEY, name TEXT);"
+    + "INSERT INTO countries VALUES ('uk', 'United Kingdom');"
+    + "CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, country TEXT REFERENCES countries(code));"
+    + "INSERT INTO users (name, country) VALUES ('a', 'uk'), ('b', 'uk');"
+    + "CREATE TABLE posts (id INTEGER PRIMARY KEY, user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, title TEXT);"
+    + "INSERT INTO posts VALUES (1, 1, 'x'), (2, 2, 'y');"
+    + "CREATE TABLE user_log (name TEXT);"
+    + "CREATE INDEX posts_title ON posts (title);"
+    + "CREATE VIEW user_posts AS SELECT users.name, posts.title FROM users JOIN posts ON posts.user_id = users.id;"
+    + "CREATE TRIGGER users_deleted AFTER DELETE ON users BEGIN INSERT INTO user_log VALUES (old.name); END;";
+
+function listObjects(raw){
+    return helpers.query(raw, "SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name").map(function(row){
+        return row.type + ":" + row.name;
+    });
+}
+
+function countRows(raw, tableName){
+    return helpers.query(raw, "SELECT COUNT(*) AS count FROM " + tableName)[0].count;
+}
+
+test("drop mode drops all tables, views, indexes and triggers in dependency order", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    assert.strictEqual(await sqlitePorter.wipeDb(opened.db), 5);
+    assert.deepStrictEqual(listObjects(opened.raw), []);
+});
+
+test("drop mode only drops the selected tables and the objects which belong to them", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.wipeDb(opened.db, {tables: ["user*", "posts"], excludeTables: ["user_log"]});
+    assert.deepStrictEqual(listObjects(opened.raw), ["table:countries", "table:user_log"]);
+
+    opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.wipeDb(opened.db, {excludeTables: [/^(users|posts|countries)$/]});
+    assert.deepStrictEqual(listObjects(opened.raw), ["index:posts_title", "table:countries", "table:posts", "table:users", "trigger:users_deleted"]);
+});
+
+test("drop mode only drops the selected types of objects", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    assert.strictEqual(await sqlitePorter.wipeDb(opened.db, {types: ["indexes", "triggers"]}), 2);
+    assert.deepStrictEqual(listObjects(opened.raw), ["table:countries", "table:posts", "table:user_log", "table:users", "view:user_posts"]);
+
+    await assert.rejects(sqlitePorter.wipeDb(opened.db, {types: ["columns"]}),
+        {message: "Invalid type 'columns'; expected any of: tables, views, indexes, triggers"});
+});
+
+test("truncate mode deletes the rows of tables and resets their AUTOINCREMENT sequences", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    assert.strictEqual(await sqlitePorter.wipeDb(opened.db, {mode: "truncate", excludeTables: ["user_log"]}), 4);
+    assert.deepStrictEqual(listObjects(opened.raw), ["index:posts_title", "table:countries", "table:posts", "table:user_log", "table:users",
+        "trigger:users_deleted", "view:user_posts"]);
+    assert.strictEqual(countRows(opened.raw, "users"), 0);
+    assert.strictEqual(countRows(opened.raw, "posts"), 0);
+    assert.strictEqual(countRows(opened.raw, "countries"), 0);
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT * FROM sqlite_sequence"), []);
+    // DELETE triggers are fired
+    assert.deepStrictEqual(helpers.query(opened.raw, "SELECT name FROM user_log ORDER BY name"), [{name: "a"}, {name: "b"}]);
+
+    opened.raw.exec("INSERT INTO users (name) VALUES ('c')");
+    assert.strictEqual(helpers.query(opened.raw, "SELECT id FROM users")[0].id, 1);
+});
+
+test("truncate mode performs the foreign key actions of kept tables unless foreign keys are disabled", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await sqlitePorter.wipeDb(opened.db, {mode: "truncate", tables: ["users"]});
+    assert.strictEqual(countRows(opened.raw, "posts"), 0);
+
+    opened = await helpers.openDb(SCHEMA);
+    await assert.rejects(sqlitePorter.wipeDb(opened.db, {mode: "truncate", tables: ["countries"]}), /FOREIGN KEY constraint failed/);
+    assert.strictEqual(countRows(opened.raw, "countries"), 1);
+
+    // Without the ON DELETE actions, the rows of posts are left referencing deleted rows, so the wipe is rolled back
+    await assert.rejects(sqlitePorter.wipeDb(opened.db, {mode: "truncate", tables: ["users"], disableForeignKeys: true}), function(error){
+        assert.strictEqual(error.violations.length, 2);
+        return true;
+    });
+    assert.strictEqual(countRows(opened.raw, "users"), 2);
+    assert.strictEqual(countRows(opened.raw, "posts"), 2);
+});
+
+test("invalid modes are rejected", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    await assert.rejects(sqlitePorter.wipeDb(opened.db, {mode: "delete"}), {message: "Invalid mode 'delete'; expected one of: drop, truncate"});
+    assert.strictEqual(countRows(opened.raw, "users"), 2);
+});
+
+test("the vacuum option executes VACUUM after the wipe", async function(){
+    var opened = await helpers.openDb(SCHEMA);
+    var statements = [];
+    var executeSql = opened.db.executeSql;
+    opened.db.executeSql = function(sql){
+        statements.push(sql);
+        return executeSql.apply(this, arguments);
+    };
+    await sqlitePorter.wipeDb(opened.db, {vacuum: true});
+    assert.deepStrictEqual(statements, ["VACUUM"]);
+    assert.deepStrictEqual(listObjects(opened.raw), []);
+
+    var db = {transaction: opened.db.transaction};
+    await assert.rejects(sqlitePorter.wipeDb(db, {vacuum: true}),
+        {message: "The vacuum option requires a database which provides an executeSql() method to execute statements outside a transaction"});
+});
@@ -33,11 +33,94 @@
     // Default maximum number of statements to use for batch inserts for bulk importing data via JSON.
     var DEFAULT_BATCH_INSERT_SIZE = 250;
 
+    // Default number of rows to read per query when exporting in chunks.
+    var DEFAULT_CHUNK_SIZE = 1000;
+
+    // Maximum number of parameters which may be bound to a single SQL statement (SQLITE_MAX_VARIABLE_NUMBER for SQLite < 3.32.0).
+    var MAX_BOUND_PARAMETERS = 999;
+
+    // Version of the JSON format which encodes values by their SQLite storage class, e.g. BLOBs as {"$blob": base64}.
+    var TYPED_JSON_FORMAT_VERSION = 2;
+
+    // Largest integer which a JS number represents exactly; larger integers are encoded in the typed JSON format as {"$int": decimal}.
+    var MAX_SAFE_INTEGER = 9007199254740991;
+
+    // Characters used for base64 encoding of BLOBs.
+    var BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+    // Statement executed at the end of a dry run to force the transaction to roll back, since RAISE() always fails outside of a trigger.
+    var DRY_RUN_ROLLBACK_SQL = "SELECT RAISE(ROLLBACK, 'dry run')";
+
+    // Insert commands for each conflict strategy which may be used when importing JSON data.
+    var CONFLICT_STRATEGIES = {
+        replace: "INSERT OR REPLACE",
+        ignore: "INSERT OR IGNORE",
+        abort: "INSERT OR ABORT",
+        fail: "INSERT OR FAIL",
+        upsert: "INSERT"
+    };
+
+    // Conflict strategies used to copy rows for each mode of copyDb().
+    var COPY_MODES = {
+        replace: "replace",
+        merge: "upsert",
+        skipExisting: "ignore"
+    };
+
+    // Modes of wipeDb(): dropping objects, or deleting the rows of tables.
+    var WIPE_MODES = ["drop", "truncate"];
+
+    // Types of schema objects which may be dropped by wipeDb(), named as in the structure section of a JSON structure.
+    var WIPE_OBJECT_TYPES = ["tables", "views", "indexes", "triggers"];
+
+    // Name under which copyDb() attaches the source database to the target connection.
+    var COPY_SOURCE_SCHEMA = "sqlitePorter_source";
+
+    // Name of the table in which deletions are logged for incremental export, and prefix of the triggers which log them.
+    var DELETE_LOG_TABLE = "sqlitePorter_deletes";
+
+    // Events on which the triggers which log deletions fire, each of which is part of the name of its trigger.
+    var DELETE_LOG_EVENTS = ["delete", "insert", "update"];
+
+    // Prefix of the names of temporary tables used when comparing and rebuilding tables.
+    var TEMP_TABLE_PREFIX = "sqlitePorter_new_";
+
+    // Alias under which the rowid is selected when paging through a table, and the names by which SQLite allows the rowid to be referenced.
+    var ROWID_ALIAS = "sqlitePorter_rowid";
+    var ROWID_NAMES = ["rowid", "_rowid_", "oid"];
+
+    // Version of the envelope format in which exports are compressed and/or encrypted.
+    var ENVELOPE_VERSION = 1;
+
+    // Compression formats which may be used in envelopes.
+    var ENVELOPE_COMPRESSIONS = ["gzip", "deflate", "none"];
+
+    // Default number of PBKDF2 iterations used to derive the encryption key of an envelope from its passphrase.
+    var DEFAULT_KEY_ITERATIONS = 100000;
+
+    // Number of PBKDF2 iterations computed by the pure-JS fallback for WebCrypto between yields to the event loop, so it does not block the UI.
+    var PBKDF2_CHUNK_ITERATIONS = 1000;
+
+    // SHA-256 round constants, used to checksum envelopes and by the pure-JS fallback for WebCrypto.
+    var SHA256_K = [
+        0x428A2F98, 0x71374491, 0xB5C0FBCF, 0xE9B5DBA5, 0x3956C25B, 0x59F111F1, 0x923F82A4, 0xAB1C5ED5,
+        0xD807AA98, 0x12835B01, 0x243185BE, 0x550C7DC3, 0x72BE5D74, 0x80DEB1FE, 0x9BDC06A7, 0xC19BF174,
+        0xE49B69C1, 0xEFBE4786, 0x0FC19DC6, 0x240CA1CC, 0x2DE92C6F, 0x4A7484AA, 0x5CB0A9DC, 0x76F988DA,
+        0x983E5152, 0xA831C66D, 0xB00327C8, 0xBF597FC7, 0xC6E00BF3, 0xD5A79147, 0x06CA6351, 0x14292967,
+        0x27B70A85, 0x2E1B2138, 0x4D2C6DFC, 0x53380D13, 0x650A7354, 0x766A0ABB, 0x81C2C92E, 0x92722C85,
+        0xA2BFE8A1, 0xA81A664B, 0xC24B8B70, 0xC76C51A3, 0xD192E819, 0xD6990624, 0xF40E3585, 0x106AA070,
+        0x19A4C116, 0x1E376C08, 0x2748774C, 0x34B0BCB5, 0x391C0CB3, 0x4ED8AA4A, 0x5B9CCA4F, 0x682E6FF3,
+        0x748F82EE, 0x78A5636F, 0x84C87814, 0x8CC70208, 0x90BEFFFA, 0xA4506CEB, 0xBEF9A3F7, 0xC67178F2
+    ];
+
+    // AES S-box, generated on first use by getAesSbox().
+    var AES_SBOX = null;
+
     // Statement separator
     var separator = ";\n";
 
-    // Matches statements based on semicolons outside of quotes
-    var statementRegEx = /(?!\s|;|$)(?:[^;"']*(?:"(?:\\.|[^\\"])*"|'(?:\\.|[^\\'])*')?)*/g;
+    // Matches characters which may form part of a SQL keyword or unquoted identifier
+    var wordCharRegEx = /[A-Za-z0-9_$\u0080-\uFFFF]/;
 
 
     /**
@@ -57,71 +140,64 @@
      *          <li>{object} error - object representing the error.</li>
      *      <ul>
      *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
      *  <li>{function} progressFn - callback function to execute after each successful execution of SQL statement, called with arguments:
      *      <ul>
      *          <li>{integer} count - number of statements executed so far.</li>
      *          <li>{integer} totalCount - total number of statements in the given SQL string.</li>
      *      <ul>
      *  </li>
+     *  <li>{boolean} wipe - if true, all existing tables and views are dropped (as by wipeDb()) in the same transaction as the import. Defaults to false.</li>
+     *  <li>{boolean} dryRun - if true, the statements are executed and then always rolled back, so the SQL can be validated against the database
+     *  without changing it. Defaults to false.</li>
+     *  <li>{boolean} cliDump - if true, the SQL is treated as the output of the sqlite3 command-line <code>.dump</code> command, and normalised so it can be executed
+     *  in a single transaction: transaction control statements and PRAGMAs are removed, <code>sqlite_sequence</code> entries are merged into the existing ones,
+     *  and virtual tables inserted into <code>sqlite_master</code> are created. Defaults to false.</li>
+     *  <li>{boolean} disableForeignKeys - if true, foreign key enforcement is turned off during the import, and the foreign keys of all rows are checked
+     *  using <code>PRAGMA foreign_key_check</code> before it is committed. If any violations are found, the import is rolled back and the error
+     *  reported has a <code>violations</code> property listing them. Defaults to false.</li>
+     *  <li>{string} passphrase - passphrase to decrypt the SQL with, if it is an encrypted envelope exported with the <code>envelope</code> option.
+     *  Envelopes are detected and unwrapped automatically, and if the passphrase is wrong or the envelope is corrupted, the error reported says so.</li>
      * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the count of statements executed or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
      */
     sqlitePorter.importSqlToDb = function (db, sql, opts){
-        opts = opts || {};
-        if(!isValidDB(db, opts)) return;
-        db.transaction(function(tx) {
-            try {
-                //Clean SQL + split into statements
-                var totalCount, currentCount;
-                
-                function handleError(e){
-                    if(opts.errorFn){
-                        opts.errorFn(e);
-                    }else{
-                        console.error(e.message);
-                    }
-                }
-                
-                var statements = removeComments(sql)
-                    .match(statementRegEx);;
-
-                if(statements === null || (Array.isArray && !Array.isArray(statements)))
-                    statements = [];
-
-                
-
-                function applyStatements() {
-                    if (statements.length > 0) {
-                        var statement = trimWhitespace(statements.shift());
-                        tx.executeSql(statement, [], function(){
-                            currentCount++;
-                            if(opts.progressFn){
-                                opts.progressFn(currentCount, totalCount);
-                            }
-                            applyStatements();
-                        }, function (tx, error) {
-                            error.message = "Failed to import SQL; message="+ error.message;
-                            error.statement = statement;
-                            handleError(error);
-                        });
-                    } else if(opts.successFn){
-                        opts.successFn(totalCount);
-                    }
-                }
-
-                // Strip empty statements
-                for(var i = 0; i < statements.length; i++){
-                    if(!statements[i]){
-                        delete statements[i];
-                    }
-                }
-
-                currentCount = 0;
-                totalCount = statements.length;
-                applyStatements();
-            } catch (e) {
-                handleError(e);
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(db, opts)) return promise;
+        var envelope = parseEnvelope(sql);
+        if(envelope){
+            openImportEnvelope(envelope, "sql", opts, function(payload){
+                sqlitePorter.importSqlToDb(db, payload, opts);
+            });
+            return promise;
+        }
+        try {
+            //Clean SQL + split into statements
+            var statements = splitStatements(sql);
+            if(opts.cliDump){
+                statements = normaliseCliDump(statements);
             }
+        } catch (e) {
+            handleError(opts, e);
+            return promise;
+        }
+        withForeignKeysDisabled(db, opts, function(opts){
+            executeStatements(db, statements, opts);
         });
+        return promise;
+    };
+
+    /**
+     * Splits a string of SQL into its individual statements, as done by importSqlToDb().
+     * Comments are removed, and semicolons within quoted strings and identifiers, comments and trigger bodies are respected.
+     * @param {string} sql - SQL statements
+     * @return {array} list of SQL statements, without trailing semicolons
+     */
+    sqlitePorter.splitSql = function (sql){
+        return splitStatements(sql);
     };
 
     /**
@@ -137,101 +213,233 @@
      *  </li>
      *  <li>{boolean} dataOnly - if true, only row data will be exported. Otherwise, table structure will also be exported. Defaults to false.</li>
      *  <li>{boolean} structureOnly - if true, only table structure will be exported. Otherwise, row will also be exported. Defaults to false.</li>
-     *  <li>{array} tables - list of table names to export. If not specified, all tables will be exported.
+     *  <li>{function} errorFn - callback function to execute on error during export, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{array} tables - list of tables to export. Each item may be a table name, a glob pattern (e.g. "user_*") or a RegExp. If not specified, all tables will be exported.</li>
+     *  <li>{array} excludeTables - list of tables not to export. Each item may be a table name, a glob pattern or a RegExp.</li>
+     *  <li>{string} where - SQL expression which exported rows must match, e.g. "user_id = ?".</li>
+     *  <li>{array} params - values of parameters bound to the <code>where</code> expression.</li>
+     *  <li>{array} columns - names of the columns to export. If not specified, all columns are exported.</li>
+     *  <li>{array} excludeColumns - names of columns not to export, e.g. to redact personal data.</li>
+     *  <li>{string} orderBy - SQL expression by which to order exported rows.</li>
+     *  <li>{integer} limit - maximum number of rows to export from each table.</li>
+     *  <li>{function} chunkFn - if specified, the export is delivered in chunks via this callback rather than combined into a single output,
+     *  and table rows are read in pages of <code>chunkSize</code> rows, so large databases can be exported without holding them in memory.
+     *  In this case, the first argument passed to successFn is null. Called with arguments:
+     *      <ul>
+     *          <li>{string} chunk - SQL statements exported for the chunk: either the table structure, a page of table rows, or the indexes, views and triggers.</li>
+     *          <li>{string} tableName - name of the table the chunk contains rows for, or null for the structure.</li>
+     *          <li>{object} progress - object with <code>count</code> (rows exported so far) and <code>totalCount</code> (total rows) properties for the table, or null for the structure.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{integer} chunkSize - maximum number of table rows to read per chunk when chunkFn is specified. Defaults to 1000.</li>
+     *  <li>{boolean} snapshot - if true, the schema and all tables are read in a single read transaction, so the export is a consistent point-in-time snapshot of the database
+     *  even if it is written to during the export, but writes by other transactions wait until the export is complete. If false, each table
+     *  (and each page of rows, if chunkFn is specified) is read in its own transaction. Defaults to false.</li>
+     *  <li>{object} tableOptions - map of table names to objects containing <code>where</code>, <code>params</code>, <code>columns</code>, <code>excludeColumns</code>,
+     *  <code>orderBy</code> and/or <code>limit</code> options for that table, which override those specified for all tables.</li>
+     *  <li>{function} progressFn - callback function to execute after each set of table rows is exported, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of rows exported so far from the table.</li>
+     *          <li>{integer} totalCount - total number of rows in the table.</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} transformRow - function called with each row read from a table before it is exported, e.g. to hash email addresses or skip soft-deleted rows. Called with arguments:
+     *      <ul>
+     *          <li>{object} row - copy of the row, mapping column names to values.</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *      <ul>
+     *  Returns the row to export, which may have modified values or columns added, renamed or removed, or null to skip the row.</li>
+     *  <li>{function} beforeTable - function called with the name of each table before its rows are exported.</li>
+     *  <li>{function} afterTable - function called once the rows of each table have been exported, with the name of the table and the number of rows exported from it.</li>
+     *  <li>{boolean} cliDump - if true, the SQL is formatted like the output of the sqlite3 command-line <code>.dump</code> command, so it can be read by the sqlite3 CLI
+     *  and other desktop tools: it is wrapped in <code>BEGIN TRANSACTION</code>/<code>COMMIT</code>, tables are not dropped before being created,
+     *  values are exported as literals of their storage class (including <code>X'..'</code> BLOB literals), and <code>sqlite_sequence</code> entries are included.
+     *  Import it using importSqlToDb() with the cliDump option. Defaults to false.</li>
+     *  <li>{boolean/object} envelope - if specified, the exported SQL is compressed and optionally encrypted in an envelope, which is passed to successFn in place of the SQL string. See Envelopes in the README.</li>
+     *  <li>{string} versionTable - if the envelope option is specified, the name of the table in which migrate() stores the schema version. Defaults to using <code>PRAGMA user_version</code>.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with an object containing the exported <code>sql</code> and statement <code>count</code>, or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
      */
     sqlitePorter.exportDbToSql = function (db, opts){
-        opts = opts || {};
-        if(!isValidDB(db, opts)) return;
-        var exportSQL = "", statementCount = 0,
-            filters = createFilters(opts.tables);
-
-        var exportTables = function (tables) {
-            if (tables.n < tables.sqlTables.length && !opts.structureOnly) {
-                db.transaction(
-                    function (tx) {
-                        var tableName = sqlUnescape(tables.sqlTables[tables.n]),
-                            sqlStatement = "SELECT * FROM " + sqlEscape(tableName);
-                        tx.executeSql(sqlStatement, [],
-                            function (tx, rslt) {
-                                if (rslt.rows) {
-                                    for (var m = 0; m < rslt.rows.length; m++) {
-                                        var dataRow = rslt.rows.item(m);
-                                        var _fields = [];
-                                        var _values = [];
-                                        for (col in dataRow) {
-                                            _fields.push(sqlEscape(col));
-                                            _values.push(dataRow[col] === null ? "NULL" : "'" + sanitiseForSql(dataRow[col]) + "'");
-                                        }
-                                        exportSQL += "INSERT OR REPLACE INTO " + sqlEscape(tableName) + "(" + _fields.join(",") + ") VALUES (" + _values.join(",") + ")" + separator;
-                                        statementCount++;
-                                    }
-                                }
-                                tables.n++;
-                                exportTables(tables);
-                            }
-                        );
-                    });
-            }else if(opts.successFn){
-                opts.successFn(exportSQL, statementCount);
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts, function(sql, count){
+            return {sql: sql, count: count};
+        });
+        if(!isValidDB(db, opts)) return promise;
+        var exportSQL = "", statementCount = 0, tableCounts = {};
+        if(opts.envelope){
+            if(opts.chunkFn){
+                handleError(opts, new Error("The envelope option cannot be used with chunkFn"));
+                return promise;
+            }
+            wrapInEnvelope(db, opts, "sql", tableCounts);
+        }
+
+        var addSql = function (sql, tableName, progress) {
+            if(opts.chunkFn){
+                if(sql) opts.chunkFn(sql, tableName, progress);
+            }else{
+                exportSQL += sql;
             }
         };
 
-        db.transaction(
-            function (transaction) {
-                var sqlQuery = "SELECT sql FROM sqlite_master";
-                if(filters){
-                    sqlQuery += " WHERE " + filters;
+        var exportRows = function (rows, tableName, progress, nextFn) {
+            var sql = "";
+            for (var m = 0; m < rows.length; m++) {
+                var dataRow = rows[m];
+                var _fields = [];
+                var _values = [];
+                for (var col in dataRow) {
+                    _fields.push(sqlEscape(col));
+                    if(opts.cliDump){
+                        _values.push(sqlLiteral(dataRow[col]));
+                    }else{
+                        _values.push(dataRow[col] === null ? "NULL" : isBlobValue(dataRow[col]) ? sqlLiteral(dataRow[col]) : "'" + sanitiseForSql(dataRow[col]) + "'");
+                    }
+                }
+                if(opts.cliDump){
+                    // All columns are listed in table order unless filtered or transformed, so the column list can be omitted as by the sqlite3 CLI
+                    var filtered = opts.transformRow || getTableOption(opts, tableName, "columns") || getTableOption(opts, tableName, "excludeColumns");
+                    sql += "INSERT INTO " + sqlEscape(tableName) + (filtered ? "(" + _fields.join(",") + ")" : "") + " VALUES(" + _values.join(",") + ")" + separator;
+                }else{
+                    sql += "INSERT OR REPLACE INTO " + sqlEscape(tableName) + "(" + _fields.join(",") + ") VALUES (" + _values.join(",") + ")" + separator;
                 }
+                statementCount++;
+            }
+            tableCounts[tableName] += rows.length;
+            addSql(sql, tableName, progress);
+            nextFn();
+        };
+
+        var exportSequences = function (tableNames, doneFn, snapshotTx) {
+            var sql = "", exported = {};
+            for (var i = 0; i < tableNames.length; i++) {
+                exported[tableNames[i]] = true;
+            }
+            var querySequences = function (transaction) {
+                var sqlQuery = "SELECT name, seq FROM sqlite_sequence";
                 transaction.executeSql(sqlQuery, [],
                     function (transaction, results) {
-                        var sqlStatements = [];
-
-                        if (results.rows && !opts.dataOnly) {
-                            for (var i = 0; i < results.rows.length; i++) {
-                                var row = results.rows.item(i);
-                                var shouldAdd = true;
-                                if (row.sql != null && row.sql.indexOf("__") == -1) {
-                                    if(row.sql.indexOf("CREATE TABLE") != -1){
-                                        var tableName = sqlUnescape(trimWhitespace(trimWhitespace(row.sql.replace("CREATE TABLE", "")).split(/ |\(/)[0]));
-                                        if(!isReservedTable(tableName)){
-                                            sqlStatements.push("DROP TABLE IF EXISTS " + sqlEscape(tableName));
-                                        }else{
-                                            shouldAdd = false;
-                                        }
-                                    }
-                                    if(shouldAdd) sqlStatements.push(row.sql);
-                                }
+                        for (var i = 0; i < results.rows.length; i++) {
+                            var row = results.rows.item(i);
+                            if(exported[row.name]){
+                                sql += "DELETE FROM sqlite_sequence WHERE name = " + sqlLiteral(row.name) + separator
+                                    + "INSERT INTO sqlite_sequence VALUES(" + sqlLiteral(row.name) + "," + sqlLiteral(row.seq) + ")" + separator;
+                                statementCount += 2;
                             }
                         }
+                        addSql(sql, null, null);
+                        if(snapshotTx){
+                            doneFn();
+                        }
+                    },
+                    function (transaction, error) {
+                        handleQueryError(opts, error, sqlQuery);
+                    }
+                );
+            };
+            if(snapshotTx){
+                querySequences(snapshotTx);
+            }else{
+                db.transaction(querySequences, function (error) {
+                    handleError(opts, error);
+                }, doneFn);
+            }
+        };
+
+        if(opts.cliDump){
+            // Values are read by storage class so they can be exported as literals of the same type
+            opts.typed = true;
+            addSql("PRAGMA foreign_keys=OFF" + separator + "BEGIN TRANSACTION" + separator, null, null);
+            statementCount += 2;
+        }
+
+        readTransaction(db,
+            function (transaction) {
+                var sqlQuery = "SELECT type, name, tbl_name, sql FROM sqlite_master";
+                transaction.executeSql(sqlQuery, [],
+                    function (transaction, results) {
+                        var schema = getSchemaObjects(results.rows, opts),
+                            structureSql = "", schemaSql = "", sqlTables = [], hasSequences = false, i;
+
+                        for (i = 0; i < schema.tables.length; i++) {
+                            sqlTables.push(schema.tables[i].name);
+                        }
+                        for (i = 0; i < results.rows.length; i++) {
+                            hasSequences = hasSequences || results.rows.item(i).name === "sqlite_sequence";
+                        }
 
-                        for (var j = 0; j < sqlStatements.length; j++) {
-                            if (sqlStatements[j] != null) {
-                                exportSQL += sqlStatements[j].replace(/[^\S\r\n]/g," ") + separator;
+                        // Tables are created before the data is inserted, and other schema objects afterwards
+                        if (!opts.dataOnly) {
+                            for (i = 0; i < schema.tables.length; i++) {
+                                if(!opts.cliDump){
+                                    structureSql += "DROP TABLE IF EXISTS " + sqlEscape(schema.tables[i].name) + separator;
+                                    statementCount++;
+                                }
+                                structureSql += schema.tables[i].sql + separator;
                                 statementCount++;
                             }
-                        }
-                        var sqlQuery = "SELECT tbl_name from sqlite_master WHERE type = 'table'";
-                        if(filters){
-                            sqlQuery += " AND " + filters;
-                        }
-                        transaction.executeSql(sqlQuery, [],
-                            function (transaction, res) {
-                                var sqlTables = [];
-                                for (var k = 0; k < res.rows.length; k++) {
-                                    var tableName = res.rows.item(k).tbl_name;
-                                    if (tableName.indexOf("__") == -1 && !isReservedTable(tableName)) {
-                                        sqlTables.push(tableName);
-                                    }
+                            for (i = 0; i < schema.indexes.length; i++) {
+                                schemaSql += schema.indexes[i].sql + separator;
+                                statementCount++;
+                            }
+                            for (i = 0; i < schema.views.length; i++) {
+                                if(!opts.cliDump){
+                                    schemaSql += "DROP VIEW IF EXISTS " + sqlEscape(schema.views[i].name) + separator;
+                                    statementCount++;
                                 }
-                                exportTables({
-                                    sqlTables: sqlTables,
-                                    n: 0
-                                });
-                            });
+                                schemaSql += schema.views[i].sql + separator;
+                                statementCount++;
+                            }
+                            for (i = 0; i < schema.triggers.length; i++) {
+                                schemaSql += schema.triggers[i].sql + separator;
+                                statementCount++;
+                            }
+                        }
+                        addSql(structureSql, null, null);
 
+                        if(opts.structureOnly) sqlTables = [];
+                        for (i = 0; i < sqlTables.length; i++) {
+                            tableCounts[sqlTables[i]] = 0;
+                        }
+                        var done = function () {
+                            addSql(schemaSql, null, null);
+                            if(opts.cliDump){
+                                addSql("COMMIT" + separator, null, null);
+                                statementCount++;
+                            }
+                            if(opts.successFn){
+                                opts.successFn(opts.chunkFn ? null : exportSQL, statementCount);
+                            }
+                        };
+                        // If the snapshot option is specified, the tables are read in this transaction so the export is consistent
+                        var snapshotTx = opts.snapshot ? transaction : null;
+                        var hooks = applyTableHooks(opts, exportRows, function(){
+                            if(opts.cliDump && hasSequences && sqlTables.length > 0){
+                                exportSequences(sqlTables, done, snapshotTx);
+                            }else{
+                                done();
+                            }
+                        });
+                        readTables(db, sqlTables, {}, opts, hooks.rowsFn, hooks.doneFn, snapshotTx);
+                    },
+                    function (transaction, error) {
+                        handleQueryError(opts, error, sqlQuery);
                     }
                 );
+            },
+            function (error) {
+                handleError(opts, error);
             });
+        return promise;
     };
 
     /**
@@ -247,106 +455,239 @@
      *  </li>
      *  <li>{boolean} dataOnly - if true, only row data will be exported. Otherwise, table structure will also be exported. Defaults to false.</li>
      *  <li>{boolean} structureOnly - if true, only table structure will be exported. Otherwise, row will also be exported. Defaults to false.</li>
-     *  <li>{array} tables - list of table names to export. If not specified, all tables will be exported.
+     *  <li>{function} errorFn - callback function to execute on error during export, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{array} tables - list of tables to export. Each item may be a table name, a glob pattern (e.g. "user_*") or a RegExp. If not specified, all tables will be exported.</li>
+     *  <li>{array} excludeTables - list of tables not to export. Each item may be a table name, a glob pattern or a RegExp.</li>
+     *  <li>{string} where - SQL expression which exported rows must match, e.g. "user_id = ?".</li>
+     *  <li>{array} params - values of parameters bound to the <code>where</code> expression.</li>
+     *  <li>{array} columns - names of the columns to export. If not specified, all columns are exported.</li>
+     *  <li>{array} excludeColumns - names of columns not to export, e.g. to redact personal data.</li>
+     *  <li>{string} orderBy - SQL expression by which to order exported rows.</li>
+     *  <li>{integer} limit - maximum number of rows to export from each table.</li>
+     *  <li>{function} chunkFn - if specified, the export is delivered in chunks via this callback rather than combined into a single output,
+     *  and table rows are read in pages of <code>chunkSize</code> rows, so large databases can be exported without holding them in memory.
+     *  In this case, the first argument passed to successFn is null. Called with arguments:
+     *      <ul>
+     *          <li>{object} chunk - JSON structure for the chunk: either the table <code>structure</code>, a page of table rows in <code>data.inserts</code>, or the <code>structure</code> of the indexes, views and triggers.</li>
+     *          <li>{string} tableName - name of the table the chunk contains rows for, or null for the structure.</li>
+     *          <li>{object} progress - object with <code>count</code> (rows exported so far) and <code>totalCount</code> (total rows) properties for the table, or null for the structure.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{integer} chunkSize - maximum number of table rows to read per chunk when chunkFn is specified. Defaults to 1000.</li>
+     *  <li>{boolean} snapshot - if true, the schema and all tables are read in a single read transaction, so the export is a consistent point-in-time snapshot of the database
+     *  even if it is written to during the export, but writes by other transactions wait until the export is complete. If false, each table
+     *  (and each page of rows, if chunkFn is specified) is read in its own transaction. Defaults to false.</li>
+     *  <li>{function} progressFn - callback function to execute after each set of table rows is exported, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of rows exported so far from the table.</li>
+     *          <li>{integer} totalCount - total number of rows in the table.</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} transformRow - function called with each row read from a table before it is exported, e.g. to hash email addresses or skip soft-deleted rows. Called with arguments:
+     *      <ul>
+     *          <li>{object} row - copy of the row, mapping column names to values (encoded as for the <code>typed</code> option, if specified).</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *      <ul>
+     *  Returns the row to export, which may have modified values or columns added, renamed or removed, or null to skip the row.</li>
+     *  <li>{function} beforeTable - function called with the name of each table before its rows are exported.</li>
+     *  <li>{function} afterTable - function called once the rows of each table have been exported, with the name of the table and the number of rows exported from it.</li>
+     *  <li>{boolean} typed - if true, values are exported exactly as stored, with BLOBs encoded as <code>{"$blob": base64}</code> objects
+     *  and integers too large to be represented exactly by a JS number as <code>{"$int": decimal}</code> objects,
+     *  and the JSON is marked with <code>formatVersion: 2</code> so that importJsonToDb() decodes it losslessly.
+     *  Otherwise, the strings "true", "false", "null" and "undefined" are converted to their JS equivalents. Defaults to false.</li>
+     *  <li>{object} watermarks - if specified, only rows which have changed since a previous export are exported.
+     *  A map of table names to the watermark of each table returned by the previous export in its <code>watermarks</code> property;
+     *  rows whose watermark column is greater than this are exported in <code>data.inserts</code>, and all rows of tables not in the map.
+     *  importJsonToDb() merges these rows into existing rows using the "upsert" conflict strategy by default.
+     *  Deletions logged since the previous export (see enableDeleteTracking()) are exported in <code>data.deletes</code>.
+     *  The new watermarks are returned in the <code>watermarks</code> property of the JSON (or of each chunk containing rows and the final chunk if chunkFn is specified).
+     *  Table structure is not exported.</li>
+     *  <li>{string} watermarkColumn - if watermarks are specified, the column which increases when a row is inserted or updated, e.g. an <code>updated_at</code> timestamp.
+     *  Defaults to "rowid", in which case only inserted rows are exported.</li>
+     *  <li>{object} tableOptions - map of table names to objects containing <code>where</code>, <code>params</code>, <code>columns</code>, <code>excludeColumns</code>,
+     *  <code>orderBy</code>, <code>limit</code> and/or <code>watermarkColumn</code> options for that table, which override those specified for all tables.</li>
+     *  <li>{boolean/object} envelope - if specified, the exported JSON is compressed and optionally encrypted in an envelope, which is passed to successFn in place of the JSON structure. See Envelopes in the README.</li>
+     *  <li>{string} versionTable - if the envelope option is specified, the name of the table in which migrate() stores the schema version. Defaults to using <code>PRAGMA user_version</code>.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with an object containing the exported <code>json</code> and statement <code>count</code>, or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
      */
     sqlitePorter.exportDbToJson = function (db, opts){
-        opts = opts || {};
-        if(!isValidDB(db, opts)) return;
-        var json = {}, statementCount = 0,
-            filters = createFilters(opts.tables);
-
-        var exportTables = function (tables) {
-            if (tables.n < tables.sqlTables.length && !opts.structureOnly) {
-                db.transaction(
-                    function (tx) {
-                        var tableName = sqlUnescape(tables.sqlTables[tables.n]),
-                            sqlStatement = "SELECT * FROM " + sqlEscape(tableName);
-                        tx.executeSql(sqlStatement, [],
-                            function (tx, rslt) {
-                                if (rslt.rows && !isReservedTable(tableName)) {
-                                    json.data.inserts[tableName] = [];
-                                    for (var m = 0; m < rslt.rows.length; m++) {
-                                        var dataRow = rslt.rows.item(m);
-                                        var _row = {};
-                                        for (col in dataRow) {
-                                            _row[col] = dataRowToJsonData(dataRow[col]);
-                                        }
-                                        json.data.inserts[tableName].push(_row);
-                                        statementCount++;
-                                    }
-                                }
-                                tables.n++;
-                                exportTables(tables);
-                            }
-                        );
-                    });
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts, function(json, count){
+            return {json: json, count: count};
+        });
+        if(!isValidDB(db, opts)) return promise;
+        var json = {}, statementCount = 0, tableCounts = {};
+        if(opts.envelope){
+            if(opts.chunkFn){
+                handleError(opts, new Error("The envelope option cannot be used with chunkFn"));
+                return promise;
+            }
+            wrapInEnvelope(db, opts, "json", tableCounts);
+        }
+        if(opts.typed){
+            json.formatVersion = TYPED_JSON_FORMAT_VERSION;
+        }
+        if(opts.watermarks){
+            // Importing structure would drop the tables the changes are applied to
+            opts.dataOnly = true;
+            opts.structureOnly = false;
+        }
+
+        var watermarks = null;
+
+        var exportRows = function (rows, tableName, progress, nextFn) {
+            var inserts = [], hasBlobs = false;
+            for (var m = 0; m < rows.length; m++) {
+                var dataRow = rows[m];
+                var _row = {};
+                if(opts.typed){
+                    _row = dataRow;
+                }else{
+                    for (var col in dataRow) {
+                        _row[col] = dataRowToJsonData(dataRow[col]);
+                        hasBlobs = hasBlobs || isBlobValue(_row[col]);
+                    }
+                }
+                inserts.push(_row);
+                statementCount++;
             }
-            else if(opts.successFn){
-                opts.successFn(json, statementCount);
+            tableCounts[tableName] += rows.length;
+            // BLOBs returned as binary by drivers used via adapters are encoded in the typed format, so the JSON is marked as such to be imported losslessly
+            if(hasBlobs && !opts.chunkFn){
+                json.formatVersion = TYPED_JSON_FORMAT_VERSION;
             }
+            if(opts.chunkFn){
+                if(inserts.length > 0){
+                    var chunk = {};
+                    if(opts.typed || hasBlobs){
+                        chunk.formatVersion = TYPED_JSON_FORMAT_VERSION;
+                    }
+                    chunk.data = {inserts: {}};
+                    chunk.data.inserts[tableName] = inserts;
+                    if(watermarks){
+                        chunk.watermarks = watermarks;
+                    }
+                    opts.chunkFn(chunk, tableName, progress);
+                }
+            }else{
+                json.data.inserts[tableName] = (json.data.inserts[tableName] || []).concat(inserts);
+            }
+            nextFn();
+        };
 
+        var exportSchema = function (schema) {
+            var objects = {indexes: schema.indexes, views: schema.views, triggers: schema.triggers};
+            for (var type in objects) {
+                for (var i = 0; i < objects[type].length; i++) {
+                    json.structure[type] = json.structure[type] || {};
+                    json.structure[type][objects[type][i].name] = objects[type][i].sql;
+                    statementCount += 2; // One for DROP, one for create
+                }
+            }
         };
 
-        db.transaction(
+        readTransaction(db,
             function (transaction) {
-                var sqlQuery = "SELECT sql FROM sqlite_master";
-                if(filters){
-                    sqlQuery += " WHERE " + filters;
-                }
+                var sqlQuery = "SELECT type, name, tbl_name, sql FROM sqlite_master";
                 transaction.executeSql(sqlQuery, [],
                     function (transaction, results) {
+                        var schema = getSchemaObjects(results.rows, opts), sqlTables = [], i;
+
+                        for (i = 0; i < schema.tables.length; i++) {
+                            sqlTables.push(schema.tables[i].name);
+                        }
 
-                        if (results.rows && !opts.dataOnly) {
+                        if (!opts.dataOnly) {
                             json.structure = {
                                 tables:{}
                             };
-                            for (var i = 0; i < results.rows.length; i++) {
-                                var row = results.rows.item(i);
-
-                                if(row.sql != null && row.sql.indexOf("__") == -1){
-                                    if (row.sql.indexOf("CREATE TABLE") != -1){
-                                        var tableName = sqlUnescape(trimWhitespace(trimWhitespace(row.sql.replace("CREATE TABLE", "")).split(/ |\(/)[0]));
-                                        if(!isReservedTable(tableName)){
-                                            var tableStructure = trimWhitespace(row.sql.replace("CREATE TABLE " + tableName, ""));
-                                            json.structure.tables[tableName] = tableStructure.replace(/[^\S\r\n]/g," ");
-                                            statementCount += 2; // One for DROP, one for create
+                            for (i = 0; i < schema.tables.length; i++) {
+                                json.structure.tables[schema.tables[i].name] = getTableDefinition(schema.tables[i].sql);
+                                statementCount += 2; // One for DROP, one for create
+                            }
+                            if(opts.chunkFn){
+                                // Other schema objects are delivered in a separate chunk after the data, so they are created after it on import
+                                opts.chunkFn(extend({}, json), null, null);
+                                json.structure = {};
+                            }
+                            exportSchema(schema);
+                        }
+
+                        json.data = {
+                            inserts: {}
+                        };
+                        if(opts.structureOnly) sqlTables = [];
+
+                        var exportData = function (transaction, queries, newWatermarks, deletes) {
+                            watermarks = newWatermarks;
+                            for (var i = 0; i < sqlTables.length; i++) {
+                                tableCounts[sqlTables[i]] = 0;
+                            }
+                            // If the snapshot option is specified, the tables are read in this transaction so the export is consistent
+                            var snapshotTx = opts.snapshot ? transaction : null;
+                            var hooks = applyTableHooks(opts, exportRows, function(){
+                                var chunk = {};
+                                if(opts.typed){
+                                    chunk.formatVersion = TYPED_JSON_FORMAT_VERSION;
+                                }
+                                if(opts.chunkFn && !opts.dataOnly && (json.structure.indexes || json.structure.views || json.structure.triggers)){
+                                    opts.chunkFn(extend({structure: json.structure}, chunk), null, null);
+                                }
+                                if(watermarks){
+                                    var deleteCount = 0;
+                                    for(var tableName in deletes){
+                                        deleteCount += deletes[tableName].length;
+                                    }
+                                    statementCount += deleteCount;
+                                    if(opts.chunkFn){
+                                        if(deleteCount > 0){
+                                            chunk.data = {deletes: deletes};
                                         }
+                                        chunk.watermarks = watermarks;
+                                        opts.chunkFn(chunk, null, null);
                                     }else{
-                                        if(!json.structure.otherSQL){
-                                            json.structure.otherSQL = [];
+                                        if(deleteCount > 0){
+                                            json.data.deletes = deletes;
                                         }
-                                        json.structure.otherSQL.push(row.sql.replace(/[^\S\r\n]/g," "));
-                                        statementCount++;
+                                        json.watermarks = watermarks;
                                     }
                                 }
-                            }
-                        }
+                                if(opts.successFn){
+                                    opts.successFn(opts.chunkFn ? null : json, statementCount);
+                                }
+                            });
+                            readTables(db, sqlTables, queries, opts, hooks.rowsFn, hooks.doneFn, snapshotTx);
+                        };
 
-                        var sqlQuery = "SELECT tbl_name from sqlite_master WHERE type = 'table'";
-                        if(filters){
-                            sqlQuery += " AND " + filters;
+                        if(opts.watermarks){
+                            sqlTables = sqlTables.filter(function(tableName){
+                                return tableName !== DELETE_LOG_TABLE;
+                            });
+                            queryChanges(transaction, sqlTables, opts, function(transaction, queries, watermarks, deletes){
+                                exportData(transaction, queries, watermarks, deletes);
+                            });
+                        }else{
+                            exportData(transaction, {}, null, null);
                         }
-                        transaction.executeSql(sqlQuery, [],
-                            function (transaction, res) {
-                                var sqlTables = [];
-                                json.data = {
-                                    inserts: {}
-                                };
-
-                                for (var k = 0; k < res.rows.length; k++) {
-                                    if (res.rows.item(k).tbl_name.indexOf("__") == -1) {
-                                        sqlTables.push(res.rows.item(k).tbl_name);
-                                    }
-                                }
-                                exportTables({
-                                    sqlTables: sqlTables,
-                                    n: 0
-                                });
-                            }
-                        );
+                    },
+                    function (transaction, error) {
+                        handleQueryError(opts, error, sqlQuery);
                     }
                 );
+            },
+            function (error) {
+                handleError(opts, error);
             });
+        return promise;
     };
 
     /**
@@ -366,243 +707,4711 @@
      *          <li>{object} error - object representing the error.</li>
      *      <ul>
      *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
      *  <li>{function} progressFn - callback function to execute after each successful execution of SQL statement, called with arguments:
      *      <ul>
      *          <li>{integer} count - number of statements executed so far.</li>
      *          <li>{integer} totalCount - total number of statements in the given SQL string.</li>
      *      <ul>
      *  </li>
-     *  <li>{integer} batchInsertSize - maximum number of inserts to batch into a SQL statement using UNION SELECT method.
+     *  <li>{integer} batchInsertSize - maximum number of inserts to batch into a SQL statement using a multi-row VALUES clause.
      *  Defaults to 250 if not specified. Set to 1 to disable batching and perform 1 insert per SQL statement.
+     *  Batches are also limited so that no statement binds more than 999 parameters.
      *  You can tweak this to optimize performance but numbers higher than 500 may cause the app to run out of memory and crash.
      *  </li>
+     *  <li>{string} conflictStrategy - how to handle inserted rows which conflict with existing rows (by primary key or unique constraint). One of:
+     *      <ul>
+     *          <li>"replace" - delete the existing row and insert the new one (INSERT OR REPLACE).
+     *          This is the default, except for the JSON of an incremental export, i.e. with a <code>watermarks</code> property, for which "upsert" is the default for tables with a primary key.</li>
+     *          <li>"ignore" - keep the existing row and skip the new one (INSERT OR IGNORE).</li>
+     *          <li>"abort" - fail the import (INSERT OR ABORT).</li>
+     *          <li>"fail" - fail the import (INSERT OR FAIL).</li>
+     *          <li>"upsert" - update just the fields of the existing row which are present in the new row (INSERT ... ON CONFLICT DO UPDATE). Requires SQLite 3.24.0 or above.</li>
+     *      </ul>
+     *  </li>
+     *  <li>{array} keyColumns - for the "upsert" conflict strategy, names of the columns of the primary key or unique constraint on which rows conflict.
+     *  If not specified, the table's primary key columns are read from its definition if the JSON creates the table, and otherwise queried using <code>PRAGMA table_info</code>.</li>
+     *  <li>{object} tableOptions - map of table names to objects containing <code>conflictStrategy</code> and/or <code>keyColumns</code> options for that table,
+     *  which override those specified for all tables.</li>
+     *  <li>{function} transformRow - function called with each row in <code>data.inserts</code> before it is inserted, e.g. to map old column names to new ones
+     *  or convert date strings to epoch integers. Rows are transformed before they are batched, and rows in <code>data.updates</code> and <code>data.deletes</code> are not transformed.
+     *  Called with arguments:
+     *      <ul>
+     *          <li>{object} row - copy of the row, mapping column names to values.</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *      <ul>
+     *  Returns the row to insert, which may have modified values or columns added, renamed or removed, or null to skip the row.
+     *  The row indexes reported in errors are those of the rows before they were transformed, even if rows are skipped.</li>
+     *  <li>{function} beforeTable - function called with the name of each table in <code>data.inserts</code> before its rows are inserted, in the order in which the tables are imported.</li>
+     *  <li>{function} afterTable - function called once the rows of each table in <code>data.inserts</code> have been inserted, with the name of the table and the number of rows inserted into it.
+     *  It is not called if inserting the rows fails. If either hook throws an error, the transaction is rolled back and the import fails with that error.</li>
+     *  <li>{boolean} atomic - if true, the whole import (including the delayed creation of indexes, views and triggers) is executed in a single transaction,
+     *  so if any statement fails, the database is rolled back to its state before the import. Defaults to false.</li>
+     *  <li>{boolean} wipe - if true, all existing tables and views are dropped (as by wipeDb()) in the same transaction as the import. Defaults to false.</li>
+     *  <li>{boolean} dryRun - if true, the import is executed atomically and then always rolled back, so the JSON can be validated against the database
+     *  without changing it. Defaults to false.</li>
+     *  <li>{boolean} validate - if true, the JSON structure is validated using validateJson() before anything is imported, and if it is invalid,
+     *  the error reported has a <code>problems</code> property listing the problems found. Defaults to false.</li>
+     *  <li>{boolean} disableForeignKeys - if true, foreign key enforcement is turned off during the import, and the foreign keys of all rows are checked
+     *  using <code>PRAGMA foreign_key_check</code> before the data is committed. If any violations are found, the data is rolled back and the error
+     *  reported has a <code>violations</code> property listing them. Defaults to false.</li>
+     *  <li>{string} passphrase - passphrase to decrypt the JSON with, if it is an encrypted envelope exported with the <code>envelope</code> option.
+     *  Envelopes are detected and unwrapped automatically, and if the passphrase is wrong or the envelope is corrupted, the error reported says so.</li>
      * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the count of statements executed or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
      */
     sqlitePorter.importJsonToDb = function (db, json, opts){
-        opts = opts || {};
-        if(!isValidDB(db, opts)) return;
-        var mainSql = "", createIndexSql = "";
-
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(db, opts)) return promise;
+        var envelope = parseEnvelope(json);
+        if(envelope){
+            openImportEnvelope(envelope, "json", opts, function(payload){
+                sqlitePorter.importJsonToDb(db, payload, opts);
+            });
+            return promise;
+        }
         try{
             if(typeof(json) === "string"){
                 json = JSON.parse(json);
             }
-            if(json.structure){
-                for(var tableName in json.structure.tables){
-                    mainSql += "DROP TABLE IF EXISTS " + sqlEscape(tableName) + separator
-                        + "CREATE TABLE " + sqlEscape(tableName) + json.structure.tables[tableName] + separator;
-                }
-                if(json.structure.otherSQL){
-                    for(var i=0; i<json.structure.otherSQL.length; i++){
-                        var command = json.structure.otherSQL[i];
-                        if(command.match(/CREATE INDEX/i)){
-                            createIndexSql += json.structure.otherSQL[i] + separator;
-                        }else{
-                            mainSql += json.structure.otherSQL[i] + separator;
-                        }
+            if(opts.validate){
+                assertValidJson(json);
+            }
+            var upsertTables = [], definedKeyColumns = {}, referencingTables = [];
+            for(var tableName in (json.data && json.data.inserts)){
+                var strategy = getTableOption(opts, tableName, "conflictStrategy") || (json.watermarks ? "upsert" : null);
+                if(strategy === "upsert" && !getTableOption(opts, tableName, "keyColumns")){
+                    // The key columns of tables created by the import are read from their definitions, and those of existing tables from the database
+                    if(json.structure && json.structure.tables && json.structure.tables.hasOwnProperty(tableName)){
+                        definedKeyColumns[tableName] = getDefinitionKeyColumns(json.structure.tables[tableName]);
+                    }else{
+                        upsertTables.push(tableName);
                     }
                 }
             }
+            // The foreign keys of tables created by the import are read from their definitions, and those of existing tables from the database
+            var tableNames = json.data ? Object.keys(json.data.inserts || {}).concat(Object.keys(json.data.deletes || {})) : [];
+            for(var i = 0; i < tableNames.length; i++){
+                if(!(json.structure && json.structure.tables && json.structure.tables.hasOwnProperty(tableNames[i])) && referencingTables.indexOf(tableNames[i]) === -1){
+                    referencingTables.push(tableNames[i]);
+                }
+            }
+        }catch(e){
+            e.message = "Failed to parse JSON structure to SQL: "+ e.message;
+            handleError(opts, e);
+            return promise;
+        }
 
-            var batchInsertSize = opts.batchInsertSize ? opts.batchInsertSize : DEFAULT_BATCH_INSERT_SIZE;
-            if(json.data.inserts){
-                for(var tableName in json.data.inserts){
-                    var _count = 0;
-                    for(var i=0; i<json.data.inserts[tableName].length; i++){
-                        if(_count === batchInsertSize){
-                            mainSql += separator;
-                            _count = 0;
-                        }
+        var importStatements = function(keyColumns, references){
+            var inserts = json.data && json.data.inserts, rowIndexes = null;
+            if(opts.transformRow && inserts){
+                // Rows are transformed before they are batched, so each batch contains the transformed rows
+                var transformed = {};
+                rowIndexes = {};
+                for(var tableName in inserts){
+                    try{
+                        rowIndexes[tableName] = [];
+                        transformed[tableName] = transformRows(inserts[tableName], tableName, opts, rowIndexes[tableName]);
+                    }catch(e){
+                        e.message = "Failed to import table '" + tableName + "': " + e.message;
+                        handleError(opts, e);
+                        return;
+                    }
+                }
+                json = extend({}, json, {data: extend({}, json.data, {inserts: transformed})});
+            }
+            try{
+                var statements = createImportStatements(json, opts, keyColumns, references, rowIndexes);
+            }catch(e){
+                e.message = "Failed to parse JSON structure to SQL: "+ e.message;
+                handleError(opts, e);
+                return;
+            }
 
-                        var _row = json.data.inserts[tableName][i];
-                        var _fields = [];
-                        var _values = [];
-                        for(var col in _row){
-                            _fields.push(col);
-                            _values.push(sanitiseForSql(_row[col]));
-                        }
+            if(opts.beforeTable || opts.afterTable){
+                opts.tableHooks = {beforeTable: opts.beforeTable, afterTable: opts.afterTable};
+            }
 
-                        if(_count === 0){
-                            mainSql += "INSERT OR REPLACE INTO " + sqlEscape(tableName) + "(";
-                            for(var field in _fields) {
-                              if(field == 0) {
-                                mainSql += _fields[field];
-                              } else {
-                                mainSql += ", " + _fields[field];
-                              }
-                            }
-                            mainSql += ") SELECT";
-                            for(var j = 0; j < _fields.length; j++){
-                                if(typeof _values[j] === "undefined" || _values[j] === null || _values[j].toLowerCase() == 'null'){
-                                    mainSql += " NULL AS '" + _fields[j] + "'";
-                                }else{
-                                    mainSql += " '" + _values[j] + "' AS '" + _fields[j] + "'";
-                                }
-                                if(j < _fields.length-1){
-                                    mainSql += ",";
-                                }
-                            }
-                        }else{
-                            mainSql += " UNION SELECT ";
-                            for(var j = 0; j < _values.length; j++){
-                                if(typeof _values[j] === "undefined" || _values[j] === null || _values[j].toLowerCase() == 'null'){
-                                    mainSql += " NULL";
-                                }else{
-                                    mainSql += " '" + _values[j] + "'";
-                                }
-                                if(j < _values.length-1){
-                                    mainSql += ",";
+            // If creating indexes, views or triggers, do it in a different transaction after other SQL to optimise performance
+            // and so that triggers don't fire on the imported data, unless the whole import must be atomic
+            withForeignKeysDisabled(db, opts, function(opts){
+                if(opts.atomic || opts.dryRun){
+                    executeStatements(db, statements.main.concat(statements.schema), opts);
+                }else if(statements.schema.length > 0){
+                    executeStatements(db, statements.main, extend({}, opts, {
+                        successFn:function(mainTotalCount){
+                            executeStatements(db, statements.schema, extend({}, opts, {
+                                wipe: false,
+                                checkForeignKeys: false,
+                                successFn:function(totalCount){
+                                    if(opts.successFn){
+                                        opts.successFn(mainTotalCount+totalCount);
+                                    }
+                                },
+                                progressFn:function(count, totalCount){
+                                    if(opts.progressFn){
+                                        opts.progressFn(mainTotalCount+count, mainTotalCount+totalCount);
+                                    }
                                 }
-                            }
+                            }));
                         }
-                        _count++;
-                    }
-                    mainSql += separator;
+                    }));
+                }else{
+                    executeStatements(db, statements.main, opts);
                 }
+            });
+        };
+
+        var queryReferences = function(keyColumns){
+            if(referencingTables.length === 0){
+                importStatements(keyColumns, {});
+                return;
             }
+            var references = {};
+            db.transaction(
+                function (tx) {
+                    queryTableReferences(tx, referencingTables, opts, function (tx, tableReferences) {
+                        references = tableReferences;
+                    });
+                },
+                function (error) {
+                    handleError(opts, error);
+                },
+                function () {
+                    importStatements(keyColumns, references);
+                });
+        };
 
-            if(json.data.deletes){
-                for(var tableName in json.data.deletes){
-                    for(var i=0; i < json.data.deletes[tableName].length; i++){
-                        var _count = 0,
-                            _row = json.data.deletes[tableName][i];
-                        mainSql += "DELETE FROM " + sqlEscape(tableName);
-                        for(var col in _row){
-                            mainSql += (_count === 0 ? " WHERE " : " AND ") + col + "='" + sanitiseForSql(_row[col]) + "'";
-                            _count++;
-                        }
-                        mainSql += separator;
-                    }
+        if(upsertTables.length > 0){
+            queryColumns(db, upsertTables, opts, function(tableColumns){
+                var keyColumns = extend({}, definedKeyColumns);
+                for(var tableName in tableColumns){
+                    keyColumns[tableName] = getKeyColumns(tableColumns[tableName]);
                 }
-            }
+                queryReferences(keyColumns);
+            });
+        }else{
+            queryReferences(definedKeyColumns);
+        }
+        return promise;
+    };
+
+    /**
+     * Validates a JSON structure against the format imported by importJsonToDb(), which is published as a JSON Schema in <code>sqlitePorter.schema.json</code>.
+     * All problems are returned, rather than just the first.
+     * @param {string/object} json - JSON structure, as either a JSON object or string
+     * @return {array} list of problems found, which is empty if the JSON structure is valid. Each problem is an object with properties:
+     * <ul>
+     *  <li>{string} path - path to the invalid value, e.g. <code>data.inserts.users[42].age</code>, or an empty string for the JSON structure itself.</li>
+     *  <li>{string} message - description of the problem.</li>
+     * </ul>
+     */
+    sqlitePorter.validateJson = function (json){
+        var problems = [];
+        var problem = function(path, message){
+            problems.push({path: path, message: message});
+        };
 
-            if(json.data.updates){
-                var tableName, _row, i, _col, _count;
-                for( tableName in json.data.updates){
-                    for(i=0; i < json.data.updates[tableName].length; i++){
-                        var _row = json.data.updates[tableName][i];
-                        mainSql += "UPDATE " + sqlEscape(tableName);
+        if(typeof(json) === "string"){
+            try{
+                json = JSON.parse(json);
+            }catch(e){
+                problem("", "is not valid JSON: " + e.message);
+                return problems;
+            }
+        }
+        if(!isObject(json)){
+            problem("", "must be an object");
+            return problems;
+        }
 
-                        _count = 0;
-                        for(_col in _row.set){
-                            mainSql += (_count === 0 ? " SET " : ", ") + _col + "='" + sanitiseForSql(_row.set[_col]) + "'";
-                            _count++;
-                        }
+        if(json.hasOwnProperty("formatVersion") && !(json.formatVersion === 1 || json.formatVersion === TYPED_JSON_FORMAT_VERSION)){
+            problem("formatVersion", "must be 1 or " + TYPED_JSON_FORMAT_VERSION);
+        }
+        var typed = json.formatVersion >= TYPED_JSON_FORMAT_VERSION;
 
-                        _count = 0;
-                        for(_col in _row.where){
-                            mainSql += (_count === 0 ? " WHERE " : " AND ") + _col + "='" + sanitiseForSql(_row.where[_col]) + "'";
-                            _count++;
+        if(json.hasOwnProperty("structure")){
+            validateObject(json.structure, "structure", ["tables", "indexes", "views", "triggers", "otherSQL"], problem, function(value, path, key){
+                if(key === "otherSQL"){
+                    if(!Array.isArray(value)){
+                        problem(path, "must be an array");
+                        return;
+                    }
+                    for(var i = 0; i < value.length; i++){
+                        if(typeof(value[i]) !== "string"){
+                            problem(path + "[" + i + "]", "must be a string");
                         }
-
-                        mainSql += separator;
                     }
+                    return;
                 }
-            }
+                validateObject(value, path, null, problem, function(value, path){
+                    if(typeof(value) !== "string"){
+                        problem(path, "must be a string");
+                    }else if(key === "tables" && !trimWhitespace(value).match(/^\(/)){
+                        problem(path, "must be a table definition in parentheses, e.g. \"([Id] PRIMARY KEY, [Title])\"");
+                    }
+                });
+            });
+        }
 
-            // If creating indexes, do it in a different transaction after other SQL to optimise performance
-            if(createIndexSql){
-                sqlitePorter.importSqlToDb(db, mainSql, extend({}, opts, {
-                    successFn:function(mainTotalCount){
-                        sqlitePorter.importSqlToDb(db, createIndexSql, extend({}, opts, {
-                            successFn:function(totalCount){
-                                if(opts.successFn){
-                                    opts.successFn(mainTotalCount+totalCount);
+        if(json.hasOwnProperty("data")){
+            validateObject(json.data, "data", ["inserts", "updates", "deletes"], problem, function(value, path, key){
+                validateObject(value, path, null, problem, function(rows, path){
+                    if(!Array.isArray(rows)){
+                        problem(path, "must be an array");
+                        return;
+                    }
+                    for(var i = 0; i < rows.length; i++){
+                        var rowPath = path + "[" + i + "]";
+                        if(key === "updates"){
+                            validateObject(rows[i], rowPath, ["set", "where"], problem, function(value, path){
+                                validateRow(value, path, typed, problem);
+                            });
+                            if(isObject(rows[i])){
+                                if(!isObject(rows[i].set) || Object.keys(rows[i].set).length === 0){
+                                    if(!rows[i].hasOwnProperty("set")) problem(rowPath + ".set", "is required");
+                                    else if(isObject(rows[i].set)) problem(rowPath + ".set", "must contain at least one field");
                                 }
-                            },
-                            progressFn:function(count, totalCount){
-                                if(opts.progressFn){
-                                    opts.progressFn(mainTotalCount+count, mainTotalCount+totalCount);
+                                if(!rows[i].hasOwnProperty("where")){
+                                    problem(rowPath + ".where", "is required");
                                 }
                             }
-                        }));
+                        }else{
+                            validateRow(rows[i], rowPath, typed, problem);
+                        }
                     }
-                }));
-            }else{
-                sqlitePorter.importSqlToDb(db, mainSql, opts);
-            }
-
-        }catch(e){
-            e.message = "Failed to parse JSON structure to SQL: "+ e.message;
-            if(opts.errorFn){
-                opts.errorFn(e);
-            }else{
-                console.error(e.message);
-            }
+                });
+            });
         }
+
+        if(json.hasOwnProperty("watermarks")){
+            validateObject(json.watermarks, "watermarks", null, problem, function(value, path){
+                validateValue(value, path, true, problem);
+            });
+        }
+        return problems;
+    };
+
+    /**
+     * Unwraps the SQL or JSON exported in an envelope by exportDbToSql() or exportDbToJson() with the <code>envelope</code> option,
+     * verifying its checksum and decrypting and decompressing it.
+     * importSqlToDb() and importJsonToDb() unwrap envelopes automatically, so this is only needed to inspect one.
+     * @param {string/object} envelope - envelope, as either a JSON string or object
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute once the envelope is unwrapped, called with arguments:
+     *      <ul>
+     *          <li>{string} payload - exported SQL or JSON string.</li>
+     *          <li>{object} metadata - properties of the envelope other than its payload, including <code>type</code> ("sql" or "json"),
+     *          <code>created</code>, <code>schemaVersion</code> and <code>tables</code>.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute if the envelope cannot be unwrapped, e.g. because its checksum does not match or the passphrase is wrong, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{string} passphrase - passphrase to decrypt the envelope with, if it is encrypted.</li>
+     * </ul>
+     * @return {Promise} if neither successFn nor errorFn are specified, a Promise which is resolved with an object containing the <code>payload</code> and <code>metadata</code>, or rejected with the error.
+     */
+    sqlitePorter.unwrapEnvelope = function (envelope, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts, function(payload, metadata){
+            return {payload: payload, metadata: metadata};
+        });
+        var parsed = parseEnvelope(envelope);
+        if(!parsed){
+            handleError(opts, new Error("Failed to unwrap envelope: not an envelope exported by sqlitePorter"));
+            return promise;
+        }
+        openEnvelope(parsed, opts, function(payload){
+            var metadata = extend({}, parsed);
+            delete metadata.payload;
+            if(opts.successFn){
+                opts.successFn(payload, metadata);
+            }
+        }, function(error){
+            handleError(opts, error);
+        });
+        return promise;
+    };
+
+    /**
+     * Wipes a SQLite DB by dropping all tables, views, indexes and triggers, or by deleting all rows from its tables.
+     * Tables are dropped or emptied in reverse dependency order, so tables with foreign keys are dropped or emptied before the tables they reference.
+     * @param {Database} db - open SQLite database to wipe
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute once wipe is complete, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of statements executed: one for each object dropped or table emptied,
+     *          plus one in <code>truncate</code> mode to reset AUTOINCREMENT sequences if the database has any.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute on error during wipe, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{function} progressFn - callback function to execute after each successful statement, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of statements executed so far.</li>
+     *          <li>{integer} totalCount - total number of statements to execute.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{string} mode - how to wipe the database:
+     *      <ul>
+     *          <li>"drop" - drop tables, views, indexes and triggers. Indexes and triggers of tables and views which are dropped are dropped along with them.</li>
+     *          <li>"truncate" - delete all rows from tables, keeping their structure, and reset their AUTOINCREMENT sequences in <code>sqlite_sequence</code>.
+     *          DELETE triggers on the tables are fired for each row.</li>
+     *      <ul>
+     *  Defaults to "drop".</li>
+     *  <li>{array} tables - list of tables to wipe. Each item may be a table name, a glob pattern (e.g. "user_*") or a RegExp. If not specified, all tables are wiped.
+     *  Views, and the indexes and triggers of tables and views, are selected by the name of the table or view.</li>
+     *  <li>{array} excludeTables - list of tables to keep. Each item may be a table name, a glob pattern or a RegExp.</li>
+     *  <li>{array} types - in <code>drop</code> mode, types of objects to drop: any of "tables", "views", "indexes" and "triggers". Defaults to all of them.</li>
+     *  <li>{boolean} vacuum - if true, <code>VACUUM</code> is executed once the wipe has been committed, to reclaim the space freed.
+     *  Requires a database which provides an <code>executeSql()</code> method to execute statements outside a transaction, e.g. those of the Cordova SQLite plugins. Defaults to false.</li>
+     *  <li>{boolean} disableForeignKeys - if true, foreign key enforcement is turned off during the wipe, so no foreign key actions are performed. Defaults to false.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the count of statements executed or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
+     */
+    sqlitePorter.wipeDb = function (db, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(db, opts)) return promise;
+        var wipe = {
+            mode: opts.mode || "drop",
+            types: opts.types || WIPE_OBJECT_TYPES,
+            tables: opts.tables,
+            excludeTables: opts.excludeTables
+        };
+        if(WIPE_MODES.indexOf(wipe.mode) === -1){
+            handleError(opts, new Error("Invalid mode '" + wipe.mode + "'; expected one of: " + WIPE_MODES.join(", ")));
+            return promise;
+        }
+        for(var i = 0; i < wipe.types.length; i++){
+            if(WIPE_OBJECT_TYPES.indexOf(wipe.types[i]) === -1){
+                handleError(opts, new Error("Invalid type '" + wipe.types[i] + "'; expected any of: " + WIPE_OBJECT_TYPES.join(", ")));
+                return promise;
+            }
+        }
+        if(opts.vacuum && typeof(db.executeSql) !== "function"){
+            handleError(opts, new Error("The vacuum option requires a database which provides an executeSql() method to execute statements outside a transaction"));
+            return promise;
+        }
+
+        var runOpts = opts;
+        if(opts.vacuum){
+            // VACUUM cannot be executed within a transaction, so it is executed once the wipe has been committed and foreign key enforcement restored
+            runOpts = extend({}, opts, {
+                successFn: function(count){
+                    var sqlStatement = "VACUUM";
+                    db.executeSql(sqlStatement, [], function(){
+                        if(opts.successFn){
+                            opts.successFn(count);
+                        }
+                    }, function(error){
+                        handleQueryError(opts, error, sqlStatement);
+                    });
+                }
+            });
+        }
+        withForeignKeysDisabled(db, runOpts, function(runOpts){
+            executeStatements(db, [], extend({}, runOpts, {wipe: wipe}));
+        });
+        return promise;
+    };
+
+    /**
+     * Installs triggers which log the keys of rows deleted from tables, so the deletions can be included in incremental exports by exportDbToJson().
+     * Deletions are logged in the <code>sqlitePorter_deletes</code> table, which is created if it does not exist.
+     * Rows are identified by their primary key or, if the table has no primary key, by all their fields.
+     * Call again after changing the structure of a table to update its triggers.
+     * @param {Database} db - open SQLite database in which to track deletions
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute once the triggers are installed, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of statements executed.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute on error, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{array} tables - list of table names in which to track deletions. If not specified, deletions are tracked in all tables.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the count of statements executed or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
+     */
+    sqlitePorter.enableDeleteTracking = function (db, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(db, opts)) return promise;
+        var tableNames = [];
+
+        db.transaction(
+            function (transaction) {
+                var sqlQuery = "SELECT type, name, tbl_name, sql FROM sqlite_master";
+                transaction.executeSql(sqlQuery, [],
+                    function (transaction, results) {
+                        var tables = getSchemaObjects(results.rows, opts).tables;
+                        for (var i = 0; i < tables.length; i++) {
+                            if(tables[i].name !== DELETE_LOG_TABLE){
+                                tableNames.push(tables[i].name);
+                            }
+                        }
+                    },
+                    function (transaction, error) {
+                        handleQueryError(opts, error, sqlQuery);
+                    }
+                );
+            },
+            function (error) {
+                handleError(opts, error);
+            },
+            function () {
+                queryColumns(db, tableNames, opts, function(tableColumns){
+                    executeStatements(db, createDeleteTrackingStatements(tableColumns), opts);
+                });
+            });
+        return promise;
+    };
+
+    /**
+     * Migrates the schema of a SQLite DB by applying versioned migrations, each consisting of SQL statements or a JSON structure.
+     * The current version of the database is stored using <code>PRAGMA user_version</code>, or in a metadata table if <code>versionTable</code> is specified.
+     * Only migrations with a version greater than the current version are applied, in order, each in its own transaction along with the update of the version,
+     * so if a migration fails, the database is left at the version of the last successful migration.
+     * If a target version lower than the current version is specified, the down migrations are applied in reverse order to roll back to it.
+     * @param {Database} db - open SQLite database to migrate
+     * @param {array} migrations - list of migrations in ascending version order, each an object with properties:
+     * <ul>
+     *  <li>{integer} version - version of the database after the migration has been applied. Must be a positive integer.</li>
+     *  <li>{string/object} up - SQL statements or JSON structure (as for importJsonToDb()) which migrate the database to this version from the previous one.</li>
+     *  <li>{string/object} down - optional SQL statements or JSON structure which migrate the database from this version back to the previous one.</li>
+     * </ul>
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute once migration is complete, called with arguments:
+     *      <ul>
+     *          <li>{integer} version - version of the database after migration.</li>
+     *          <li>{integer} count - number of migrations applied.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute on error during migration, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error. Its <code>version</code> property contains the version of the migration which failed.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{function} progressFn - callback function to execute after each migration is applied, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of migrations applied so far.</li>
+     *          <li>{integer} totalCount - total number of migrations to apply.</li>
+     *          <li>{integer} version - version of the database after the migration.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{integer} targetVersion - version to migrate the database to. Defaults to the version of the last migration.
+     *  If lower than the current version, the database is rolled back using down migrations. Otherwise, the database is never rolled back.</li>
+     *  <li>{string} versionTable - name of a table in which to store the version, which is created if it does not exist.
+     *  If not specified, the version is stored using <code>PRAGMA user_version</code>.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the version of the database after migration or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
+     */
+    sqlitePorter.migrate = function (db, migrations, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(db, opts)) return promise;
+
+        for(var i = 0; i < migrations.length; i++){
+            var version = migrations[i].version;
+            if(typeof(version) !== "number" || version % 1 !== 0 || version < 1 || (i > 0 && version <= migrations[i - 1].version)){
+                handleError(opts, new Error("Invalid migration version '" + version + "' at index " + i + "; versions must be positive integers in ascending order"));
+                return promise;
+            }
+        }
+
+        queryVersion(db, opts, function(currentVersion){
+            try{
+                var steps = getMigrationSteps(migrations, currentVersion, opts.targetVersion);
+            }catch(e){
+                handleError(opts, e);
+                return;
+            }
+
+            var n = 0;
+            var applyStep = function () {
+                if(isCancelled(opts)){
+                    handleCancel(opts);
+                    return;
+                }
+                if(n >= steps.length){
+                    if(opts.successFn){
+                        opts.successFn(steps.length > 0 ? steps[steps.length - 1].toVersion : currentVersion, steps.length);
+                    }
+                    return;
+                }
+                var step = steps[n];
+                try{
+                    var statements = createMigrationStatements(step.script, opts);
+                }catch(e){
+                    e.message = "Failed to parse migration to version " + step.toVersion + ": " + e.message;
+                    e.version = step.toVersion;
+                    handleError(opts, e);
+                    return;
+                }
+                executeStatements(db, statements.concat(createVersionStatements(step.toVersion, opts)), {
+                    successFn: function () {
+                        n++;
+                        if(opts.progressFn){
+                            opts.progressFn(n, steps.length, step.toVersion);
+                        }
+                        applyStep();
+                    },
+                    errorFn: function (error) {
+                        error.version = step.toVersion;
+                        handleError(opts, error);
+                    },
+                    cancelFn: function () {
+                        handleCancel(opts);
+                    },
+                    cancellation: opts.cancellation
+                });
+            };
+            applyStep();
+        });
+        return promise;
+    };
+
+    /**
+     * Compares the table structure defined in a JSON structure against that of a SQLite DB, and optionally updates the database to match it,
+     * keeping the existing rows of changed tables.
+     * Tables are compared using the columns reported by <code>PRAGMA table_info</code> and their definitions, and indexes by their definitions.
+     * Views, triggers and <code>otherSQL</code> in the JSON structure are not compared.
+     * When applying the differences:
+     * <ul>
+     *  <li>Added tables are created.</li>
+     *  <li>Changed tables to which columns have only been added are altered using <code>ALTER TABLE ADD COLUMN</code> where possible.
+     *  Otherwise they are rebuilt: a new table is created with the new definition, the values of the columns in both definitions copied to it,
+     *  then the old table dropped and the new table renamed. Its triggers, all views and its indexes which are not in the JSON structure are recreated,
+     *  unless the <code>dropRemoved</code> option is specified, in which case those indexes are dropped.</li>
+     *  <li>Added and changed indexes, and those of rebuilt tables, are (re)created.</li>
+     *  <li>Removed tables and indexes are only dropped if the <code>dropRemoved</code> option is specified.</li>
+     * </ul>
+     * All changes are applied in a single transaction.
+     * Tables cannot be rebuilt while foreign key constraints are enforced, since dropping the old table would delete or violate references to it,
+     * so disable them using <code>PRAGMA foreign_keys = OFF</code> first.
+     * @param {Database} db - open SQLite database to compare
+     * @param {object} structure - <code>structure</code> section of a JSON structure, as for importJsonToDb()
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute once the comparison (and application) is complete, called with arguments:
+     *      <ul>
+     *          <li>{object} diff - differences between the database and the JSON structure, with properties:
+     *              <ul>
+     *                  <li>{object} tables - object with <code>added</code> and <code>removed</code> lists of table names and a <code>changed</code> map of table names
+     *                  to objects describing the changes to each table: <code>columns</code> (object with <code>added</code>, <code>removed</code> and <code>changed</code> lists of column names)
+     *                  and <code>rebuild</code> (true if the table must be rebuilt to apply the changes).</li>
+     *                  <li>{object} indexes - object with <code>added</code>, <code>removed</code> and <code>changed</code> lists of index names.</li>
+     *                  <li>{boolean} hasChanges - true if there are any differences.</li>
+     *              </ul>
+     *          </li>
+     *          <li>{integer} count - number of statements executed to apply the differences, if the <code>apply</code> option is specified.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute on error, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{function} progressFn - callback function to execute after each statement executed to apply the differences, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of statements executed so far.</li>
+     *          <li>{integer} totalCount - total number of statements to execute.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{boolean} apply - if true, the database is updated to match the JSON structure. Defaults to false.</li>
+     *  <li>{boolean} dropRemoved - if true, tables and indexes which are not in the JSON structure are dropped when applying the differences. Defaults to false.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the differences or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
+     */
+    sqlitePorter.diffStructure = function (db, structure, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(db, opts)) return promise;
+        if(typeof(structure) === "string"){
+            try{
+                structure = JSON.parse(structure);
+            }catch(e){
+                e.message = "Failed to parse JSON structure: " + e.message;
+                handleError(opts, e);
+                return promise;
+            }
+        }
+        structure = structure || {};
+
+        queryStructure(db, structure, opts, function(live, liveColumns, newColumns, foreignKeys){
+            var diff = compareStructure(live, liveColumns, structure, newColumns);
+            if(!opts.apply){
+                if(opts.successFn){
+                    opts.successFn(diff);
+                }
+                return;
+            }
+            for(var tableName in diff.tables.changed){
+                if(diff.tables.changed[tableName].rebuild && foreignKeys){
+                    handleError(opts, new Error("Unable to rebuild table '" + tableName + "' while foreign key constraints are enforced; execute PRAGMA foreign_keys = OFF first"));
+                    return;
+                }
+            }
+            executeStatements(db, createStructureStatements(diff, live, liveColumns, structure, newColumns, opts), extend({}, opts, {
+                successFn: function(count){
+                    if(opts.successFn){
+                        opts.successFn(diff, count);
+                    }
+                }
+            }));
+        });
+        return promise;
+    };
+
+    /**
+     * Compares the rows of a SQLite DB against those in the <code>data.inserts</code> of a JSON structure, e.g. to find how the database differs from a server export.
+     * Rows are matched by primary key, as reported by <code>PRAGMA table_info</code>. Only the tables in <code>data.inserts</code> are compared,
+     * and only the fields present in each row of the JSON structure are compared.
+     * The differences are returned as a JSON structure in the format imported by importJsonToDb(), so they can be reviewed, or imported to make the database match the JSON structure:
+     * <ul>
+     *  <li><code>data.inserts</code> contains the rows which are not in the database.</li>
+     *  <li><code>data.updates</code> contains the fields which differ in rows which are in both, with the primary key of each row as the <code>where</code> clause.</li>
+     *  <li><code>data.deletes</code> contains the primary keys of the rows which are in the database but not in the JSON structure.</li>
+     * </ul>
+     * Values are compared by their SQLite storage class if the JSON structure uses the typed format (<code>formatVersion: 2</code>), or otherwise by their string representation.
+     * @param {Database} db - open SQLite database to compare
+     * @param {string/object} json - JSON structure containing the rows to compare against, as either a JSON object or string
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute once the comparison is complete, called with arguments:
+     *      <ul>
+     *          <li>{object} changes - JSON structure containing the differences, with the same <code>formatVersion</code> as the compared JSON structure.
+     *          Sections with no differences are omitted.</li>
+     *          <li>{integer} count - total number of rows to insert, update or delete.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute on error, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{function} progressFn - callback function to execute after the rows of each table are read from the database, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of rows read so far from the table.</li>
+     *          <li>{integer} totalCount - total number of rows in the table.</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{array} tables - list of tables to compare. Each item may be a table name, a glob pattern (e.g. "user_*") or a RegExp. If not specified, all tables in the JSON structure are compared.</li>
+     *  <li>{array} excludeTables - list of tables not to compare. Each item may be a table name, a glob pattern or a RegExp.</li>
+     *  <li>{string} where - SQL expression which rows in the database must match to be compared, e.g. if the JSON structure was exported with the same expression.</li>
+     *  <li>{array} params - values of parameters bound to the <code>where</code> expression.</li>
+     *  <li>{array} keyColumns - names of the columns by which to match rows, for tables which have no primary key.</li>
+     *  <li>{object} tableOptions - map of table names to objects containing <code>where</code>, <code>params</code> and/or <code>keyColumns</code> options for that table,
+     *  which override those specified for all tables.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the JSON structure containing the differences or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
+     */
+    sqlitePorter.diffData = function (db, json, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(db, opts)) return promise;
+        try{
+            if(typeof(json) === "string"){
+                json = JSON.parse(json);
+            }
+            assertValidJson(json);
+        }catch(e){
+            e.message = "Failed to parse JSON structure: " + e.message;
+            handleError(opts, e);
+            return promise;
+        }
+
+        var typed = json.formatVersion === TYPED_JSON_FORMAT_VERSION,
+            inserts = (json.data && json.data.inserts) || {},
+            changes = {},
+            count = 0, tableNames = [];
+        if(typed){
+            changes.formatVersion = TYPED_JSON_FORMAT_VERSION;
+        }
+        changes.data = {inserts: {}, updates: {}, deletes: {}};
+        for(var tableName in inserts){
+            if(isTableIncluded(tableName, opts)){
+                tableNames.push(tableName);
+            }
+        }
+
+        queryColumns(db, tableNames, opts, function(tableColumns){
+            var keyColumns = {}, liveTables = [], queries = {};
+            for(var i = 0; i < tableNames.length; i++){
+                var tableName = tableNames[i];
+                if(tableColumns[tableName].length === 0){
+                    // The table does not exist, so all its rows must be inserted
+                    if(inserts[tableName].length > 0){
+                        changes.data.inserts[tableName] = inserts[tableName].slice();
+                        count += inserts[tableName].length;
+                    }
+                    continue;
+                }
+                keyColumns[tableName] = getTableOption(opts, tableName, "keyColumns") || getKeyColumns(tableColumns[tableName]);
+                if(keyColumns[tableName].length === 0){
+                    handleError(opts, new Error("Unable to match rows of table '" + tableName + "' as it has no primary key; specify the key columns using the keyColumns option"));
+                    return;
+                }
+                liveTables.push(tableName);
+                queries[tableName] = {where: getTableOption(opts, tableName, "where"), params: getTableOption(opts, tableName, "params")};
+            }
+
+            var readOpts = {typed: true, progressFn: opts.progressFn, errorFn: opts.errorFn, cancelFn: opts.cancelFn, cancellation: opts.cancellation};
+            readTables(db, liveTables, queries, readOpts, function(rows, tableName, progress, nextFn){
+                count += compareRows(rows, inserts[tableName], keyColumns[tableName], typed, tableName, changes.data);
+                nextFn();
+            }, function(){
+                for(var section in changes.data){
+                    if(Object.keys(changes.data[section]).length === 0){
+                        delete changes.data[section];
+                    }
+                }
+                if(opts.successFn){
+                    opts.successFn(changes, count);
+                }
+            });
+        });
+        return promise;
+    };
+
+    /**
+     * Exports the rows of a table as CSV, as defined by RFC 4180.
+     * Fields containing the delimiter, double quotes or line breaks are enclosed in double quotes, with double quotes escaped by doubling them.
+     * NULL values are exported as empty fields and empty strings as <code>""</code>, so they can be distinguished on import.
+     * BLOB values are exported as base64.
+     * @param {Database} db - open SQLite database to export
+     * @param {string} tableName - name of the table to export
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute after export is complete, with arguments:
+     *      <ul>
+     *          <li>{string} csv - exported CSV, or null if chunkFn is specified.</li>
+     *          <li>{integer} count - number of rows exported.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute on error during export, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{function} progressFn - callback function to execute after each set of rows is exported, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of rows exported so far.</li>
+     *          <li>{integer} totalCount - total number of rows to export.</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} chunkFn - if specified, the CSV is delivered in chunks via this callback rather than combined into a single string,
+     *  and rows are read in pages of <code>chunkSize</code> rows. Called with arguments:
+     *      <ul>
+     *          <li>{string} csv - CSV for the chunk: either the header row or a page of rows.</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *          <li>{object} progress - object with <code>count</code> and <code>totalCount</code> properties, or null for the header row.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{integer} chunkSize - maximum number of rows to read per chunk when chunkFn is specified. Defaults to 1000.</li>
+     *  <li>{string} delimiter - field delimiter. Defaults to ",".</li>
+     *  <li>{boolean} header - if true, the first row contains the column names. Defaults to true.</li>
+     *  <li>{string} lineSeparator - separator written after each row. Defaults to "\r\n".</li>
+     *  <li>{string} where, {array} params, {array} columns, {array} excludeColumns, {string} orderBy, {integer} limit - restrict the rows and columns exported, as for exportDbToJson().</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with an object containing the exported <code>csv</code> and row <code>count</code>, or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
+     */
+    sqlitePorter.exportTableToCsv = function (db, tableName, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts, function(csv, count){
+            return {csv: csv, count: count};
+        });
+        if(!isValidDB(db, opts)) return promise;
+        var delimiter = opts.delimiter || ",",
+            lineSeparator = opts.lineSeparator || "\r\n",
+            csv = "", count = 0, columns;
+        // Values are read by storage class so they can be formatted exactly as stored
+        opts.typed = true;
+
+        var addCsv = function (text, progress) {
+            if(opts.chunkFn){
+                if(text) opts.chunkFn(text, tableName, progress);
+            }else{
+                csv += text;
+            }
+        };
+
+        var exportRows = function (rows, tableName, progress, nextFn) {
+            var text = "";
+            for (var m = 0; m < rows.length; m++) {
+                var values = [];
+                for (var i = 0; i < columns.length; i++) {
+                    values.push(rows[m][columns[i].name]);
+                }
+                text += formatCsvRecord(values, delimiter) + lineSeparator;
+                count++;
+            }
+            addCsv(text, progress);
+            nextFn();
+        };
+
+        queryColumns(db, [tableName], opts, function(tableColumns){
+            if(tableColumns[tableName].length === 0){
+                handleError(opts, new Error("Table '" + tableName + "' does not exist"));
+                return;
+            }
+            columns = selectColumns(tableColumns[tableName], getTableOption(opts, tableName, "columns") || null, getTableOption(opts, tableName, "excludeColumns") || null);
+            if(opts.header !== false){
+                var names = [];
+                for (var i = 0; i < columns.length; i++) {
+                    names.push(columns[i].name);
+                }
+                addCsv(formatCsvRecord(names, delimiter) + lineSeparator, null);
+            }
+            readTables(db, [tableName], {}, opts, exportRows, function(){
+                if(opts.successFn){
+                    opts.successFn(opts.chunkFn ? null : csv, count);
+                }
+            });
+        });
+        return promise;
+    };
+
+    /**
+     * Imports rows from CSV, as defined by RFC 4180, into a table.
+     * Fields may be enclosed in double quotes, in which case they may contain the delimiter, line breaks and double quotes escaped by doubling them.
+     * Rows are inserted in the same way as for importJsonToDb(), so the batchInsertSize, conflictStrategy, keyColumns and atomic options may also be specified.
+     * @param {Database} db - open SQLite database to import into
+     * @param {string} tableName - name of the table to import into
+     * @param {string} csv - CSV to import
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute once import is complete, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - total number of statements executed.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute on error during import, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{function} progressFn - callback function to execute after each successful execution of SQL statement, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of statements executed so far.</li>
+     *          <li>{integer} totalCount - total number of statements to execute.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{string} delimiter - field delimiter. Defaults to ",".</li>
+     *  <li>{boolean} header - if true, the first row contains the names of the columns into which the fields are imported. Defaults to true.</li>
+     *  <li>{array} columns - names of the columns into which the fields are imported, if there is no header row.
+     *  If neither is present, the fields are imported into the columns of the table in order.</li>
+     *  <li>{boolean} emptyAsNull - if true, empty fields are imported as NULL, otherwise as empty strings.
+     *  Fields containing a quoted empty string (<code>""</code>) are always imported as empty strings. Defaults to true.</li>
+     *  <li>{integer} batchInsertSize - maximum number of rows to insert per SQL statement, as for importJsonToDb(). Defaults to 250.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the count of statements executed or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
+     */
+    sqlitePorter.importCsvToDb = function (db, tableName, csv, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(db, opts)) return promise;
+
+        try{
+            var records = parseCsv(csv, opts.delimiter || ",", opts.emptyAsNull === false ? "" : null);
+        }catch(e){
+            e.message = "Failed to parse CSV: " + e.message;
+            handleError(opts, e);
+            return promise;
+        }
+
+        var importRecords = function (columns, firstRow) {
+            var rows = [], json = {data: {inserts: {}}};
+            for (var i = 0; i < records.length; i++) {
+                var record = records[i], row = {};
+                if(record.length === 1 && (record[0] === null || record[0] === "") && columns.length > 1){
+                    continue; // Blank line
+                }
+                if(record.length !== columns.length){
+                    handleError(opts, new Error("Failed to parse CSV: row " + (i + firstRow) + " has " + record.length + " fields but " + columns.length + " were expected"));
+                    return;
+                }
+                for (var j = 0; j < columns.length; j++) {
+                    row[columns[j]] = record[j];
+                }
+                rows.push(row);
+            }
+            json.data.inserts[tableName] = rows;
+            sqlitePorter.importJsonToDb(db, json, opts);
+        };
+
+        if(opts.header !== false){
+            importRecords(records.shift() || [], 2);
+        }else if(opts.columns){
+            importRecords(opts.columns, 1);
+        }else{
+            queryColumns(db, [tableName], opts, function(tableColumns){
+                var columns = [];
+                for (var i = 0; i < tableColumns[tableName].length; i++) {
+                    columns.push(tableColumns[tableName][i].name);
+                }
+                if(columns.length === 0){
+                    handleError(opts, new Error("Table '" + tableName + "' does not exist"));
+                    return;
+                }
+                importRecords(columns, 1);
+            });
+        }
+        return promise;
     };
 
     /**
-     * Wipes a SQLite DB by dropping all tables.
-     * @param {Database} db - open SQLite database to wipe
-     * @param {object} opts - optional parameters:
-     * <ul>
-     *  <li>{function} successFn - callback function to execute once wipe is complete, called with arguments:
-     *      <ul>
-     *          <li>{integer} count - number of tables dropped.</li>
-     *      <ul>
-     *  </li>
-     *  <li>{function} errorFn - callback function to execute on error during wipe, called with arguments:
-     *      <ul>
-     *          <li>{object} error - object representing the error.</li>
-     *      <ul>
-     *  </li>
-     *  <li>{function} progressFn - callback function to execute after each successful table drop, called with arguments:
-     *      <ul>
-     *          <li>{integer} count - number of tables dropped so far.</li>
-     *          <li>{integer} totalCount - total number of tables to drop.</li>
-     *      <ul>
-     *  </li>
-     * </ul>
+     * Copies tables from one SQLite DB to another, e.g. from a bundled seed database into the app's main database.
+     * Rows are streamed from the source to the target in chunks, each inserted in its own transaction, so the tables need not be held in memory.
+     * Tables are copied in foreign key order, so each table is copied after the tables it references.
+     * Tables which do not exist in the target DB are created, and their indexes, triggers and views are created after their rows are copied.
+     * @param {Database} sourceDb - open SQLite database to copy from. Ignored if the <code>attach</code> option is specified.
+     * @param {Database} targetDb - open SQLite database to copy to
+     * @param {object} opts - optional parameters:
+     * <ul>
+     *  <li>{function} successFn - callback function to execute once the copy is complete, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of rows read from the source database.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} errorFn - callback function to execute on error during the copy, called with arguments:
+     *      <ul>
+     *          <li>{object} error - object representing the error.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} cancelFn - callback function to execute if the operation is cancelled. See Cancellation in the README.</li>
+     *  <li>{AbortSignal} signal - signal which cancels the operation when aborted.</li>
+     *  <li>{function} progressFn - callback function to execute after each set of table rows is copied, called with arguments:
+     *      <ul>
+     *          <li>{integer} count - number of rows copied so far from the table.</li>
+     *          <li>{integer} totalCount - total number of rows to copy from the table.</li>
+     *          <li>{string} tableName - name of the table.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{string} mode - how to copy tables which already exist in the target DB. One of:
+     *      <ul>
+     *          <li>"merge" - insert the rows into the existing table, updating the copied columns of existing rows with the same primary key (INSERT ... ON CONFLICT DO UPDATE),
+     *          so their other columns are kept and rows which reference them are not deleted. Rows of tables without a primary key replace those which conflict with them (INSERT OR REPLACE). Requires SQLite 3.24.0 or above.
+     *          This is the default.</li>
+     *          <li>"skipExisting" - insert the rows into the existing table, keeping existing rows which conflict with them (INSERT OR IGNORE).</li>
+     *          <li>"replace" - drop the existing table (along with its indexes and triggers) and recreate it with the structure and rows of the source table.</li>
+     *      </ul>
+     *  </li>
+     *  <li>{array} tables - list of tables to copy. Each item may be a table name, a glob pattern (e.g. "user_*") or a RegExp. If not specified, all tables will be copied.</li>
+     *  <li>{array} excludeTables - list of tables not to copy. Each item may be a table name, a glob pattern or a RegExp.</li>
+     *  <li>{string} where - SQL expression which copied rows must match, e.g. "user_id = ?".</li>
+     *  <li>{array} params - values of parameters bound to the <code>where</code> expression.</li>
+     *  <li>{array} columns - names of the columns to copy. If not specified, all columns are copied.</li>
+     *  <li>{array} excludeColumns - names of columns not to copy.</li>
+     *  <li>{string} orderBy - SQL expression by which to order copied rows.</li>
+     *  <li>{integer} limit - maximum number of rows to copy from each table.</li>
+     *  <li>{object} tableOptions - map of table names to objects containing <code>where</code>, <code>params</code>, <code>columns</code>, <code>excludeColumns</code>,
+     *  <code>orderBy</code> and/or <code>limit</code> options for that table, which override those specified for all tables.</li>
+     *  <li>{integer} chunkSize - maximum number of rows to read from the source DB and insert into the target DB per transaction. Defaults to 1000.</li>
+     *  <li>{integer} batchInsertSize - maximum number of rows to insert per SQL statement, as for importJsonToDb(). Defaults to 250.</li>
+     *  <li>{string} attach - if specified, the name of the source database file, which is attached to the connection of the target DB using <code>ATTACH DATABASE</code>,
+     *  so the rows are copied using <code>INSERT ... SELECT</code> statements without passing through JS, in a single transaction.
+     *  This requires the target DB to provide an <code>executeSql()</code> method which executes statements outside a transaction, as the native SQLite plugin does.
+     *  The source database is detached once the copy is complete.</li>
+     *  <li>{boolean} disableForeignKeys - if true, foreign key enforcement is turned off in the target DB during the copy, and the foreign keys of all rows are checked
+     *  using <code>PRAGMA foreign_key_check</code> once they have been copied. If any violations are found, an error is reported with a <code>violations</code> property listing them;
+     *  unless the <code>attach</code> option is specified, the rows which have already been copied are not rolled back. Defaults to false.</li>
+     * </ul>
+     * @return {Promise/object} if neither successFn nor errorFn are specified, a Promise which is resolved with the count of rows read from the source database or rejected with the error.
+     * Otherwise, an object. Either has a <code>cancel()</code> method which cancels the operation.
+     */
+    sqlitePorter.copyDb = function (sourceDb, targetDb, opts){
+        opts = extend({}, opts);
+        var promise = initCallbacks(opts);
+        if(!isValidDB(targetDb, opts) || (!opts.attach && !isValidDB(sourceDb, opts))) return promise;
+        var mode = opts.mode || "merge";
+        if(!COPY_MODES.hasOwnProperty(mode)){
+            handleError(opts, new Error("Invalid mode '" + mode + "'; expected one of: " + Object.keys(COPY_MODES).join(", ")));
+            return promise;
+        }
+        opts.mode = mode;
+
+        if(opts.attach && typeof(targetDb.executeSql) !== "function"){
+            handleError(opts, new Error("The attach option requires a database which provides an executeSql() method to execute statements outside a transaction"));
+            return promise;
+        }
+        withForeignKeysDisabled(targetDb, opts, function(opts){
+            if(opts.attach){
+                copyAttachedDb(targetDb, opts);
+            }else{
+                copyTables(sourceDb, targetDb, opts);
+            }
+        });
+        return promise;
+    };
+
+    /**
+     * Creates a database which can be passed to the other functions of this plugin from an adapter for a SQLite driver which does not provide
+     * a WebSQL-style <code>transaction()</code> method, e.g. sql.js, better-sqlite3, Node's sqlite3 or Capacitor SQLite.
+     * The transactions of the returned database are executed one at a time, using BEGIN, COMMIT and ROLLBACK statements unless the adapter provides its own transaction control.
+     * @param {object} adapter - adapter for the SQLite driver, with methods:
+     * <ul>
+     *  <li>{function} execute - executes a SQL statement which does not return rows, called with arguments:
+     *      <ul>
+     *          <li>{string} sql - SQL statement to execute.</li>
+     *          <li>{array} params - values to bind to the <code>?</code> placeholders in the statement.</li>
+     *          <li>{function} successFn - function to call once the statement has been executed, with an object with <code>rowsAffected</code> and (optionally) <code>insertId</code> properties.</li>
+     *          <li>{function} errorFn - function to call with an error if the statement fails.</li>
+     *      <ul>
+     *  </li>
+     *  <li>{function} query - executes a SQL statement which returns rows (e.g. a SELECT or PRAGMA statement), called with the same arguments as <code>execute</code>,
+     *  except that successFn is called with a list of rows, each an object mapping column names to values. PRAGMA statements which return no rows must be supported.</li>
+     *  <li>{function} begin, commit, rollback - optional methods to begin, commit or roll back a transaction, called with arguments successFn and errorFn.
+     *  If not specified, BEGIN, COMMIT and ROLLBACK statements are executed using <code>execute</code>.</li>
+     * </ul>
+     * @return {Database} database with WebSQL-style <code>transaction()</code>, <code>readTransaction()</code> and <code>executeSql()</code> methods
+     */
+    sqlitePorter.createAdapter = function (adapter){
+        if(!adapter || typeof adapter.execute !== "function" || typeof adapter.query !== "function"){
+            throw new Error("'adapter' argument must provide execute() and query() functions");
+        }
+        var queue = [], busy = false;
+
+        // Jobs are started asynchronously, as by WebSQL, so that chains of transactions started from callbacks do not grow the stack
+        var next = function(){
+            if(busy || queue.length === 0) return;
+            busy = true;
+            var job = queue.shift();
+            defer(function(){
+                job(function(){
+                    busy = false;
+                    next();
+                });
+            });
+        };
+        var schedule = function(job){
+            queue.push(job);
+            next();
+        };
+
+        var transaction = function(callback, errorCallback, successCallback){
+            schedule(function(done){
+                runAdapterTransaction(adapter, callback, function(error){
+                    done();
+                    if(errorCallback) errorCallback(error);
+                }, function(){
+                    done();
+                    if(successCallback) successCallback();
+                });
+            });
+        };
+
+        return {
+            adapter: adapter,
+            transaction: transaction,
+            readTransaction: transaction,
+            executeSql: function(sql, params, successFn, errorFn){
+                schedule(function(done){
+                    executeAdapterStatement(adapter, sql, params, function(resultSet){
+                        done();
+                        if(successFn) successFn(resultSet);
+                    }, function(error){
+                        done();
+                        if(errorFn) errorFn(error);
+                    });
+                });
+            }
+        };
+    };
+
+    /**
+     * Built-in adapters for common SQLite drivers, each of which returns a database which can be passed to the other functions of this plugin.
+     * <ul>
+     *  <li>webSql(db) - for WebSQL databases and those of the Cordova SQLite plugins (e.g. cordova-sqlite-storage), which are returned as they are.</li>
+     *  <li>sqlJs(database) - for a sql.js <code>Database</code>.</li>
+     *  <li>betterSqlite3(database) - for a better-sqlite3 <code>Database</code> in Node.</li>
+     *  <li>nodeSqlite3(database) - for a sqlite3 <code>Database</code> in Node.</li>
+     * </ul>
+     */
+    sqlitePorter.adapters = {
+        webSql: function(db){
+            if(!db || typeof db.transaction !== "function"){
+                throw new Error("'db' argument must provide a WebSQL-style transaction() function");
+            }
+            return db;
+        },
+        sqlJs: function(database){
+            return sqlitePorter.createAdapter({
+                execute: function(sql, params, successFn, errorFn){
+                    try{
+                        database.run(sql, params);
+                        var rowsAffected = database.getRowsModified(),
+                            insertId = database.exec("SELECT last_insert_rowid()")[0].values[0][0];
+                    }catch(e){
+                        errorFn(e);
+                        return;
+                    }
+                    successFn({rowsAffected: rowsAffected, insertId: insertId});
+                },
+                query: function(sql, params, successFn, errorFn){
+                    var rows = [], statement;
+                    try{
+                        statement = database.prepare(sql, params);
+                        while(statement.step()){
+                            rows.push(statement.getAsObject());
+                        }
+                    }catch(e){
+                        errorFn(e);
+                        return;
+                    }finally{
+                        if(statement) statement.free();
+                    }
+                    successFn(rows);
+                }
+            });
+        },
+        betterSqlite3: function(database){
+            return sqlitePorter.createAdapter({
+                execute: function(sql, params, successFn, errorFn){
+                    try{
+                        var info = database.prepare(sql).run(params);
+                    }catch(e){
+                        errorFn(e);
+                        return;
+                    }
+                    successFn({rowsAffected: info.changes, insertId: Number(info.lastInsertRowid)});
+                },
+                query: function(sql, params, successFn, errorFn){
+                    try{
+                        var statement = database.prepare(sql),
+                            rows = statement.reader ? statement.all(params) : (statement.run(params), []);
+                    }catch(e){
+                        errorFn(e);
+                        return;
+                    }
+                    successFn(rows);
+                }
+            });
+        },
+        nodeSqlite3: function(database){
+            return sqlitePorter.createAdapter({
+                execute: function(sql, params, successFn, errorFn){
+                    database.run(sql, params, function(error){
+                        if(error){
+                            errorFn(error);
+                        }else{
+                            successFn({rowsAffected: this.changes, insertId: this.lastID});
+                        }
+                    });
+                },
+                query: function(sql, params, successFn, errorFn){
+                    database.all(sql, params, function(error, rows){
+                        if(error){
+                            errorFn(error);
+                        }else{
+                            successFn(rows);
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+    /**
+     * Executes a list of SQL statements against the database in a single transaction.
+     * If any statement fails, the transaction is rolled back and the error reported with the failing statement.
+     * @param {Database} db - open SQLite database to execute statements against
+     * @param {array} statements - list of statements to execute, each either a SQL string or an object with <code>sql</code> and <code>params</code> properties,
+     * where <code>params</code> is a list of values to bind to the <code>?</code> placeholders in the SQL.
+     * @param {object} opts - options containing successFn, errorFn and progressFn callbacks as for importSqlToDb(), and optionally:
+     * <ul>
+     *  <li>{boolean/object} wipe - if specified, the database is wiped within the transaction before the statements are executed:
+     *  if true, all existing tables and views are dropped; otherwise, as specified by an object with wipeDb() <code>mode</code>, <code>types</code>,
+     *  <code>tables</code> and <code>excludeTables</code> options.</li>
+     *  <li>{boolean} dryRun - if true, the transaction is always rolled back after the statements have been executed.</li>
+     *  <li>{object} tableHooks - if specified, an object with optional <code>beforeTable</code> and <code>afterTable</code> functions, called as for importJsonToDb()
+     *  before the first and after the last of the statements which insert the rows of each table are executed.</li>
+     * </ul>
+     */
+    function executeStatements(db, statements, opts){
+        var totalCount = statements.length, currentCount = 0, completed = false, cancelled = false, checked = false, failure = null,
+            hookTable = null, hookCount = 0;
+
+        // Calls the table hooks when the statement to execute next inserts the rows of a different table to the previous one.
+        // Returns false if a hook threw an error, in which case the transaction is rolled back and the error reported.
+        var callTableHooks = function(tx, statement){
+            var tableName = statement && statement.operation === "inserts" ? statement.table : null;
+            if(tableName === hookTable) return true;
+            var hookName = hookTable;
+            try{
+                if(hookTable !== null && opts.tableHooks.afterTable){
+                    opts.tableHooks.afterTable(hookTable, hookCount);
+                }
+                hookTable = tableName;
+                hookCount = 0;
+                if(tableName !== null && opts.tableHooks.beforeTable){
+                    hookName = tableName;
+                    opts.tableHooks.beforeTable(tableName);
+                }
+            }catch(e){
+                e.message = "Failed to import table '" + hookName + "': " + e.message;
+                failure = e;
+                tx.executeSql(DRY_RUN_ROLLBACK_SQL, [], null, function(){
+                    return true;
+                });
+                return false;
+            }
+            return true;
+        };
+
+        db.transaction(function(tx) {
+            function applyStatements() {
+                if (isCancelled(opts)) {
+                    // Force the transaction to roll back and report the cancellation
+                    cancelled = true;
+                    tx.executeSql(DRY_RUN_ROLLBACK_SQL, [], null, function(){
+                        return true;
+                    });
+                } else if (opts.tableHooks && !callTableHooks(tx, statements[currentCount])) {
+                    return;
+                } else if (currentCount < totalCount) {
+                    var statement = statements[currentCount];
+                    if(typeof(statement) === "string"){
+                        statement = {sql: statement, params: []};
+                    }
+                    tx.executeSql(statement.sql, statement.params || [], function(){
+                        currentCount++;
+                        if(statement.operation === "inserts"){
+                            hookCount += statement.rowCount;
+                        }
+                        if(opts.progressFn){
+                            opts.progressFn(currentCount, totalCount);
+                        }
+                        applyStatements();
+                    }, function (tx, error) {
+                        if(statement.splitRows){
+                            // Locate the row which caused the batch insert to fail, then force the transaction to roll back and report the error
+                            locateFailedRow(tx, statement.splitRows(), function(tx, rowError, rowStatement){
+                                failure = describeStatementError(rowError || error, rowError ? rowStatement : statement);
+                                tx.executeSql(DRY_RUN_ROLLBACK_SQL, [], null, function(){
+                                    return true;
+                                });
+                            });
+                            return false;
+                        }
+                        // Report the error once the transaction has been rolled back
+                        failure = describeStatementError(error, statement);
+                        return true;
+                    });
+                } else if(opts.checkForeignKeys && !checked){
+                    checked = true;
+                    checkForeignKeys(tx, opts, function(tx, error){
+                        if(error){
+                            // Force the transaction to roll back and report the violations
+                            failure = error;
+                            tx.executeSql(DRY_RUN_ROLLBACK_SQL, [], null, function(){
+                                return true;
+                            });
+                        }else{
+                            applyStatements();
+                        }
+                    });
+                } else if(opts.dryRun){
+                    // Force the transaction to roll back by executing a statement which always fails
+                    completed = true;
+                    tx.executeSql(DRY_RUN_ROLLBACK_SQL, [], null, function(){
+                        return true;
+                    });
+                }
+            }
+
+            var start = function(tx){
+                if(opts.wipe){
+                    queryWipeStatements(tx, opts.wipe === true ? {} : opts.wipe, opts, function(tx, wipeStatements){
+                        statements = wipeStatements.concat(statements);
+                        totalCount = statements.length;
+                        applyStatements();
+                    });
+                }else{
+                    applyStatements();
+                }
+            };
+
+            if(opts.checkForeignKeys){
+                // Defer any foreign key enforcement which could not be turned off until the transaction is committed, by which point it has been checked
+                var deferSql = "PRAGMA defer_foreign_keys = ON";
+                tx.executeSql(deferSql, [], start, function(tx, error){
+                    handleQueryError(opts, error, deferSql);
+                });
+            }else{
+                start(tx);
+            }
+        }, function(error){
+            if(cancelled){
+                handleCancel(opts);
+            }else if(completed){
+                if(opts.successFn){
+                    opts.successFn(totalCount);
+                }
+            }else{
+                handleError(opts, failure || error);
+            }
+        }, function(){
+            if(opts.successFn){
+                opts.successFn(totalCount);
+            }
+        });
+    }
+
+    /**
+     * Copies tables for copyDb() by reading their rows from the source database in chunks and inserting each chunk into the target database in its own transaction.
+     * Tables are created before their rows are copied, and indexes, views and triggers afterwards.
+     * If foreign keys are being checked, they are checked once all rows have been copied, as the rows of each table are copied before the tables which reference it.
+     * @param {Database} sourceDb - open SQLite database to copy from
+     * @param {Database} targetDb - open SQLite database to copy to
+     * @param {object} opts - copyDb() options
+     */
+    function copyTables(sourceDb, targetDb, opts){
+        var schema, existing, count = 0;
+        var copyRows = function (plan, keyColumns) {
+            var readOpts = extend({}, opts, {typed: true, paged: true, progressFn: null});
+            readTables(sourceDb, plan.tableNames, {}, readOpts, function (rows, tableName, progress, nextFn) {
+                var next = function () {
+                    count += rows.length;
+                    if(opts.progressFn){
+                        opts.progressFn(progress.count, progress.totalCount, tableName);
+                    }
+                    nextFn();
+                };
+                if(rows.length === 0){
+                    next();
+                    return;
+                }
+                try{
+                    var statements = createInsertStatements(tableName, rows, opts.batchInsertSize || DEFAULT_BATCH_INSERT_SIZE, true, getCopyConflict(opts.mode, keyColumns[tableName])),
+                        offset = progress.count - rows.length;
+                }catch(e){
+                    handleError(opts, e);
+                    return;
+                }
+                for(var i = 0; i < statements.length; i++){
+                    // Report the index of a failed row within the table rather than the chunk
+                    offsetRowIndex(statements[i], offset);
+                }
+                executeStatements(targetDb, statements, extend({}, opts, {
+                    progressFn: null,
+                    checkForeignKeys: false,
+                    successFn: next
+                }));
+            }, function () {
+                executeStatements(targetDb, plan.schema, extend({}, opts, {
+                    progressFn: null,
+                    successFn: function () {
+                        if(opts.successFn){
+                            opts.successFn(count);
+                        }
+                    }
+                }));
+            });
+        };
+
+        sourceDb.transaction(
+            function (tx) {
+                var sqlQuery = "SELECT type, name, tbl_name, sql FROM sqlite_master";
+                tx.executeSql(sqlQuery, [],
+                    function (tx, rslt) {
+                        schema = getSchemaObjects(rslt.rows, opts);
+                    },
+                    function (tx, error) {
+                        handleQueryError(opts, error, sqlQuery);
+                    }
+                );
+            },
+            function (error) {
+                handleError(opts, error);
+            },
+            function () {
+                targetDb.transaction(
+                    function (tx) {
+                        queryCopyTargetObjects(tx, null, opts, function (tx, objects) {
+                            existing = objects;
+                        });
+                    },
+                    function (error) {
+                        handleError(opts, error);
+                    },
+                    function () {
+                        var plan = createCopyStatements(schema, existing, opts.mode, "");
+                        executeStatements(targetDb, plan.structure, extend({}, opts, {
+                            progressFn: null,
+                            checkForeignKeys: false,
+                            successFn: function () {
+                                // Rows are merged by the primary keys of the target tables, which now all exist
+                                queryColumns(targetDb, plan.tableNames, opts, function (tableColumns) {
+                                    var keyColumns = {};
+                                    for(var i = 0; i < plan.tableNames.length; i++){
+                                        keyColumns[plan.tableNames[i]] = getKeyColumns(tableColumns[plan.tableNames[i]]);
+                                    }
+                                    copyRows(plan, keyColumns);
+                                });
+                            }
+                        }));
+                    });
+            });
+    }
+
+    /**
+     * Copies tables for copyDb() from a source database attached to the connection of the target database, using <code>INSERT ... SELECT</code> statements in a single transaction.
+     * The source database is detached once the copy is complete, whether or not it succeeded.
+     * @param {Database} db - open SQLite database to copy to, which must provide an <code>executeSql()</code> method
+     * @param {object} opts - copyDb() options, containing the name of the source database file in the <code>attach</code> option
+     */
+    function copyAttachedDb(db, opts){
+        var schema, existing, columns = {}, keyColumns = {}, counts = {}, copied = 0,
+            attachSql = "ATTACH DATABASE ? AS " + sqlEscape(COPY_SOURCE_SCHEMA);
+
+        var detach = function (callbackFn) {
+            var done = function () {
+                callbackFn();
+            };
+            db.executeSql("DETACH DATABASE " + sqlEscape(COPY_SOURCE_SCHEMA), [], done, done);
+        };
+        var runOpts = extend({}, opts, {
+            successFn: function (count) {
+                detach(function () {
+                    if(opts.successFn){
+                        opts.successFn(count);
+                    }
+                });
+            },
+            errorFn: function (error) {
+                detach(function () {
+                    handleError(opts, error);
+                });
+            },
+            cancelFn: function () {
+                detach(function () {
+                    handleCancel(opts);
+                });
+            }
+        });
+
+        var queryTables = function (tx, tableNames) {
+            if(tableNames.length === 0) return;
+            var tableName = tableNames[0], query = createTableQuery(tableName, opts);
+            getTableColumns(tx, tableName, function (tx, tableColumns) {
+                columns[tableName] = selectColumns(tableColumns, query.columns, query.excludeColumns);
+                keyColumns[tableName] = getKeyColumns(tableColumns);
+                var sqlStatement = "SELECT COUNT(*) AS count FROM " + sqlEscape(COPY_SOURCE_SCHEMA) + "." + sqlEscape(tableName) + query.where;
+                tx.executeSql(sqlStatement, query.params,
+                    function (tx, rslt) {
+                        counts[tableName] = rslt.rows.item(0).count;
+                        if(query.limit !== null){
+                            counts[tableName] = Math.min(counts[tableName], query.limit);
+                        }
+                        if(COPY_MODES[opts.mode] !== "upsert" || !existing[tableName.toLowerCase()]){
+                            queryTables(tx, tableNames.slice(1));
+                            return;
+                        }
+                        // Rows are merged by the primary key of the existing table in the target database
+                        getTableColumns(tx, tableName, function (tx, targetColumns) {
+                            keyColumns[tableName] = getKeyColumns(targetColumns);
+                            queryTables(tx, tableNames.slice(1));
+                        }, runOpts, "main");
+                    },
+                    function (tx, error) {
+                        handleQueryError(runOpts, error, sqlStatement);
+                    }
+                );
+            }, runOpts, COPY_SOURCE_SCHEMA);
+        };
+
+        var copyTables = function () {
+            var plan = createCopyStatements(schema, existing, opts.mode, "main."), inserts = [];
+            for(var i = 0; i < plan.tableNames.length; i++){
+                var tableName = plan.tableNames[i], query = createTableQuery(tableName, opts);
+                if(columns[tableName].length === 0){
+                    handleError(runOpts, new Error("No columns selected for copy from table '" + tableName + "'"));
+                    return;
+                }
+                var columnNames = columns[tableName].map(function(column){
+                        return column.name;
+                    }),
+                    columnList = columnNames.map(sqlEscape).join(", "),
+                    conflict = getCopyConflict(opts.mode, keyColumns[tableName]),
+                    sql = CONFLICT_STRATEGIES[conflict.strategy] + " INTO main." + sqlEscape(tableName) + " (" + columnList + ") SELECT " + columnList
+                        + " FROM " + sqlEscape(COPY_SOURCE_SCHEMA) + "." + sqlEscape(tableName) + query.where;
+                if(conflict.strategy === "upsert" && !query.where){
+                    // Without a WHERE clause, the ON of the upsert clause would be parsed as a join constraint
+                    sql += " WHERE true";
+                }
+                if(query.orderBy){
+                    sql += " ORDER BY " + query.orderBy;
+                }
+                if(query.limit !== null){
+                    sql += " LIMIT " + query.limit;
+                }
+                if(conflict.strategy === "upsert"){
+                    sql += createUpsertClause(columnNames, conflict.keyColumns);
+                }
+                inserts.push({sql: sql, params: query.params, copyTable: tableName});
+            }
+            var statements = plan.structure.concat(inserts, plan.schema);
+            executeStatements(db, statements, extend({}, runOpts, {
+                progressFn: function (count) {
+                    var tableName = statements[count - 1].copyTable;
+                    if(tableName !== undefined){
+                        copied += counts[tableName];
+                        if(opts.progressFn){
+                            opts.progressFn(counts[tableName], counts[tableName], tableName);
+                        }
+                    }
+                },
+                successFn: function () {
+                    runOpts.successFn(copied);
+                }
+            }));
+        };
+
+        db.executeSql(attachSql, [opts.attach], function () {
+            db.transaction(
+                function (tx) {
+                    var sqlQuery = "SELECT type, name, tbl_name, sql FROM " + sqlEscape(COPY_SOURCE_SCHEMA) + ".sqlite_master";
+                    tx.executeSql(sqlQuery, [],
+                        function (tx, rslt) {
+                            schema = getSchemaObjects(rslt.rows, opts);
+                            queryCopyTargetObjects(tx, "main", runOpts, function (tx, objects) {
+                                existing = objects;
+                                queryTables(tx, schema.tables.map(function(table){
+                                    return table.name;
+                                }));
+                            });
+                        },
+                        function (tx, error) {
+                            handleQueryError(runOpts, error, sqlQuery);
+                        }
+                    );
+                },
+                function (error) {
+                    handleError(runOpts, error);
+                },
+                copyTables);
+        }, function (error) {
+            handleQueryError(opts, error, attachSql);
+        });
+    }
+
+    /**
+     * Queries the schema objects which already exist in the target database of copyDb().
+     * @param {SQLTransaction} tx - transaction in which to query the schema objects
+     * @param {string} schemaName - name of the database to query, e.g. "main", or null to query the default database
+     * @param {object} opts - options containing the errorFn callback to invoke on error
+     * @param {function} successFn - function to call with the transaction and a map of the lowercase names of the schema objects
+     * to objects with <code>type</code> and <code>table</code> (the lowercase name of the table the object belongs to) properties
+     */
+    function queryCopyTargetObjects(tx, schemaName, opts, successFn){
+        var sqlQuery = "SELECT type, name, tbl_name FROM " + (schemaName ? sqlEscape(schemaName) + "." : "") + "sqlite_master";
+        tx.executeSql(sqlQuery, [],
+            function (tx, rslt) {
+                var objects = {};
+                for (var i = 0; i < rslt.rows.length; i++) {
+                    var row = rslt.rows.item(i);
+                    objects[row.name.toLowerCase()] = {type: row.type, table: String(row.tbl_name).toLowerCase()};
+                }
+                successFn(tx, objects);
+            },
+            function (tx, error) {
+                handleQueryError(opts, error, sqlQuery);
+            }
+        );
+    }
+
+    /**
+     * Creates the statements which prepare the target database of copyDb() for the rows to be copied, and create the indexes, views and triggers afterwards.
+     * @param {object} schema - schema objects of the source database, as returned by getSchemaObjects()
+     * @param {object} existing - schema objects which exist in the target database, as returned by queryCopyTargetObjects()
+     * @param {string} mode - copy mode, as for copyDb()
+     * @param {string} prefix - prefix with which to qualify the names of tables dropped from the target database, e.g. "main."
+     * @return {object} object with properties:
+     * <ul>
+     *  <li>{array} tableNames - names of the tables to copy, ordered so that each follows the tables it references</li>
+     *  <li>{array} structure - statements to drop and/or create tables, to execute before the rows are copied</li>
+     *  <li>{array} schema - statements to create indexes, views and triggers, to execute after the rows are copied</li>
+     * </ul>
+     */
+    function createCopyStatements(schema, existing, mode, prefix){
+        var tableNames = [], definitions = {}, references = {}, dropped = {}, structure = [], statements = [], i;
+        for(i = 0; i < schema.tables.length; i++){
+            var table = schema.tables[i];
+            tableNames.push(table.name);
+            definitions[table.name] = table.sql;
+            references[table.name] = getDefinitionReferences(getTableDefinition(table.sql));
+        }
+        tableNames = sortTablesByReferences(tableNames, references);
+
+        if(mode === "replace"){
+            for(i = tableNames.length - 1; i >= 0; i--){
+                structure.push("DROP TABLE IF EXISTS " + prefix + sqlEscape(tableNames[i]));
+                dropped[tableNames[i].toLowerCase()] = true;
+            }
+        }
+        for(i = 0; i < tableNames.length; i++){
+            if(dropped[tableNames[i].toLowerCase()] || !existing[tableNames[i].toLowerCase()]){
+                structure.push(definitions[tableNames[i]]);
+            }
+        }
+
+        // Indexes and triggers are dropped along with their tables, but views are not
+        var objects = schema.indexes.concat(schema.views, schema.triggers);
+        for(i = 0; i < objects.length; i++){
+            var object = existing[objects[i].name.toLowerCase()];
+            if(!object || (object.type !== "view" && dropped[object.table])){
+                statements.push(objects[i].sql);
+            }
+        }
+        return {tableNames: tableNames, structure: structure, schema: statements};
+    }
+
+    /**
+     * Gets how copyDb() inserts the rows of a table which conflict with existing rows.
+     * In "merge" mode, rows are upserted by primary key so that the columns which are not copied are kept and rows which reference the existing rows are not deleted,
+     * unless the table has no primary key to upsert by, in which case conflicting rows are replaced.
+     * @param {string} mode - copy mode, as for copyDb()
+     * @param {array} keyColumns - names of the primary key columns of the table in the target database
+     * @return {object} conflict handling, as for createInsertStatements()
+     */
+    function getCopyConflict(mode, keyColumns){
+        var strategy = COPY_MODES[mode];
+        if(strategy === "upsert" && !(keyColumns && keyColumns.length > 0)){
+            strategy = "replace";
+        }
+        return {strategy: strategy, keyColumns: keyColumns};
+    }
+
+    /**
+     * Offsets the index of the first row inserted by a statement, and those of the statements which insert its rows individually.
+     * @param {object} statement - statement created by createInsertStatements()
+     * @param {integer} offset - number of rows to offset the index by
+     */
+    function offsetRowIndex(statement, offset){
+        var splitRows = statement.splitRows;
+        statement.rowIndex += offset;
+        if(splitRows){
+            statement.splitRows = function(){
+                var rowStatements = splitRows();
+                for(var i = 0; i < rowStatements.length; i++){
+                    offsetRowIndex(rowStatements[i], offset);
+                }
+                return rowStatements;
+            };
+        }
+    }
+
+    /**
+     * Maps the index of the first row inserted by a statement, and those of the statements which insert its rows individually, to the index of the row before it was transformed.
+     * @param {object} statement - statement created by createInsertStatements()
+     * @param {array} rowIndexes - original indexes of the transformed rows, as returned by transformRows()
+     */
+    function mapRowIndex(statement, rowIndexes){
+        var splitRows = statement.splitRows;
+        statement.rowIndex = rowIndexes[statement.rowIndex];
+        if(splitRows){
+            statement.splitRows = function(){
+                var rowStatements = splitRows();
+                for(var i = 0; i < rowStatements.length; i++){
+                    mapRowIndex(rowStatements[i], rowIndexes);
+                }
+                return rowStatements;
+            };
+        }
+    }
+
+    /**
+     * Executes the statements which insert the rows of a failed batch insert individually, to locate the row which caused the failure.
+     * Statements which fail have no effect, and the transaction is not rolled back.
+     * @param {SQLTransaction} tx - transaction in which the batch insert failed
+     * @param {array} rowStatements - statements which insert the rows of the batch individually
+     * @param {function} callbackFn - function to call with the transaction and the error and statement of the first row which failed,
+     * or just the transaction if none failed
+     */
+    function locateFailedRow(tx, rowStatements, callbackFn){
+        var n = 0;
+        var next = function(tx){
+            if(n >= rowStatements.length){
+                callbackFn(tx);
+                return;
+            }
+            var rowStatement = rowStatements[n++];
+            tx.executeSql(rowStatement.sql, rowStatement.params, next, function(tx, error){
+                callbackFn(tx, error, rowStatement);
+                return false;
+            });
+        };
+        next(tx);
+    }
+
+    /**
+     * Adds details of the statement which caused an error to the error.
+     * If the statement was created from a JSON structure, the table, index of the row and, if it can be determined from the error message, the field
+     * which caused the error are added, along with the JSON path to them, e.g. <code>data.inserts.users[42].age</code>.
+     * @param {object} error - error which occurred
+     * @param {object} statement - statement which caused the error
+     * @return {object} error
+     */
+    function describeStatementError(error, statement){
+        var message = "Failed to import SQL; message="+ error.message;
+        error.statement = statement.sql;
+        if(statement.params && statement.params.length > 0){
+            error.params = statement.params;
+        }
+        if(statement.table){
+            var match = error.message.match(/(?:(?:NOT NULL|UNIQUE|PRIMARY KEY) constraint failed: |has no column named )(?:[^\s.,]+\.)?([^\s.,]+)/);
+            error.table = statement.table;
+            error.rowIndex = statement.rowIndex;
+            error.path = appendJsonPath("data." + statement.operation, statement.table) + "[" + statement.rowIndex + "]";
+            if(statement.rowCount > 1){
+                // The row within the batch could not be located, so the path is that of its first row
+                error.rowCount = statement.rowCount;
+                message += " at " + error.path + " (in a batch of " + statement.rowCount + " rows)";
+            }else{
+                if(match){
+                    error.field = match[1];
+                    error.path = appendJsonPath(statement.operation === "updates" ? error.path + ".set" : error.path, error.field);
+                }
+                message += " at " + error.path;
+            }
+        }
+        error.message = message;
+        return error;
+    }
+
+    /**
+     * Queries the current schema version of the database, as stored by migrate().
+     * The database is not modified, so the version table is only read if it exists.
+     * @param {Database} db - open SQLite database to query
+     * @param {object} opts - migration options, containing the <code>versionTable</code> option and the errorFn callback to invoke on error
+     * @param {function} successFn - function to call with the current version, which is 0 if no version has been stored
+     */
+    function queryVersion(db, opts, successFn){
+        var version = 0;
+        db.transaction(
+            function (tx) {
+                var sqlStatement;
+                var readVersion = function (tx) {
+                    sqlStatement = opts.versionTable ? "SELECT MAX(version) AS version FROM " + sqlEscape(opts.versionTable) : "PRAGMA user_version";
+                    tx.executeSql(sqlStatement, [],
+                        function (tx, rslt) {
+                            var row = rslt.rows.item(0);
+                            version = (opts.versionTable ? row.version : row.user_version) || 0;
+                        },
+                        function (tx, error) {
+                            handleQueryError(opts, error, sqlStatement);
+                        }
+                    );
+                };
+                if(!opts.versionTable){
+                    readVersion(tx);
+                    return;
+                }
+                sqlStatement = "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ? COLLATE NOCASE";
+                tx.executeSql(sqlStatement, [opts.versionTable],
+                    function (tx, rslt) {
+                        if(rslt.rows.length > 0){
+                            readVersion(tx);
+                        }
+                    },
+                    function (tx, error) {
+                        handleQueryError(opts, error, sqlStatement);
+                    }
+                );
+            },
+            function (error) {
+                handleError(opts, error);
+            },
+            function () {
+                successFn(version);
+            });
+    }
+
+    /**
+     * Determines the migration steps required to migrate the database from its current version to the target version.
+     * @param {array} migrations - list of migrations in ascending version order, as for migrate()
+     * @param {integer} currentVersion - current version of the database
+     * @param {integer} targetVersion - version to migrate to, or undefined to migrate up to the version of the last migration
+     * @return {array} list of steps in the order to apply them, each an object with <code>script</code> (SQL or JSON structure to apply)
+     * and <code>toVersion</code> (version of the database after the step) properties
+     * @throws {Error} if a down migration is required but not defined
+     */
+    function getMigrationSteps(migrations, currentVersion, targetVersion){
+        var steps = [], i;
+        if(targetVersion === undefined || targetVersion === null){
+            targetVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+        }
+
+        if(targetVersion >= currentVersion){
+            for(i = 0; i < migrations.length; i++){
+                if(migrations[i].version > currentVersion && migrations[i].version <= targetVersion){
+                    steps.push({script: migrations[i].up, toVersion: migrations[i].version});
+                }
+            }
+            return steps;
+        }
+
+        var known = false;
+        for(i = 0; i < migrations.length; i++){
+            known = known || migrations[i].version === currentVersion;
+        }
+        if(!known){
+            throw new Error("Unable to migrate down from version " + currentVersion + " as there is no migration for that version");
+        }
+        for(i = migrations.length - 1; i >= 0; i--){
+            if(migrations[i].version <= currentVersion && migrations[i].version > targetVersion){
+                if(!migrations[i].down){
+                    throw new Error("Unable to migrate down from version " + migrations[i].version + " as it has no down migration");
+                }
+                steps.push({script: migrations[i].down, toVersion: i > 0 ? Math.max(migrations[i - 1].version, targetVersion) : targetVersion});
+            }
+        }
+        return steps;
+    }
+
+    /**
+     * Creates the statements for a migration step.
+     * @param {string/object} script - SQL statements or JSON structure, as for importJsonToDb()
+     * @param {object} opts - migration options, which may contain the batchInsertSize option for JSON structures
+     * @return {array} list of statements
+     */
+    function createMigrationStatements(script, opts){
+        if(typeof(script) === "string"){
+            return splitStatements(script);
+        }
+        if(script && typeof(script) === "object"){
+            assertValidJson(script);
+            var statements = createImportStatements(script, opts, {});
+            return statements.main.concat(statements.schema);
+        }
+        throw new Error("Migration must be a SQL string or JSON structure");
+    }
+
+    /**
+     * Creates the statements which store the schema version of the database for migrate().
+     * @param {integer} version - version to store
+     * @param {object} opts - migration options, containing the <code>versionTable</code> option
+     * @return {array} list of statements
+     */
+    function createVersionStatements(version, opts){
+        if(opts.versionTable){
+            return [
+                "CREATE TABLE IF NOT EXISTS " + sqlEscape(opts.versionTable) + " (version INTEGER NOT NULL)",
+                "DELETE FROM " + sqlEscape(opts.versionTable),
+                {sql: "INSERT INTO " + sqlEscape(opts.versionTable) + " (version) VALUES (?)", params: [version]}
+            ];
+        }
+        // PRAGMA values cannot be bound as parameters
+        return ["PRAGMA user_version = " + parseInt(version, 10)];
+    }
+
+    /**
+     * Queries the current structure of the database, and the columns of the tables defined in a JSON structure.
+     * The columns of each table in the JSON structure are determined by creating it with a temporary name in a transaction which is then rolled back.
+     * @param {Database} db - open SQLite database to query
+     * @param {object} structure - <code>structure</code> section of a JSON structure
+     * @param {object} opts - options containing the errorFn callback to invoke on error
+     * @param {function} successFn - function to call with arguments:
+     * <ul>
+     *  <li>{object} live - schema objects of the database, as returned by getSchemaObjects()</li>
+     *  <li>{object} liveColumns - map of table names to lists of columns in the database, as returned by getTableColumns()</li>
+     *  <li>{object} newColumns - map of table names to lists of columns in the JSON structure, as returned by getTableColumns()</li>
+     *  <li>{boolean} foreignKeys - true if foreign key constraints are enforced</li>
+     * </ul>
+     */
+    function queryStructure(db, structure, opts, successFn){
+        var live, liveColumns = {}, newColumns = {}, foreignKeys = false, completed = false, failure = null,
+            tableNames = [], newTableNames = [];
+        for(var tableName in structure.tables){
+            newTableNames.push(tableName);
+        }
+
+        db.transaction(
+            function (tx) {
+                var n = 0, sqlStatement;
+                var onError = function (tx, error) {
+                    // Report the error once the transaction has been rolled back
+                    failure = {error: error, statement: sqlStatement};
+                    return true;
+                };
+                var queryNewTable = function (tx) {
+                    if(n >= newTableNames.length){
+                        // Roll back the temporary tables
+                        completed = true;
+                        tx.executeSql(DRY_RUN_ROLLBACK_SQL, [], null, function(){
+                            return true;
+                        });
+                        return;
+                    }
+                    var tableName = newTableNames[n++], tempName = TEMP_TABLE_PREFIX + n;
+                    sqlStatement = "CREATE TABLE " + sqlEscape(tempName) + " " + structure.tables[tableName];
+                    tx.executeSql(sqlStatement, [], function (tx) {
+                        getTableColumns(tx, tempName, function (tx, columns) {
+                            newColumns[tableName] = columns;
+                            queryNewTable(tx);
+                        }, opts);
+                    }, function (tx, error) {
+                        error.message = "Invalid definition of table '" + tableName + "': " + error.message;
+                        return onError(tx, error);
+                    });
+                };
+                var queryLiveTable = function (tx) {
+                    if(n >= tableNames.length){
+                        n = 0;
+                        queryNewTable(tx);
+                        return;
+                    }
+                    var tableName = tableNames[n++];
+                    getTableColumns(tx, tableName, function (tx, columns) {
+                        liveColumns[tableName] = columns;
+                        queryLiveTable(tx);
+                    }, opts);
+                };
+
+                sqlStatement = "SELECT type, name, tbl_name, sql FROM sqlite_master";
+                tx.executeSql(sqlStatement, [], function (tx, results) {
+                    live = getSchemaObjects(results.rows, {});
+                    for (var i = 0; i < live.tables.length; i++) {
+                        tableNames.push(live.tables[i].name);
+                    }
+                    sqlStatement = "PRAGMA foreign_keys";
+                    tx.executeSql(sqlStatement, [], function (tx, rslt) {
+                        foreignKeys = rslt.rows.length > 0 && !!rslt.rows.item(0).foreign_keys;
+                        queryLiveTable(tx);
+                    }, onError);
+                }, onError);
+            },
+            function (error) {
+                if(completed){
+                    successFn(live, liveColumns, newColumns, foreignKeys);
+                }else if(failure){
+                    handleQueryError(opts, failure.error, failure.statement);
+                }else{
+                    handleError(opts, error);
+                }
+            },
+            function () {
+                // Only reached if the rollback statement unexpectedly succeeded
+                successFn(live, liveColumns, newColumns, foreignKeys);
+            });
+    }
+
+    /**
+     * Compares the structure of the database against that defined in a JSON structure.
+     * @param {object} live - schema objects of the database, as returned by getSchemaObjects()
+     * @param {object} liveColumns - map of table names to lists of columns in the database
+     * @param {object} structure - <code>structure</code> section of a JSON structure
+     * @param {object} newColumns - map of table names to lists of columns in the JSON structure
+     * @return {object} differences, as described for diffStructure()
+     */
+    function compareStructure(live, liveColumns, structure, newColumns){
+        var diff = {
+                tables: {added: [], removed: [], changed: {}},
+                indexes: {added: [], removed: [], changed: []},
+                hasChanges: false
+            },
+            liveTables = {}, liveIndexes = {}, newIndexes = structure.indexes || {}, name, i;
+
+        for(i = 0; i < live.tables.length; i++){
+            liveTables[live.tables[i].name.toLowerCase()] = live.tables[i];
+        }
+        for(name in structure.tables){
+            var liveTable = liveTables[name.toLowerCase()];
+            if(!liveTable){
+                diff.tables.added.push(name);
+                continue;
+            }
+            var changes = compareTable(getTableDefinition(liveTable.sql), liveColumns[liveTable.name], structure.tables[name], newColumns[name]);
+            if(changes){
+                diff.tables.changed[name] = changes;
+                diff.hasChanges = true;
+            }
+        }
+        for(i = 0; i < live.tables.length; i++){
+            if(!findKey(structure.tables, live.tables[i].name)){
+                diff.tables.removed.push(live.tables[i].name);
+            }
+        }
+
+        for(i = 0; i < live.indexes.length; i++){
+            liveIndexes[live.indexes[i].name.toLowerCase()] = live.indexes[i];
+            if(!findKey(newIndexes, live.indexes[i].name)){
+                diff.indexes.removed.push(live.indexes[i].name);
+            }
+        }
+        for(name in newIndexes){
+            var liveIndex = liveIndexes[name.toLowerCase()];
+            if(!liveIndex){
+                diff.indexes.added.push(name);
+            }else if(normaliseSql(liveIndex.sql) !== normaliseSql(newIndexes[name])){
+                diff.indexes.changed.push(name);
+            }
+        }
+
+        diff.hasChanges = diff.hasChanges || diff.tables.added.length > 0 || diff.tables.removed.length > 0
+            || diff.indexes.added.length > 0 || diff.indexes.removed.length > 0 || diff.indexes.changed.length > 0;
+        return diff;
+    }
+
+    /**
+     * Compares the definition of a table in the database against that in a JSON structure.
+     * @param {string} liveDefinition - definition of the table in the database, as returned by getTableDefinition()
+     * @param {array} liveColumns - columns of the table in the database
+     * @param {string} newDefinition - definition of the table in the JSON structure
+     * @param {array} newColumns - columns of the table in the JSON structure
+     * @return {object} changes, as described for diffStructure(), or null if the table is unchanged
+     */
+    function compareTable(liveDefinition, liveColumns, newDefinition, newColumns){
+        var columns = {added: [], removed: [], changed: []},
+            liveByName = {}, newByName = {}, i;
+        for(i = 0; i < liveColumns.length; i++){
+            liveByName[liveColumns[i].name.toLowerCase()] = liveColumns[i];
+        }
+        for(i = 0; i < newColumns.length; i++){
+            var column = newColumns[i], liveColumn = liveByName[column.name.toLowerCase()];
+            newByName[column.name.toLowerCase()] = column;
+            if(!liveColumn){
+                columns.added.push(column.name);
+            }else if((liveColumn.type || "").toUpperCase() !== (column.type || "").toUpperCase() || !liveColumn.notnull !== !column.notnull
+                || liveColumn.dflt_value !== column.dflt_value || liveColumn.pk !== column.pk){
+                columns.changed.push(column.name);
+            }
+        }
+        for(i = 0; i < liveColumns.length; i++){
+            if(!newByName[liveColumns[i].name.toLowerCase()]){
+                columns.removed.push(liveColumns[i].name);
+            }
+        }
+
+        // Columns can only be added using ALTER TABLE if the definition is otherwise unchanged and the new columns are allowed by SQLite
+        var liveItems = splitTableDefinition(liveDefinition), newItems = splitTableDefinition(newDefinition),
+            addedItems = [], keptItems = [];
+        for(i = 0; i < newItems.length; i++){
+            if(newItems[i].column && columns.added.indexOf(newItems[i].column) !== -1){
+                addedItems.push(newItems[i].sql);
+            }else{
+                keptItems.push(normaliseSql(newItems[i].sql));
+            }
+        }
+        var unchanged = keptItems.length === liveItems.length;
+        for(i = 0; unchanged && i < liveItems.length; i++){
+            unchanged = keptItems[i] === normaliseSql(liveItems[i].sql);
+        }
+        if(unchanged && columns.added.length === 0){
+            return null;
+        }
+
+        var rebuild = !unchanged || columns.removed.length > 0 || columns.changed.length > 0;
+        for(i = 0; !rebuild && i < addedItems.length; i++){
+            rebuild = !canAddColumn(addedItems[i]);
+        }
+        return {
+            columns: columns,
+            rebuild: rebuild
+        };
+    }
+
+    /**
+     * Splits a table definition into its column definitions and table constraints.
+     * @param {string} definition - table definition, as returned by getTableDefinition(), e.g. (id INTEGER PRIMARY KEY, name TEXT)
+     * @return {array} list of items, each an object with <code>sql</code> and, for column definitions, <code>column</code> (the column name) properties
+     */
+    function splitTableDefinition(definition){
+        var body = trimWhitespace(definition), items = [];
+        // Remove the enclosing parentheses and any table options such as WITHOUT ROWID, which are compared as a separate item
+        var end = body.lastIndexOf(")");
+        var options = trimWhitespace(body.substring(end + 1));
+        var list = splitSqlList(body.substring(body.indexOf("(") + 1, end));
+        for(var i = 0; i < list.length; i++){
+            var item = {sql: list[i]}, first = null;
+            scanSql(list[i], function(type, text){
+                if(first === null && type !== "comment" && trimWhitespace(text) !== ""){
+                    first = {type: type, text: text};
+                }
+            });
+            if(first && !(first.type === "word" && first.text.match(/^(CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN)$/i))){
+                item.column = sqlUnescape(first.text);
+            }
+            items.push(item);
+        }
+        if(options){
+            items.push({sql: options});
+        }
+        return items;
+    }
+
+    /**
+     * Determines whether a column definition can be added to an existing table using <code>ALTER TABLE ADD COLUMN</code>,
+     * which does not allow PRIMARY KEY or UNIQUE constraints, NOT NULL without a default value, or non-constant default values.
+     * @param {string} columnDefinition - column definition
+     * @return {boolean} true if the column can be added
+     */
+    function canAddColumn(columnDefinition){
+        var sql = normaliseSql(columnDefinition);
+        if(sql.match(/\b(primary\s+key|unique|generated|as\s*\()/)){
+            return false;
+        }
+        if(sql.match(/\bnot\s+null\b/) && !sql.match(/\bdefault\b/)){
+            return false;
+        }
+        return !sql.match(/\bdefault\s*\(|\bcurrent_(time|date|timestamp)\b/);
+    }
+
+    /**
+     * Creates the statements which update the database structure to match a JSON structure.
+     * @param {object} diff - differences, as returned by compareStructure()
+     * @param {object} live - schema objects of the database
+     * @param {object} liveColumns - map of table names to lists of columns in the database
+     * @param {object} structure - <code>structure</code> section of the JSON structure
+     * @param {object} newColumns - map of table names to lists of columns in the JSON structure
+     * @param {object} opts - options which may contain the <code>dropRemoved</code> option
+     * @return {array} list of SQL statements
+     */
+    function createStructureStatements(diff, live, liveColumns, structure, newColumns, opts){
+        var statements = [], rebuilt = {}, rebuilding = false, newIndexes = structure.indexes || {}, tableName, i;
+
+        for(tableName in diff.tables.changed){
+            if(diff.tables.changed[tableName].rebuild){
+                rebuilt[tableName.toLowerCase()] = true;
+                rebuilding = true;
+            }
+        }
+        // Views are dropped while tables are rebuilt, since renaming a table fails if a view references a missing table
+        if(rebuilding){
+            for(i = live.views.length - 1; i >= 0; i--){
+                statements.push("DROP VIEW IF EXISTS " + sqlEscape(live.views[i].name));
+            }
+        }
+
+        for(i = 0; i < diff.tables.added.length; i++){
+            tableName = diff.tables.added[i];
+            statements.push("CREATE TABLE " + sqlEscape(tableName) + " " + structure.tables[tableName]);
+        }
+
+        for(tableName in diff.tables.changed){
+            var liveTable = findSchemaObject(live.tables, tableName);
+            if(!diff.tables.changed[tableName].rebuild){
+                var items = splitTableDefinition(structure.tables[tableName]), added = diff.tables.changed[tableName].columns.added;
+                for(i = 0; i < items.length; i++){
+                    if(items[i].column && added.indexOf(items[i].column) !== -1){
+                        statements.push("ALTER TABLE " + sqlEscape(liveTable.name) + " ADD COLUMN " + items[i].sql);
+                    }
+                }
+                continue;
+            }
+
+            var tempName = sqlEscape(TEMP_TABLE_PREFIX + tableName), columns = [], liveByName = {};
+            for(i = 0; i < liveColumns[liveTable.name].length; i++){
+                liveByName[liveColumns[liveTable.name][i].name.toLowerCase()] = true;
+            }
+            for(i = 0; i < newColumns[tableName].length; i++){
+                if(liveByName[newColumns[tableName][i].name.toLowerCase()]){
+                    columns.push(sqlEscape(newColumns[tableName][i].name));
+                }
+            }
+            statements.push("DROP TABLE IF EXISTS " + tempName,
+                "CREATE TABLE " + tempName + " " + structure.tables[tableName]);
+            if(columns.length > 0){
+                statements.push("INSERT INTO " + tempName + " (" + columns.join(", ") + ") SELECT " + columns.join(", ") + " FROM " + sqlEscape(liveTable.name));
+            }
+            statements.push("DROP TABLE " + sqlEscape(liveTable.name),
+                "ALTER TABLE " + tempName + " RENAME TO " + sqlEscape(tableName));
+            // Indexes in the JSON structure are created below, and others are dropped along with the old table unless they are being kept
+            if(!opts.dropRemoved){
+                for(i = 0; i < live.indexes.length; i++){
+                    if(live.indexes[i].table.toLowerCase() === tableName.toLowerCase() && !findKey(newIndexes, live.indexes[i].name)){
+                        statements.push(live.indexes[i].sql);
+                    }
+                }
+            }
+            for(i = 0; i < live.triggers.length; i++){
+                if(live.triggers[i].table.toLowerCase() === tableName.toLowerCase()){
+                    statements.push(live.triggers[i].sql);
+                }
+            }
+        }
+
+        for(var indexName in newIndexes){
+            var liveIndex = findSchemaObject(live.indexes, indexName);
+            if(!liveIndex || diff.indexes.changed.indexOf(indexName) !== -1 || rebuilt[liveIndex.table.toLowerCase()]){
+                statements.push("DROP INDEX IF EXISTS " + sqlEscape(indexName), newIndexes[indexName]);
+            }
+        }
+
+        if(opts.dropRemoved){
+            for(i = 0; i < diff.indexes.removed.length; i++){
+                statements.push("DROP INDEX IF EXISTS " + sqlEscape(diff.indexes.removed[i]));
+            }
+            for(i = 0; i < diff.tables.removed.length; i++){
+                statements.push("DROP TABLE IF EXISTS " + sqlEscape(diff.tables.removed[i]));
+            }
+        }
+
+        if(rebuilding){
+            for(i = 0; i < live.views.length; i++){
+                statements.push(live.views[i].sql);
+            }
+        }
+        return statements;
+    }
+
+    /**
+     * Finds a key in an object, comparing case-insensitively as SQLite does for names.
+     * @param {object} object - object to search, may be undefined
+     * @param {string} name - name to find
+     * @return {string} matching key, or null if not found
+     */
+    function findKey(object, name){
+        for(var key in object){
+            if(key.toLowerCase() === name.toLowerCase()){
+                return key;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds a schema object by name, comparing case-insensitively as SQLite does for names.
+     * @param {array} objects - list of schema objects, as returned by getSchemaObjects()
+     * @param {string} name - name to find
+     * @return {object} matching schema object, or null if not found
+     */
+    function findSchemaObject(objects, name){
+        for(var i = 0; i < objects.length; i++){
+            if(objects[i].name.toLowerCase() === name.toLowerCase()){
+                return objects[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Normalises SQL for comparison by removing comments, unquoting identifiers, lower-casing it and collapsing whitespace, including that around punctuation.
+     * @param {string} sql - SQL to normalise
+     * @return {string} normalised SQL
+     */
+    function normaliseSql(sql){
+        var normalised = "";
+        scanSql(sql, function (type, text) {
+            if(type === "comment"){
+                normalised += " ";
+            }else if(type === "identifier"){
+                normalised += sqlUnescape(text);
+            }else{
+                normalised += text;
+            }
+        });
+        return trimWhitespace(normalised).toLowerCase().replace(/\s+/g, " ").replace(/\s*([(),;.])\s*/g, "$1");
+    }
+
+    /**
+     * Queries the statements required to wipe the database, by dropping tables, views, indexes and triggers or by deleting the rows of tables.
+     * Tables are dropped or emptied in reverse dependency order, so referencing tables are dropped or emptied before the tables they reference.
+     * @param {SQLTransaction} tx - transaction in which to execute the query
+     * @param {object} wipe - object with optional <code>mode</code>, <code>types</code>, <code>tables</code> and <code>excludeTables</code> properties, as for wipeDb().
+     * By default, all tables, views, indexes and triggers are dropped.
+     * @param {object} opts - options containing the errorFn callback to invoke on error
+     * @param {function} successFn - function to call with the transaction and the list of statements
+     */
+    function queryWipeStatements(tx, wipe, opts, successFn){
+        var sqlQuery = "SELECT type, name, tbl_name, sql FROM sqlite_master;";
+        tx.executeSql(sqlQuery, [],
+            function (tx, results) {
+                var schema = getSchemaObjects(results.rows, wipe),
+                    types = wipe.types || WIPE_OBJECT_TYPES,
+                    truncate = wipe.mode === "truncate",
+                    statements = [], dropped = {}, tableNames = [], hasSequences = false, i;
+
+                for (i = 0; i < results.rows.length; i++) {
+                    if(results.rows.item(i).name === "sqlite_sequence"){
+                        hasSequences = true;
+                    }
+                }
+                if(truncate || types.indexOf("tables") !== -1){
+                    for (i = 0; i < schema.tables.length; i++) {
+                        tableNames.push(schema.tables[i].name);
+                        dropped[schema.tables[i].name.toLowerCase()] = true;
+                    }
+                }
+                if(!truncate){
+                    if(types.indexOf("views") !== -1){
+                        for (i = 0; i < schema.views.length; i++) {
+                            statements.push("DROP VIEW IF EXISTS " + sqlEscape(schema.views[i].name));
+                            dropped[schema.views[i].name.toLowerCase()] = true;
+                        }
+                    }
+                    // Indexes and triggers are dropped along with their table or view, so are only dropped separately from those which are kept
+                    var dropObjects = function (type, objects, keyword) {
+                        if(types.indexOf(type) === -1) return;
+                        for (var i = 0; i < objects.length; i++) {
+                            if(!dropped[objects[i].table.toLowerCase()]){
+                                statements.push("DROP " + keyword + " IF EXISTS " + sqlEscape(objects[i].name));
+                            }
+                        }
+                    };
+                    dropObjects("triggers", schema.triggers, "TRIGGER");
+                    dropObjects("indexes", schema.indexes, "INDEX");
+                }
+
+                queryTableReferences(tx, tableNames, opts, function (tx, references) {
+                    var sorted = sortTablesByReferences(tableNames, references);
+                    for (var i = sorted.length - 1; i >= 0; i--) {
+                        statements.push((truncate ? "DELETE FROM " : "DROP TABLE IF EXISTS ") + sqlEscape(sorted[i]));
+                    }
+                    if(truncate && hasSequences && sorted.length > 0){
+                        statements.push({
+                            sql: "DELETE FROM sqlite_sequence WHERE name IN (" + sorted.map(function(){ return "?"; }).join(", ") + ")",
+                            params: sorted
+                        });
+                    }
+                    successFn(tx, statements);
+                });
+            },
+            function (tx, error) {
+                handleQueryError(opts, error, sqlQuery);
+            }
+        );
+    }
+
+    /**
+     * Queries the tables referenced by the foreign keys of each of the given tables, using <code>PRAGMA foreign_key_list</code>.
+     * @param {SQLTransaction} tx - transaction in which to query the foreign keys
+     * @param {array} tableNames - names of the tables to query
+     * @param {object} opts - options containing the errorFn callback to invoke on error
+     * @param {function} successFn - function to call with the transaction and a map of table names to lists of the names of the tables they reference
+     */
+    function queryTableReferences(tx, tableNames, opts, successFn){
+        var references = {}, n = 0;
+        var queryTable = function (tx) {
+            if(n >= tableNames.length){
+                successFn(tx, references);
+                return;
+            }
+            var tableName = tableNames[n++],
+                sqlStatement = "PRAGMA foreign_key_list(" + sqlEscape(tableName) + ")";
+            tx.executeSql(sqlStatement, [],
+                function (tx, rslt) {
+                    references[tableName] = [];
+                    for (var i = 0; i < rslt.rows.length; i++) {
+                        references[tableName].push(rslt.rows.item(i).table);
+                    }
+                    queryTable(tx);
+                },
+                function (tx, error) {
+                    handleQueryError(opts, error, sqlStatement);
+                }
+            );
+        };
+        queryTable(tx);
+    }
+
+    /**
+     * Gets the names of the tables referenced by the foreign keys in a table definition.
+     * @param {string} definition - table definition, e.g. <code>(id INTEGER PRIMARY KEY, parent_id INTEGER REFERENCES parent(id))</code>
+     * @return {array} list of referenced table names
+     */
+    function getDefinitionReferences(definition){
+        var references = [], afterReferences = false;
+        scanSql(definition, function(type, text){
+            if(type === "comment" || (type === "other" && !text.trim())) return;
+            if(afterReferences && (type === "word" || type === "identifier" || type === "string")){
+                references.push(sqlUnescape(text));
+            }
+            afterReferences = type === "word" && text.toUpperCase() === "REFERENCES";
+        });
+        return references;
+    }
+
+    /**
+     * Gets the columns of the primary key in a table definition or, if it has none, those of its first UNIQUE constraint.
+     * @param {string} definition - table definition, e.g. <code>(id INTEGER, name TEXT, PRIMARY KEY (id))</code>
+     * @return {array} names of the key columns, or an empty list if the table has no primary key or unique constraint
+     */
+    function getDefinitionKeyColumns(definition){
+        var items = splitTableDefinition(definition), primaryKey = null, unique = null;
+        for(var i = 0; i < items.length; i++){
+            var tokens = [], depth = 0;
+            scanSql(items[i].sql, function(type, text){
+                if(type !== "comment" && trimWhitespace(text) !== ""){
+                    tokens.push(text);
+                }
+            });
+            // Gets the column names from the list in parentheses which starts at a token, e.g. (a, b COLLATE NOCASE DESC)
+            var listColumns = function (start) {
+                var names = [], level = 0, expectName = false;
+                for(var k = start; k < tokens.length; k++){
+                    if(tokens[k] === "("){
+                        expectName = ++level === 1;
+                    }else if(tokens[k] === ")"){
+                        if(--level === 0) break;
+                    }else if(level === 1 && tokens[k] === ","){
+                        expectName = true;
+                    }else if(expectName){
+                        names.push(sqlUnescape(tokens[k]));
+                        expectName = false;
+                    }
+                }
+                return names;
+            };
+            for(var j = 0; j < tokens.length; j++){
+                var keyword = tokens[j].toUpperCase();
+                if(tokens[j] === "("){
+                    depth++;
+                }else if(tokens[j] === ")"){
+                    depth--;
+                }else if(depth === 0 && keyword === "PRIMARY" && (tokens[j + 1] || "").toUpperCase() === "KEY"){
+                    primaryKey = items[i].column ? [items[i].column] : listColumns(j + 2);
+                }else if(depth === 0 && keyword === "UNIQUE" && !unique){
+                    unique = items[i].column ? [items[i].column] : listColumns(j + 1);
+                }
+            }
+        }
+        return primaryKey || unique || [];
+    }
+
+    /**
+     * Sorts tables so that each table comes after the tables its foreign keys reference.
+     * Tables which reference each other are left in their given order.
+     * @param {array} tableNames - names of the tables to sort
+     * @param {object} references - map of table names to lists of the names of the tables they reference
+     * @return {array} sorted list of table names
+     */
+    function sortTablesByReferences(tableNames, references){
+        var byName = {}, visited = {}, sorted = [], i;
+
+        var visit = function (tableName) {
+            var key = tableName.toLowerCase();
+            if(visited[key]) return;
+            visited[key] = true;
+            var referenced = findKey(references, tableName) ? references[findKey(references, tableName)] : [];
+            for (var j = 0; j < referenced.length; j++) {
+                var referencedKey = referenced[j].toLowerCase();
+                if(byName.hasOwnProperty(referencedKey)){
+                    visit(byName[referencedKey]);
+                }
+            }
+            sorted.push(tableName);
+        };
+
+        for (i = 0; i < tableNames.length; i++) {
+            byName[tableNames[i].toLowerCase()] = tableNames[i];
+        }
+        for (i = 0; i < tableNames.length; i++) {
+            visit(tableNames[i]);
+        }
+        return sorted;
+    }
+
+    /**
+     * Executes a function with foreign key enforcement turned off if the <code>disableForeignKeys</code> option is specified,
+     * turning it back on once the function has called the success or error callback in the options passed to it.
+     * The options passed to the function specify the <code>checkForeignKeys</code> option, so executeStatements() checks foreign keys before committing.
+     * Since <code>PRAGMA foreign_keys</code> has no effect within a transaction, it is executed using <code>db.executeSql()</code>,
+     * so an error is reported if foreign key enforcement is on and the database does not provide it.
+     * @param {Database} db - open SQLite database
+     * @param {object} opts - options containing the successFn and errorFn callbacks
+     * @param {function} runFn - function to execute, called with the options to use
+     */
+    function withForeignKeysDisabled(db, opts, runFn){
+        if(!opts.disableForeignKeys){
+            runFn(opts);
+            return;
+        }
+        var enabled = false, restored = false;
+        var setForeignKeys = function(value, callbackFn){
+            var sqlStatement = "PRAGMA foreign_keys = " + (value ? "ON" : "OFF");
+            var errorFn = function(error){
+                handleQueryError(opts, error, sqlStatement);
+            };
+            db.executeSql(sqlStatement, [], function(){
+                callbackFn();
+            }, errorFn);
+        };
+        var restore = function(callbackFn){
+            return function(){
+                var args = arguments;
+                if(restored) return;
+                restored = true;
+                setForeignKeys(true, function(){
+                    if(callbackFn){
+                        callbackFn.apply(null, args);
+                    }
+                });
+            };
+        };
+
+        db.transaction(
+            function (tx) {
+                var sqlQuery = "PRAGMA foreign_keys";
+                tx.executeSql(sqlQuery, [],
+                    function (tx, rslt) {
+                        enabled = rslt.rows.length > 0 && !!rslt.rows.item(0).foreign_keys;
+                    },
+                    function (tx, error) {
+                        handleQueryError(opts, error, sqlQuery);
+                    }
+                );
+            },
+            function (error) {
+                handleError(opts, error);
+            },
+            function () {
+                if(!enabled){
+                    runFn(extend({}, opts, {checkForeignKeys: true}));
+                    return;
+                }
+                if(typeof(db.executeSql) !== "function"){
+                    handleError(opts, new Error("The disableForeignKeys option requires a database which provides an executeSql() method to execute statements outside a transaction"));
+                    return;
+                }
+                setForeignKeys(false, function(){
+                    runFn(extend({}, opts, {
+                        checkForeignKeys: true,
+                        successFn: restore(opts.successFn),
+                        errorFn: restore(opts.errorFn),
+                        cancelFn: opts.cancelFn ? restore(opts.cancelFn) : null
+                    }));
+                });
+            });
+    }
+
+    /**
+     * Checks the foreign keys of all rows in the database using <code>PRAGMA foreign_key_check</code>.
+     * @param {SQLTransaction} tx - transaction in which to check the foreign keys
+     * @param {object} opts - options containing the errorFn callback to invoke if the check cannot be executed
+     * @param {function} successFn - function to call with the transaction and, if any violations were found, an error whose <code>violations</code> property
+     * lists them as objects with <code>table</code>, <code>rowid</code>, <code>parent</code> and <code>fkid</code> properties
+     */
+    function checkForeignKeys(tx, opts, successFn){
+        var sqlStatement = "PRAGMA foreign_key_check";
+        tx.executeSql(sqlStatement, [],
+            function (tx, rslt) {
+                var violations = [], error = null;
+                for (var i = 0; i < rslt.rows.length; i++) {
+                    var row = rslt.rows.item(i);
+                    violations.push({table: row.table, rowid: row.rowid, parent: row.parent, fkid: row.fkid});
+                }
+                if(violations.length > 0){
+                    error = new Error("Failed to import SQL; message=" + violations.length + " foreign key violation(s), e.g. row " + violations[0].rowid
+                        + " of table '" + violations[0].table + "' references a missing row of table '" + violations[0].parent + "'");
+                    error.violations = violations;
+                }
+                successFn(tx, error);
+            },
+            function (tx, error) {
+                handleQueryError(opts, error, sqlStatement);
+            }
+        );
+    }
+
+    /**
+     * Normalises the statements of a dump created by the sqlite3 command-line <code>.dump</code> command so they can be executed in a single transaction:
+     * <ul>
+     *  <li>Transaction control statements and PRAGMAs (e.g. <code>PRAGMA foreign_keys=OFF</code>), which cannot be executed within a transaction, are removed.</li>
+     *  <li>Entries inserted into <code>sqlite_sequence</code> are merged into the existing entries rather than replacing them all,
+     *  since the entries of tables with AUTOINCREMENT keys are created automatically as their rows are inserted.</li>
+     *  <li>Virtual tables, which are dumped as inserts into <code>sqlite_master</code>, are created from their SQL.</li>
+     * </ul>
+     * @param {array} statements - list of statements, as returned by splitStatements()
+     * @return {array} list of normalised statements
+     */
+    function normaliseCliDump(statements){
+        var normalised = [], match;
+        for(var i = 0; i < statements.length; i++){
+            var statement = statements[i];
+            if(statement.match(/^(BEGIN|COMMIT|END|ROLLBACK)(\s+(DEFERRED|IMMEDIATE|EXCLUSIVE))?(\s+TRANSACTION)?$/i)
+                || statement.match(/^PRAGMA\s/i)
+                || statement.match(/^DELETE\s+FROM\s+["`[]?sqlite_sequence["`\]]?(\s|$)/i)){
+                continue;
+            }
+            if((match = statement.match(/^INSERT\s+INTO\s+["`[]?sqlite_sequence["`\]]?\s*VALUES\s*\(([\s\S]*)\)$/i))){
+                var values = splitSqlList(match[1]), name = values[0], seq = values[1];
+                normalised.push("UPDATE sqlite_sequence SET seq = " + seq + " WHERE name = " + name,
+                    "INSERT INTO sqlite_sequence (name, seq) SELECT " + name + ", " + seq + " WHERE NOT EXISTS (SELECT 1 FROM sqlite_sequence WHERE name = " + name + ")");
+                continue;
+            }
+            if((match = statement.match(/^INSERT\s+INTO\s+["`[]?sqlite_(master|schema)["`\]]?\s*(\([^)]*\))?\s*VALUES\s*\(([\s\S]*)\)$/i))){
+                var items = splitSqlList(match[3]);
+                normalised.push(parseSqlLiteral(items[items.length - 1]));
+                continue;
+            }
+            normalised.push(statement);
+        }
+        return normalised;
+    }
+
+    /**
+     * Splits a string of SQL into its individual statements, stripping comments and empty statements.
+     * Semicolons are only treated as statement separators if they are outside of quotes and comments (see scanSql()),
+     * and outside of the BEGIN ... END body of a CREATE TRIGGER statement.
+     * @param {string} sql - SQL statements
+     * @return {array} list of SQL statements, without trailing semicolons
+     */
+    function splitStatements(sql){
+        var statements = [], statement, words, triggerDepth, triggerBodyStarted;
+
+        var isTrigger = function(){
+            return words[0] === "CREATE" && (words[1] === "TRIGGER" || (words[2] === "TRIGGER" && (words[1] === "TEMP" || words[1] === "TEMPORARY")));
+        };
+
+        var endStatement = function(){
+            statement = trimWhitespace(statement || "");
+            if(statement){
+                statements.push(statement);
+            }
+            statement = "";
+            words = [];
+            triggerDepth = 0;
+            triggerBodyStarted = false;
+        };
+
+        endStatement();
+        scanSql(sql, function(type, text){
+            switch(type){
+                case "comment":
+                    statement += " ";
+                    break;
+                case "semicolon":
+                    if(isTrigger() && (!triggerBodyStarted || triggerDepth > 0)){
+                        statement += text;
+                    }else{
+                        endStatement();
+                    }
+                    break;
+                case "word":
+                    var word = text.toUpperCase();
+                    if(words.length < 3){
+                        words.push(word);
+                    }
+                    if(isTrigger()){
+                        if(word === "BEGIN" && !triggerBodyStarted){
+                            triggerBodyStarted = true;
+                            triggerDepth = 1;
+                        }else if(word === "CASE" && triggerDepth > 0){
+                            triggerDepth++;
+                        }else if(word === "END" && triggerDepth > 0){
+                            triggerDepth--;
+                        }
+                    }
+                    statement += text;
+                    break;
+                default:
+                    statement += text;
+            }
+        });
+        endStatement();
+        return statements;
+    }
+
+    /**
+     * Scans a string of SQL into tokens according to SQLite's lexical rules:
+     * <ul>
+     *  <li>'string literals', "quoted identifiers", `backtick identifiers` and [bracketed identifiers], in which quotes are escaped by doubling them.</li>
+     *  <li>-- line comments and /* block comments *&#47;.</li>
+     * </ul>
+     * @param {string} sql - SQL to scan
+     * @param {function} tokenFn - function to call with each token, called with arguments:
+     * <ul>
+     *  <li>{string} type - one of "string", "identifier" (a quoted identifier), "word" (a keyword or unquoted identifier), "comment", "semicolon" or "other"</li>
+     *  <li>{string} text - text of the token</li>
+     * </ul>
+     */
+    function scanSql(sql, tokenFn){
+        var i = 0, length = sql.length;
+        while(i < length){
+            var c = sql.charAt(i), next = sql.charAt(i + 1), end;
+            if(c === "-" && next === "-"){
+                end = sql.indexOf("\n", i);
+                end = end === -1 ? length : end;
+                tokenFn("comment", sql.substring(i, end));
+            }else if(c === "/" && next === "*"){
+                end = sql.indexOf("*/", i + 2);
+                end = end === -1 ? length : end + 2;
+                tokenFn("comment", sql.substring(i, end));
+            }else if(c === "'" || c === '"' || c === "`" || c === "["){
+                var close = c === "[" ? "]" : c;
+                end = i + 1;
+                while(end < length){
+                    if(sql.charAt(end) === close){
+                        if(close !== "]" && sql.charAt(end + 1) === close){
+                            end += 2;
+                            continue;
+                        }
+                        break;
+                    }
+                    end++;
+                }
+                end++;
+                tokenFn(c === "'" ? "string" : "identifier", sql.substring(i, end));
+            }else if(c === ";"){
+                end = i + 1;
+                tokenFn("semicolon", c);
+            }else if(wordCharRegEx.test(c)){
+                end = i + 1;
+                while(end < length && wordCharRegEx.test(sql.charAt(end))){
+                    end++;
+                }
+                tokenFn("word", sql.substring(i, end));
+            }else{
+                end = i + 1;
+                tokenFn("other", c);
+            }
+            i = end;
+        }
+    }
+
+    /**
+     * Removes the quotes from a quoted identifier: "my ""table""" => my "table".
+     * @param {string} value - quoted identifier
+     * @return {string} unquoted identifier
+     */
+    function sqlUnescape(value){
+        var c = value.charAt(0);
+        if(c === '"' || c === "'" || c === "`"){
+            return value.substring(1, value.length - 1).split(c + c).join(c);
+        }
+        if(c === "["){
+            return value.substring(1, value.length - 1);
+        }
+        return value;
+    }
+
+    /**
+     * Converts a JSON structure into the SQL statements which import it.
+     * @param {object} json - JSON structure to import
+     * @param {object} opts - import options
+     * @param {object} keyColumns - map of table names to lists of key columns for tables imported using the upsert conflict strategy
+     * for which key columns are not specified in the options
+     * @param {object} references - optional map of the names of existing tables to the names of the tables they reference
+     * @param {object} rowIndexes - optional map of table names to the original indexes of the rows in <code>data.inserts</code>, if they were transformed by transformRows(),
+     * so that errors report the original indexes of the rows
+     * @return {object} object with <code>main</code> (table structure and data) and <code>schema</code> (indexes, views and triggers) lists of statements
+     */
+    function createImportStatements(json, opts, keyColumns, references, rowIndexes){
+        var mainStatements = [], schemaStatements = [], tableReferences = extend({}, references), sorted;
+
+        if(json.structure){
+            for(var tableName in json.structure.tables){
+                tableReferences[tableName] = getDefinitionReferences(json.structure.tables[tableName]);
+            }
+            // Tables are dropped in reverse dependency order, so referencing tables are dropped before the tables they reference
+            sorted = sortTablesByReferences(Object.keys(json.structure.tables || {}), tableReferences);
+            for(var i = sorted.length - 1; i >= 0; i--){
+                mainStatements.push("DROP TABLE IF EXISTS " + sqlEscape(sorted[i]));
+            }
+            for(var i = 0; i < sorted.length; i++){
+                mainStatements.push("CREATE TABLE " + sqlEscape(sorted[i]) + json.structure.tables[sorted[i]]);
+            }
+            if(json.structure.otherSQL){
+                for(var i=0; i<json.structure.otherSQL.length; i++){
+                    var commands = splitStatements(json.structure.otherSQL[i]);
+                    for(var j=0; j<commands.length; j++){
+                        if(commands[j].match(/^CREATE\s+(UNIQUE\s+|TEMP\s+|TEMPORARY\s+)?(INDEX|VIEW|TRIGGER)\b/i)){
+                            schemaStatements.push(commands[j]);
+                        }else{
+                            mainStatements.push(commands[j]);
+                        }
+                    }
+                }
+            }
+            schemaStatements = schemaStatements.concat(createSchemaStatements(json.structure));
+        }
+
+        var batchInsertSize = opts.batchInsertSize ? opts.batchInsertSize : DEFAULT_BATCH_INSERT_SIZE,
+            typed = json.formatVersion >= TYPED_JSON_FORMAT_VERSION,
+            data = json.data || {};
+        if(data.inserts){
+            // Rows are inserted into referenced tables before the tables which reference them
+            sorted = sortTablesByReferences(Object.keys(data.inserts), tableReferences);
+            for(var n = 0; n < sorted.length; n++){
+                var tableName = sorted[n];
+                var conflict = {
+                    strategy: getTableOption(opts, tableName, "conflictStrategy"),
+                    keyColumns: getTableOption(opts, tableName, "keyColumns") || keyColumns[tableName]
+                };
+                if(!conflict.strategy){
+                    // Rows changed since an incremental export are merged into the existing rows rather than replacing them, unless the table has no key
+                    conflict.strategy = json.watermarks && conflict.keyColumns && conflict.keyColumns.length > 0 ? "upsert" : "replace";
+                }
+                var insertStatements = createInsertStatements(tableName, data.inserts[tableName], batchInsertSize, typed, conflict);
+                for(var i = 0; rowIndexes && rowIndexes[tableName] && i < insertStatements.length; i++){
+                    mapRowIndex(insertStatements[i], rowIndexes[tableName]);
+                }
+                mainStatements = mainStatements.concat(insertStatements);
+            }
+        }
+
+        if(data.deletes){
+            // Rows are deleted from referencing tables before the tables they reference
+            sorted = sortTablesByReferences(Object.keys(data.deletes), tableReferences);
+            for(var n = sorted.length - 1; n >= 0; n--){
+                var tableName = sorted[n];
+                for(var i=0; i < data.deletes[tableName].length; i++){
+                    var where = createWhereClause(data.deletes[tableName][i], typed);
+                    mainStatements.push({
+                        sql: "DELETE FROM " + sqlEscape(tableName) + where.sql,
+                        params: where.params,
+                        table: tableName,
+                        operation: "deletes",
+                        rowIndex: i,
+                        rowCount: 1
+                    });
+                }
+            }
+        }
+
+        if(data.updates){
+            var tableName, _row, i, _col, _set, _params, where;
+            for( tableName in data.updates){
+                for(i=0; i < data.updates[tableName].length; i++){
+                    _row = data.updates[tableName][i];
+                    _set = [];
+                    _params = [];
+                    for(_col in _row.set){
+                        _set.push(sqlEscape(_col) + " = " + bindValue(_row.set[_col], _params, typed));
+                    }
+                    where = createWhereClause(_row.where, typed);
+                    mainStatements.push({
+                        sql: "UPDATE " + sqlEscape(tableName) + " SET " + _set.join(", ") + where.sql,
+                        params: _params.concat(where.params),
+                        table: tableName,
+                        operation: "updates",
+                        rowIndex: i,
+                        rowCount: 1
+                    });
+                }
+            }
+        }
+
+        return {
+            main: mainStatements,
+            schema: schemaStatements
+        };
+    }
+
+    /**
+     * Queries the columns of each of the specified tables.
+     * @param {Database} db - open SQLite database to query
+     * @param {array} tableNames - names of tables to query
+     * @param {object} opts - options containing the errorFn callback to invoke on error
+     * @param {function} successFn - function to call with a map of table names to lists of columns, as returned by getTableColumns()
+     */
+    function queryColumns(db, tableNames, opts, successFn){
+        var tableColumns = {}, n = 0;
+        db.transaction(
+            function (tx) {
+                var queryTable = function (tx) {
+                    if(n >= tableNames.length) return;
+                    var tableName = tableNames[n++];
+                    getTableColumns(tx, tableName, function (tx, columns) {
+                        tableColumns[tableName] = columns;
+                        queryTable(tx);
+                    }, opts);
+                };
+                queryTable(tx);
+            },
+            function (error) {
+                handleError(opts, error);
+            },
+            function () {
+                successFn(tableColumns);
+            });
+    }
+
+    /**
+     * Gets the names of the primary key columns of a table.
+     * @param {array} columns - list of table columns, as returned by getTableColumns()
+     * @return {array} names of the primary key columns, in key order
+     */
+    function getKeyColumns(columns){
+        var keys = [];
+        for (var i = 0; i < columns.length; i++) {
+            if (columns[i].pk > 0) {
+                keys[columns[i].pk - 1] = columns[i].name;
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Compares the rows of a table in the database against those in a JSON structure for diffData(), adding the differences to a changeset.
+     * @param {array} liveRows - rows read from the database, with values encoded using the typed JSON format
+     * @param {array} rows - rows in the JSON structure
+     * @param {array} keyColumns - names of the columns by which to match rows
+     * @param {boolean} typed - true if the rows in the JSON structure are encoded using the typed JSON format
+     * @param {string} tableName - name of the table
+     * @param {object} changes - <code>data</code> section of the changeset, with <code>inserts</code>, <code>updates</code> and <code>deletes</code> maps of table names to lists of rows
+     * @return {integer} number of rows added to the changeset
+     */
+    function compareRows(liveRows, rows, keyColumns, typed, tableName, changes){
+        var liveByKey = {}, matched = {}, inserts = [], updates = [], deletes = [], i, field;
+        var getKey = function(row){
+            var values = [];
+            for(var j = 0; j < keyColumns.length; j++){
+                values.push(comparableValue(row[keyColumns[j]], typed));
+            }
+            return JSON.stringify(values);
+        };
+        var getWhere = function(row){
+            var where = {};
+            for(var j = 0; j < keyColumns.length; j++){
+                where[keyColumns[j]] = row[keyColumns[j]];
+            }
+            return where;
+        };
+
+        for(i = 0; i < liveRows.length; i++){
+            liveByKey[getKey(liveRows[i])] = liveRows[i];
+        }
+        for(i = 0; i < rows.length; i++){
+            var row = rows[i], key = getKey(row), liveRow = liveByKey.hasOwnProperty(key) && !matched[key] ? liveByKey[key] : null;
+            if(!liveRow){
+                inserts.push(row);
+                continue;
+            }
+            matched[key] = true;
+            var set = {}, changed = false;
+            for(field in row){
+                if(row.hasOwnProperty(field) && comparableValue(row[field], typed) !== comparableValue(liveRow[field], typed)){
+                    set[field] = row[field];
+                    changed = true;
+                }
+            }
+            if(changed){
+                updates.push({set: set, where: getWhere(row)});
+            }
+        }
+        for(var liveKey in liveByKey){
+            if(!matched[liveKey]){
+                deletes.push(getWhere(liveByKey[liveKey]));
+            }
+        }
+
+        if(inserts.length > 0) changes.inserts[tableName] = inserts;
+        if(updates.length > 0) changes.updates[tableName] = updates;
+        if(deletes.length > 0) changes.deletes[tableName] = deletes;
+        return inserts.length + updates.length + deletes.length;
+    }
+
+    /**
+     * Converts a value to a form in which it can be compared with the value it would be stored as when imported, for diffData().
+     * In the typed JSON format, values are compared by storage class, with booleans stored as 1/0.
+     * Otherwise, values are compared by their string representation, since they are stored according to the affinity of their column.
+     * @param {any} value - JSON value, or value read from the database and encoded using the typed JSON format
+     * @param {boolean} typed - true if the compared values are encoded using the typed JSON format
+     * @return {string/number} comparable value, or null for a null or undefined value
+     */
+    function comparableValue(value, typed){
+        if(value === null || value === undefined){
+            return null;
+        }
+        if(typeof(value) === "object" && typeof(value["$blob"]) === "string"){
+            return "X'" + base64ToHex(value["$blob"]).toUpperCase() + "'";
+        }
+        if(isIntValue(value)){
+            value = encodeInteger(value["$int"]);
+            return isIntValue(value) ? value["$int"] : value;
+        }
+        if(typeof(value) === "boolean"){
+            return typed ? (value ? 1 : 0) : String(value);
+        }
+        return typed ? value : String(value);
+    }
+
+    /**
+     * Gets the value of an option for a specific table, which may be specified for that table in <code>opts.tableOptions</code>,
+     * or otherwise for all tables in <code>opts</code>.
+     * @param {object} opts - options object
+     * @param {string} tableName - name of the table
+     * @param {string} name - name of the option
+     * @return {any} option value
+     */
+    function getTableOption(opts, tableName, name){
+        var tableOptions = opts.tableOptions && opts.tableOptions.hasOwnProperty(tableName) && opts.tableOptions[tableName];
+        if(tableOptions && tableOptions.hasOwnProperty(name)){
+            return tableOptions[name];
+        }
+        return opts[name];
+    }
+
+    /**
+     * Creates statements to install the triggers which log deletions from tables.
+     * Each deletion is logged with the SQL-quoted names and values of the key columns of the deleted row, as comma-separated lists.
+     * The log entry for a key is removed if a row with that key is inserted again, so that it is not exported as both inserted and deleted.
+     * @param {object} tableColumns - map of table names to lists of columns, as returned by getTableColumns()
+     * @return {array} list of SQL statements
+     */
+    function createDeleteTrackingStatements(tableColumns){
+        var statements = [
+            "CREATE TABLE IF NOT EXISTS " + sqlEscape(DELETE_LOG_TABLE) + " (id INTEGER PRIMARY KEY AUTOINCREMENT, table_name TEXT NOT NULL, key_columns TEXT NOT NULL, key TEXT NOT NULL)"
+        ];
+        for(var tableName in tableColumns){
+            var keys = getKeyColumns(tableColumns[tableName]), names = [], oldKey = [], newKey = [], i;
+            if(keys.length === 0){
+                for(i = 0; i < tableColumns[tableName].length; i++){
+                    keys.push(tableColumns[tableName][i].name);
+                }
+            }
+            for(i = 0; i < keys.length; i++){
+                names.push(sqlEscape(keys[i]));
+                oldKey.push("quote(OLD." + sqlEscape(keys[i]) + ")");
+                newKey.push("quote(NEW." + sqlEscape(keys[i]) + ")");
+            }
+            oldKey = oldKey.join(" || ',' || ");
+            newKey = newKey.join(" || ',' || ");
+
+            var table = sqlEscape(tableName),
+                tableLiteral = "'" + sanitiseForSql(tableName) + "'",
+                logDelete = "INSERT INTO " + sqlEscape(DELETE_LOG_TABLE) + " (table_name, key_columns, key) VALUES (" + tableLiteral + ", '" + sanitiseForSql(names.join(",")) + "', " + oldKey + ");",
+                unlogInsert = "DELETE FROM " + sqlEscape(DELETE_LOG_TABLE) + " WHERE table_name = " + tableLiteral + " AND key = " + newKey + ";",
+                triggers = {
+                    "delete": "AFTER DELETE ON " + table + " BEGIN " + logDelete + " END",
+                    "insert": "AFTER INSERT ON " + table + " BEGIN " + unlogInsert + " END",
+                    "update": "AFTER UPDATE ON " + table + " WHEN " + oldKey + " IS NOT " + newKey + " BEGIN " + logDelete + " " + unlogInsert + " END"
+                };
+            for(var event in triggers){
+                var triggerName = sqlEscape(getDeleteLogTriggerName(event, tableName));
+                statements.push("DROP TRIGGER IF EXISTS " + triggerName,
+                    "CREATE TRIGGER " + triggerName + " " + triggers[event]);
+            }
+        }
+        return statements;
+    }
+
+    /**
+     * Gets the name of a trigger which logs deletions from a table.
+     * @param {string} event - event on which the trigger fires: one of DELETE_LOG_EVENTS
+     * @param {string} tableName - name of the table
+     * @return {string} name of the trigger
+     */
+    function getDeleteLogTriggerName(event, tableName){
+        return DELETE_LOG_TABLE + "_" + event + "_" + tableName;
+    }
+
+    /**
+     * Queries the rows and deletions to include in an incremental export, and the new watermark of each table.
+     * The upper bound of each watermark is fixed before any rows are read, so rows changed during the export are included in the next one.
+     * @param {SQLTransaction} tx - transaction in which to execute the queries
+     * @param {array} tableNames - names of tables to export
+     * @param {object} opts - export options containing the <code>watermarks</code> of the previous export
+     * @param {function} successFn - function to call with arguments:
+     * <ul>
+     *  <li>{SQLTransaction} tx - the transaction</li>
+     *  <li>{object} queries - map of table names to queries for the changed rows of each table, as used by readTables()</li>
+     *  <li>{object} watermarks - map of table names to new watermarks</li>
+     *  <li>{object} deletes - map of table names to lists of deleted row keys, or null if deletions are not tracked</li>
+     * </ul>
+     */
+    function queryChanges(tx, tableNames, opts, successFn){
+        var queries = {}, watermarks = {}, n = 0;
+
+        var getSince = function (tableName) {
+            return opts.watermarks.hasOwnProperty(tableName) && opts.watermarks[tableName] !== undefined ? opts.watermarks[tableName] : null;
+        };
+
+        var queryDeletes = function (tx) {
+            var since = getSince(DELETE_LOG_TABLE), deletes = {}, exported = {};
+            for(var i = 0; i < tableNames.length; i++){
+                exported[tableNames[i]] = true;
+            }
+            var sqlStatement = "SELECT id, table_name, key_columns, key FROM " + sqlEscape(DELETE_LOG_TABLE) + (since === null ? "" : " WHERE id > ?") + " ORDER BY id";
+            tx.executeSql(sqlStatement, since === null ? [] : [since],
+                function (tx, rslt) {
+                    watermarks[DELETE_LOG_TABLE] = since;
+                    for(var i = 0; i < rslt.rows.length; i++){
+                        var entry = rslt.rows.item(i);
+                        watermarks[DELETE_LOG_TABLE] = entry.id;
+                        if(!exported[entry.table_name]) continue;
+                        var names = splitSqlList(entry.key_columns),
+                            values = splitSqlList(entry.key),
+                            where = {};
+                        for(var j = 0; j < names.length; j++){
+                            where[sqlUnescape(names[j])] = parseSqlLiteral(values[j], opts.typed);
+                        }
+                        deletes[entry.table_name] = deletes[entry.table_name] || [];
+                        deletes[entry.table_name].push(where);
+                    }
+                    successFn(tx, queries, watermarks, deletes);
+                },
+                function (tx, error) {
+                    handleQueryError(opts, error, sqlStatement);
+                }
+            );
+        };
+
+        var queryTable = function (tx) {
+            if(n >= tableNames.length){
+                var sqlStatement = "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name = ?";
+                tx.executeSql(sqlStatement, [DELETE_LOG_TABLE],
+                    function (tx, rslt) {
+                        if(rslt.rows.item(0).count > 0){
+                            queryDeletes(tx);
+                        }else{
+                            successFn(tx, queries, watermarks, null);
+                        }
+                    },
+                    function (tx, error) {
+                        handleQueryError(opts, error, sqlStatement);
+                    }
+                );
+                return;
+            }
+            // The column is qualified by the table name so that SQLite reports an error if it doesn't exist rather than treating it as a string literal
+            var tableName = tableNames[n++],
+                column = sqlEscape(tableName) + "." + sqlEscape(getTableOption(opts, tableName, "watermarkColumn") || "rowid"),
+                since = getSince(tableName);
+            var sqlStatement = "SELECT MAX(" + column + ") AS watermark FROM " + sqlEscape(tableName);
+            tx.executeSql(sqlStatement, [],
+                function (tx, rslt) {
+                    var watermark = rslt.rows.item(0).watermark;
+                    queries[tableName] = {
+                        where: (since === null ? "" : column + " > ? AND ") + column + " <= ?",
+                        params: since === null ? [watermark] : [since, watermark],
+                        orderBy: column
+                    };
+                    watermarks[tableName] = watermark === null ? since : watermark;
+                    queryTable(tx);
+                },
+                function (tx, error) {
+                    handleQueryError(opts, error, sqlStatement);
+                }
+            );
+        };
+
+        queryTable(tx);
+    }
+
+    /**
+     * Splits a comma-separated list of SQL literals, identifiers or definitions into its items, ignoring commas within quotes or parentheses.
+     * @param {string} sql - SQL list
+     * @return {array} list of items
+     */
+    function splitSqlList(sql){
+        var items = [], item = "", depth = 0;
+        scanSql(sql, function (type, text) {
+            if(type === "other" && text === "," && depth === 0){
+                items.push(trimWhitespace(item));
+                item = "";
+            }else{
+                if(type === "other"){
+                    depth += text === "(" ? 1 : text === ")" ? -1 : 0;
+                }
+                item += text;
+            }
+        });
+        items.push(trimWhitespace(item));
+        return items;
+    }
+
+    /**
+     * Parses a SQL literal as output by the SQLite <code>quote()</code> function into its value.
+     * @param {string} literal - SQL literal: NULL, a number, a 'string' or an X'hex' BLOB
+     * @param {boolean} typed - if true, BLOBs are returned as <code>{"$blob": base64}</code> objects and integers which a JS number cannot represent exactly
+     * as <code>{"$int": decimal}</code> objects, otherwise BLOBs are returned as hex strings
+     * @return {any} value
+     */
+    function parseSqlLiteral(literal, typed){
+        if(literal.match(/^NULL$/i)){
+            return null;
+        }
+        if(literal.charAt(0) === "'"){
+            return sqlUnescape(literal);
+        }
+        if(literal.match(/^X'/i)){
+            var hex = literal.substring(2, literal.length - 1);
+            return typed ? {"$blob": hexToBase64(hex)} : hex;
+        }
+        if(typed && literal.match(/^-?\d+$/)){
+            return encodeInteger(literal);
+        }
+        return Number(literal);
+    }
+
+    /**
+     * Creates statements to (re)create the indexes, views and triggers defined in a JSON structure.
+     * Each object is dropped if it already exists, then created; views are created in dependency order, and triggers last.
+     * @param {object} structure - <code>structure</code> section of a JSON structure
+     * @return {array} list of SQL statements
+     */
+    function createSchemaStatements(structure){
+        var statements = [], types = [["indexes", "INDEX"], ["views", "VIEW"], ["triggers", "TRIGGER"]];
+        for(var i = 0; i < types.length; i++){
+            var objects = structure[types[i][0]], list = [];
+            for(var name in objects){
+                if(objects.hasOwnProperty(name)){
+                    list.push({name: name, sql: objects[name]});
+                }
+            }
+            if(types[i][0] === "views"){
+                list = sortViews(list);
+            }
+            for(var j = 0; j < list.length; j++){
+                statements.push("DROP " + types[i][1] + " IF EXISTS " + sqlEscape(list[j].name), list[j].sql);
+            }
+        }
+        return statements;
+    }
+
+    /**
+     * Creates statements to insert rows into a table, using bound parameters so that values retain their JS types.
+     * Consecutive rows with the same fields are batched into a single multi-row INSERT statement,
+     * limited so the number of bound parameters stays within SQLite's maximum.
+     * @param {string} tableName - name of table to insert rows into
+     * @param {array} rows - list of row objects mapping field names to values
+     * @param {integer} batchInsertSize - maximum number of rows to insert per statement
+     * @param {boolean} typed - true if values are encoded using the typed JSON format
+     * @param {object} conflict - how to handle rows which conflict with existing rows, as an object with properties:
+     * <ul>
+     *  <li>{string} strategy - one of the keys of CONFLICT_STRATEGIES</li>
+     *  <li>{array} keyColumns - if strategy is "upsert", the columns of the primary key or unique constraint on which rows conflict</li>
+     * </ul>
+     * @return {array} list of statements with <code>sql</code> and <code>params</code> properties
+     */
+    function createInsertStatements(tableName, rows, batchInsertSize, typed, conflict){
+        var statements = [], fields = null, values = [], params = [], firstRow = 0;
+
+        if(!CONFLICT_STRATEGIES.hasOwnProperty(conflict.strategy)){
+            throw new Error("Invalid conflictStrategy '" + conflict.strategy + "' for table '" + tableName + "'");
+        }
+        if(conflict.strategy === "upsert" && !(conflict.keyColumns && conflict.keyColumns.length > 0)){
+            throw new Error("Unable to determine key columns for upsert into table '" + tableName + "'; specify them using the keyColumns option");
+        }
+
+        var flush = function(){
+            if(values.length === 0) return;
+            var _fields = [];
+            for(var i = 0; i < fields.length; i++){
+                _fields.push(sqlEscape(fields[i]));
+            }
+            var sql = CONFLICT_STRATEGIES[conflict.strategy] + " INTO " + sqlEscape(tableName) + " (" + _fields.join(",") + ") VALUES " + values.join(",");
+            if(conflict.strategy === "upsert"){
+                sql += createUpsertClause(fields, conflict.keyColumns);
+            }
+            var statement = {
+                sql: sql,
+                params: params,
+                table: tableName,
+                operation: "inserts",
+                rowIndex: firstRow,
+                rowCount: values.length
+            };
+            // A failed statement has no effect unless the conflict strategy is FAIL, so its rows can be inserted individually to locate the row which caused the failure
+            if(values.length > 1 && conflict.strategy !== "fail"){
+                var batchRows = rows.slice(firstRow, firstRow + values.length), batchFirstRow = firstRow;
+                statement.splitRows = function(){
+                    var rowStatements = createInsertStatements(tableName, batchRows, 1, typed, conflict);
+                    for(var i = 0; i < rowStatements.length; i++){
+                        rowStatements[i].rowIndex += batchFirstRow;
+                    }
+                    return rowStatements;
+                };
+            }
+            statements.push(statement);
+            values = [];
+            params = [];
+        };
+
+        for(var i = 0; i < rows.length; i++){
+            var _row = rows[i], _fields = [];
+            for(var col in _row){
+                if(_row.hasOwnProperty(col)) _fields.push(col);
+            }
+            if(_fields.length === 0){
+                flush();
+                fields = null;
+                statements.push({
+                    sql: CONFLICT_STRATEGIES[conflict.strategy] + " INTO " + sqlEscape(tableName) + " DEFAULT VALUES",
+                    params: [],
+                    table: tableName,
+                    operation: "inserts",
+                    rowIndex: i,
+                    rowCount: 1
+                });
+                continue;
+            }
+            if(!fields || fields.join("\u0000") !== _fields.join("\u0000")){
+                flush();
+                fields = _fields;
+            }
+            var maxRows = Math.max(1, Math.min(batchInsertSize, Math.floor(MAX_BOUND_PARAMETERS / fields.length)));
+            if(values.length === maxRows){
+                flush();
+            }
+            if(values.length === 0){
+                firstRow = i;
+            }
+            var placeholders = [];
+            for(var j = 0; j < fields.length; j++){
+                placeholders.push(bindValue(_row[fields[j]], params, typed));
+            }
+            values.push("(" + placeholders.join(",") + ")");
+        }
+        flush();
+        return statements;
+    }
+
+    /**
+     * Creates an upsert clause which, for rows conflicting on the key columns, updates just the other inserted fields of the existing row.
+     * @param {array} fields - names of the inserted fields
+     * @param {array} keyColumns - names of the columns of the primary key or unique constraint on which rows conflict
+     * @return {string} ON CONFLICT clause
+     */
+    function createUpsertClause(fields, keyColumns){
+        var keys = [], updates = [], isKey = {}, i;
+        for(i = 0; i < keyColumns.length; i++){
+            keys.push(sqlEscape(keyColumns[i]));
+            isKey[keyColumns[i].toLowerCase()] = true;
+        }
+        for(i = 0; i < fields.length; i++){
+            if(!isKey[fields[i].toLowerCase()]){
+                updates.push(sqlEscape(fields[i]) + " = excluded." + sqlEscape(fields[i]));
+            }
+        }
+        return " ON CONFLICT(" + keys.join(",") + ") DO " + (updates.length > 0 ? "UPDATE SET " + updates.join(", ") : "NOTHING");
+    }
+
+    /**
+     * Creates a WHERE clause matching the given field values, using bound parameters.
+     * @param {object} where - object mapping field names to values to match
+     * @param {boolean} typed - true if values are encoded using the typed JSON format
+     * @return {object} object with <code>sql</code> and <code>params</code> properties
+     */
+    function createWhereClause(where, typed){
+        var conditions = [], params = [];
+        for(var col in where){
+            if(!where.hasOwnProperty(col)) continue;
+            if(where[col] === null || where[col] === undefined){
+                conditions.push(sqlEscape(col) + " IS NULL");
+            }else{
+                conditions.push(sqlEscape(col) + " = " + bindValue(where[col], params, typed));
+            }
+        }
+        return {
+            sql: conditions.length > 0 ? " WHERE " + conditions.join(" AND ") : "",
+            params: params
+        };
+    }
+
+    /**
+     * Adds a JSON value to the list of parameters to bind to a SQL statement.
+     * In the typed JSON format, BLOBs encoded as <code>{"$blob": base64}</code> are instead inlined as hex literals,
+     * integers encoded as <code>{"$int": decimal}</code> are bound as strings and cast to integers,
+     * and booleans are converted to 1/0, since SQLite has no boolean storage class.
+     * @param {any} value - JSON value; undefined is bound as null
+     * @param {array} params - list of parameters to add to
+     * @param {boolean} typed - true if the value is encoded using the typed JSON format
+     * @return {string} SQL expression representing the value
+     */
+    function bindValue(value, params, typed){
+        if(typed){
+            if(value !== null && typeof(value) === "object" && typeof(value["$blob"]) === "string"){
+                return "X'" + base64ToHex(value["$blob"]) + "'";
+            }
+            if(isIntValue(value)){
+                params.push(value["$int"]);
+                return "CAST(? AS INTEGER)";
+            }
+            if(typeof(value) === "boolean"){
+                value = value ? 1 : 0;
+            }
+        }
+        params.push(value === undefined ? null : value);
+        return "?";
+    }
+
+    /**
+     * Reads the rows of each of the specified tables in turn.
+     * If a chunkFn is specified in the options (or the <code>paged</code> option, as by copyDb()), each table is read in pages of chunkSize rows,
+     * so that the whole table need not be held in memory at once.
+     * Each table and page is read in its own transaction, unless a transaction is specified in which to read them all, so they are read from the same snapshot of the database.
+     * In that case, rowsFn must call nextFn before returning, so the transaction is not committed before the next rows are read.
+     * If the typed option is specified, the SQLite storage class of each value is queried so BLOBs can be encoded as <code>{"$blob": base64}</code> objects.
+     * The rows and columns read from each table may be restricted by the where, params, columns, excludeColumns, orderBy and limit options,
+     * specified for all tables or for individual tables in <code>opts.tableOptions</code>.
+     * @param {Database} db - open SQLite database to read from
+     * @param {array} tableNames - names of tables to read
+     * @param {object} queries - map of table names to objects defining additional restrictions on the rows to read from that table, with properties:
+     * <ul>
+     *  <li>{string} where - SQL expression which rows must also match</li>
+     *  <li>{array} params - values of parameters bound to the <code>where</code> expression</li>
+     *  <li>{string} orderBy - SQL expression by which to order rows, if not specified in the options</li>
+     * </ul>
+     * @param {object} opts - export options
+     * @param {function} rowsFn - function to call with each set of rows read, called with arguments:
+     * <ul>
+     *  <li>{array} rows - row objects read from the table</li>
+     *  <li>{string} tableName - name of the table</li>
+     *  <li>{object} progress - progress of the table export as an object with <code>count</code> (rows read so far) and <code>totalCount</code> (rows to read) properties</li>
+     *  <li>{function} nextFn - function to call once the rows have been processed, to read the next set of rows</li>
+     * </ul>
+     * @param {function} doneFn - function to call once all tables have been read
+     * @param {SQLTransaction} snapshotTx - optional transaction in which to read all the tables
+     */
+    function readTables(db, tableNames, queries, opts, rowsFn, doneFn, snapshotTx){
+        var pageSize = opts.chunkFn || opts.paged ? (opts.chunkSize || DEFAULT_CHUNK_SIZE) : 0,
+            n = 0, tableName, query, columns, totalCount, offset, rowidName, lastRowid;
+
+        var inTransaction = function (fn) {
+            if(snapshotTx){
+                fn(snapshotTx);
+            }else{
+                readTransaction(db, fn, function (error) {
+                    handleError(opts, error);
+                });
+            }
+        };
+
+        var readRows = function (tx) {
+            var selectList = "*", limit = query.limit, where = query.where, params = query.params;
+            if(columns){
+                selectList = opts.typed ? createTypedSelectList(columns) : columns.map(function(column){
+                    return sqlEscape(column.name);
+                }).join(", ");
+            }
+            if(rowidName){
+                // Page by rowid rather than by offset so that rows written between pages are not skipped or read twice
+                selectList = rowidName + " AS " + ROWID_ALIAS + ", " + selectList;
+                if(lastRowid !== null){
+                    where = (where ? where + " AND " : " WHERE ") + rowidName + " > ?";
+                    params = params.concat([lastRowid]);
+                }
+            }
+            var sqlStatement = "SELECT " + selectList + " FROM " + sqlEscape(tableName) + where;
+            if(rowidName){
+                sqlStatement += " ORDER BY " + rowidName;
+            }else if(query.orderBy){
+                sqlStatement += " ORDER BY " + query.orderBy;
+            }
+            if(pageSize){
+                limit = limit === null ? pageSize : Math.min(pageSize, limit - offset);
+            }
+            if(limit !== null){
+                sqlStatement += " LIMIT " + limit + (rowidName ? "" : " OFFSET " + offset);
+            }
+            tx.executeSql(sqlStatement, params,
+                function (tx, rslt) {
+                    var rows = [];
+                    if (rslt.rows) {
+                        for (var m = 0; m < rslt.rows.length; m++) {
+                            var item = rslt.rows.item(m);
+                            if(rowidName){
+                                lastRowid = item[ROWID_ALIAS];
+                                item = extend({}, item);
+                                delete item[ROWID_ALIAS];
+                            }
+                            rows.push(opts.typed ? decodeTypedRow(item, columns) : encodeBinaryValues(item));
+                        }
+                    }
+                    offset += rows.length;
+                    if(totalCount === null){
+                        totalCount = offset;
+                    }
+                    rowsFn(rows, tableName, {count: offset, totalCount: totalCount}, function(){
+                        if(opts.progressFn){
+                            opts.progressFn(offset, totalCount, tableName);
+                        }
+                        if(isCancelled(opts)){
+                            handleCancel(opts);
+                        }else if(pageSize && rows.length === limit && offset < totalCount){
+                            inTransaction(readRows);
+                        }else{
+                            readTable();
+                        }
+                    });
+                },
+                function (tx, error) {
+                    handleQueryError(opts, error, sqlStatement);
+                }
+            );
+        };
+
+        var countRows = function (tx) {
+            if(!pageSize && !opts.progressFn){
+                readRows(tx);
+                return;
+            }
+            var sqlStatement = "SELECT COUNT(*) AS count FROM " + sqlEscape(tableName) + query.where;
+            tx.executeSql(sqlStatement, query.params,
+                function (tx, rslt) {
+                    totalCount = rslt.rows.item(0).count;
+                    if(query.limit !== null){
+                        totalCount = Math.min(totalCount, query.limit);
+                    }
+                    readRows(tx);
+                },
+                function (tx, error) {
+                    handleQueryError(opts, error, sqlStatement);
+                }
+            );
+        };
+
+        var readTable = function () {
+            if(isCancelled(opts)){
+                handleCancel(opts);
+                return;
+            }
+            if(n >= tableNames.length){
+                doneFn();
+                return;
+            }
+            tableName = tableNames[n++];
+            query = createTableQuery(tableName, opts, queries[tableName]);
+            columns = null;
+            totalCount = null;
+            offset = 0;
+            rowidName = null;
+            lastRowid = null;
+            inTransaction(function (tx) {
+                var selecting = opts.typed || query.columns || query.excludeColumns,
+                    paging = pageSize && !query.orderBy;
+                if(!selecting && !paging){
+                    countRows(tx);
+                    return;
+                }
+                getTableColumns(tx, tableName, function (tx, tableColumns) {
+                    if(selecting){
+                        columns = selectColumns(tableColumns, query.columns, query.excludeColumns);
+                        if(columns.length === 0){
+                            handleError(opts, new Error("No columns selected for export from table '" + tableName + "'"));
+                            return;
+                        }
+                    }
+                    if(!paging){
+                        countRows(tx);
+                        return;
+                    }
+                    getPagingOrder(tx, tableName, tableColumns, function (tx, name, orderBy) {
+                        rowidName = name;
+                        query.orderBy = orderBy;
+                        countRows(tx);
+                    }, opts);
+                }, opts);
+            });
+        };
+
+        readTable();
+    }
+
+    /**
+     * Wraps the functions passed to readTables() by an export so that the transformRow, beforeTable and afterTable hooks specified in the options are applied.
+     * beforeTable is called before the first rows of each table are exported, and afterTable once the last have been.
+     * If a hook throws an error, it is reported and the export stops.
+     * @param {object} opts - export options
+     * @param {function} rowsFn - function to call with each set of transformed rows, as for readTables()
+     * @param {function} doneFn - function to call once all tables have been read
+     * @return {object} object with <code>rowsFn</code> and <code>doneFn</code> functions to pass to readTables()
+     */
+    function applyTableHooks(opts, rowsFn, doneFn){
+        var currentTable = null, count = 0;
+        var endTable = function () {
+            if(currentTable !== null && opts.afterTable){
+                opts.afterTable(currentTable, count);
+            }
+            currentTable = null;
+        };
+        var reportError = function (error, tableName) {
+            error.message = "Failed to export table '" + tableName + "': " + error.message;
+            handleError(opts, error);
+        };
+        return {
+            rowsFn: function (rows, tableName, progress, nextFn) {
+                // The table whose hook is called, so that an error thrown by afterTable is reported for the previous table
+                var hookTable = currentTable || tableName;
+                try{
+                    if(tableName !== currentTable){
+                        endTable();
+                        hookTable = currentTable = tableName;
+                        count = 0;
+                        if(opts.beforeTable){
+                            opts.beforeTable(tableName);
+                        }
+                    }
+                    rows = transformRows(rows, tableName, opts);
+                }catch(e){
+                    reportError(e, hookTable);
+                    return;
+                }
+                count += rows.length;
+                rowsFn(rows, tableName, progress, nextFn);
+            },
+            doneFn: function () {
+                var tableName = currentTable;
+                try{
+                    endTable();
+                }catch(e){
+                    reportError(e, tableName);
+                    return;
+                }
+                doneFn();
+            }
+        };
+    }
+
+    /**
+     * Applies the transformRow hook specified in the options to the rows of a table.
+     * Each row is copied before it is passed to the hook, so the hook may modify and return it without affecting the original.
+     * @param {array} rows - rows to transform
+     * @param {string} tableName - name of the table
+     * @param {object} opts - options which may specify the transformRow hook
+     * @param {array} rowIndexes - optional list to which the index in <code>rows</code> of each transformed row is added
+     * @return {array} transformed rows, excluding those for which the hook returned null
+     * @throws {Error} if the hook returns a value which is neither an object nor null
+     */
+    function transformRows(rows, tableName, opts, rowIndexes){
+        if(!opts.transformRow){
+            return rows;
+        }
+        var transformed = [];
+        for(var i = 0; i < rows.length; i++){
+            var row = opts.transformRow(extend({}, rows[i]), tableName);
+            if(row === null){
+                continue;
+            }
+            if(typeof(row) !== "object"){
+                throw new Error("transformRow() returned " + typeof(row) + " for a row of table '" + tableName + "'; expected a row object or null");
+            }
+            transformed.push(row);
+            if(rowIndexes){
+                rowIndexes.push(i);
+            }
+        }
+        return transformed;
+    }
+
+    /**
+     * Creates the query which reads the rows of a table for export, from the export options for the table.
+     * @param {string} tableName - name of the table
+     * @param {object} opts - export options
+     * @param {object} restriction - optional object defining additional restrictions on the rows to read, as for readTables()
+     * @return {object} query with properties:
+     * <ul>
+     *  <li>{string} where - SQL WHERE clause, or an empty string</li>
+     *  <li>{array} params - values of parameters bound to the WHERE clause</li>
+     *  <li>{string} orderBy - SQL ORDER BY expression, or null</li>
+     *  <li>{integer} limit - maximum number of rows to read, or null</li>
+     *  <li>{array} columns - names of columns to read, or null to read all columns</li>
+     *  <li>{array} excludeColumns - names of columns not to read, or null</li>
+     * </ul>
+     */
+    function createTableQuery(tableName, opts, restriction){
+        var where = getTableOption(opts, tableName, "where"),
+            params = getTableOption(opts, tableName, "params") || [],
+            limit = getTableOption(opts, tableName, "limit"),
+            conditions = [];
+        restriction = restriction || {};
+        if(where){
+            conditions.push("(" + where + ")");
+        }
+        if(restriction.where){
+            conditions.push("(" + restriction.where + ")");
+            params = params.concat(restriction.params || []);
+        }
+        return {
+            where: conditions.length > 0 ? " WHERE " + conditions.join(" AND ") : "",
+            params: params,
+            orderBy: getTableOption(opts, tableName, "orderBy") || restriction.orderBy || null,
+            limit: typeof(limit) === "number" ? limit : null,
+            columns: getTableOption(opts, tableName, "columns") || null,
+            excludeColumns: getTableOption(opts, tableName, "excludeColumns") || null
+        };
+    }
+
+    /**
+     * Selects the columns of a table to export.
+     * Column names are compared case-insensitively, as in SQLite.
+     * @param {array} columns - list of table columns, as returned by getTableColumns()
+     * @param {array} include - names of columns to export, or null to export all columns
+     * @param {array} exclude - names of columns not to export, or null
+     * @return {array} list of columns to export, in table order
+     */
+    function selectColumns(columns, include, exclude){
+        var toMap = function(names){
+            var map = {};
+            for(var i = 0; i < names.length; i++){
+                map[names[i].toLowerCase()] = true;
+            }
+            return map;
+        };
+        var included = include ? toMap(include) : null,
+            excluded = exclude ? toMap(exclude) : {};
+        return columns.filter(function(column){
+            var name = column.name.toLowerCase();
+            return (!included || included[name]) && !excluded[name];
+        });
+    }
+
+    /**
+     * Queries the columns of a table using <code>PRAGMA table_info</code>.
+     * @param {SQLTransaction} tx - transaction in which to execute the query
+     * @param {string} tableName - name of the table
+     * @param {function} successFn - function to call with the transaction and the list of columns.
+     * Each column is an object with <code>name</code>, <code>type</code>, <code>notnull</code>, <code>dflt_value</code> and <code>pk</code> properties.
+     * @param {object} opts - options containing the errorFn callback to invoke on error
+     * @param {string} schemaName - optional name of the attached database containing the table
+     */
+    function getTableColumns(tx, tableName, successFn, opts, schemaName){
+        var sqlStatement = "PRAGMA " + (schemaName ? sqlEscape(schemaName) + "." : "") + "table_info(" + sqlEscape(tableName) + ")";
+        tx.executeSql(sqlStatement, [],
+            function (tx, rslt) {
+                var columns = [];
+                for (var i = 0; i < rslt.rows.length; i++) {
+                    columns.push(rslt.rows.item(i));
+                }
+                successFn(tx, columns);
+            },
+            function (tx, error) {
+                handleQueryError(opts, error, sqlStatement);
+            }
+        );
+    }
+
+    /**
+     * Determines the order in which to page through the rows of a table when no order is specified.
+     * Tables with a rowid are paged by rowid; WITHOUT ROWID tables are paged by offset in primary key order.
+     * @param {object} tx - database transaction
+     * @param {string} tableName - name of table
+     * @param {array} columns - list of table columns
+     * @param {function} successFn - called with the transaction, the name by which to reference the rowid (or null) and the ORDER BY expression (or null)
+     * @param {object} opts - options containing the error callback
+     */
+    function getPagingOrder(tx, tableName, columns, successFn, opts){
+        var sqlStatement = "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?";
+        tx.executeSql(sqlStatement, [tableName],
+            function (tx, rslt) {
+                var sql = rslt.rows.length > 0 ? rslt.rows.item(0).sql || "" : "",
+                    columnNames = columns.map(function(column){
+                        return column.name.toLowerCase();
+                    });
+                if(!sql.replace(/[\s;]+$/, "").match(/\bWITHOUT\s+ROWID$/i)){
+                    for(var i = 0; i < ROWID_NAMES.length; i++){
+                        if(columnNames.indexOf(ROWID_NAMES[i]) === -1){
+                            successFn(tx, ROWID_NAMES[i], null);
+                            return;
+                        }
+                    }
+                }
+                var keyColumns = columns.filter(function(column){
+                    return column.pk > 0;
+                }).sort(function(a, b){
+                    return a.pk - b.pk;
+                }).map(function(column){
+                    return sqlEscape(column.name);
+                });
+                successFn(tx, null, keyColumns.length > 0 ? keyColumns.join(", ") : null);
+            },
+            function (tx, error) {
+                handleQueryError(opts, error, sqlStatement);
+            }
+        );
+    }
+
+    /**
+     * Creates a SELECT column list which queries the storage class of each column alongside its value, with BLOB values converted to hex
+     * and integers too large to be represented exactly by a JS number converted to text, so that they are not rounded when read.
+     * @param {array} columns - list of table columns
+     * @return {string} SQL column list
+     */
+    function createTypedSelectList(columns){
+        var list = [];
+        for (var i = 0; i < columns.length; i++) {
+            var col = sqlEscape(columns[i].name);
+            list.push("CASE typeof(" + col + ") WHEN 'blob' THEN hex(" + col + ")"
+                + " WHEN 'integer' THEN CASE WHEN " + col + " BETWEEN -" + MAX_SAFE_INTEGER + " AND " + MAX_SAFE_INTEGER + " THEN " + col + " ELSE CAST(" + col + " AS TEXT) END"
+                + " ELSE " + col + " END AS " + col);
+            list.push("typeof(" + col + ") AS __type_" + i);
+        }
+        return list.join(", ");
+    }
+
+    /**
+     * Decodes a row read using a column list created by createTypedSelectList() into JSON-compatible values.
+     * @param {object} dataRow - row read from the database
+     * @param {array} columns - list of table columns
+     * @return {object} row object mapping field names to values
+     */
+    function decodeTypedRow(dataRow, columns){
+        var _row = {};
+        for (var i = 0; i < columns.length; i++) {
+            var name = columns[i].name, value = dataRow[name];
+            switch(dataRow["__type_" + i]){
+                case "blob":
+                    value = {"$blob": hexToBase64(value)};
+                    break;
+                case "integer":
+                    value = encodeInteger(value);
+                    break;
+                case "real":
+                    value = Number(value);
+                    break;
+            }
+            _row[name] = value;
+        }
+        return _row;
+    }
+
+    /**
+     * Encodes an integer read from the database as a JSON value in the typed JSON format.
+     * @param {number/string} value - integer, or its decimal representation
+     * @return {number/object} the integer as a number, or as a <code>{"$int": decimal}</code> object if a JS number cannot represent it exactly
+     */
+    function encodeInteger(value){
+        if(typeof(value) === "number"){
+            return value;
+        }
+        var number = Number(value);
+        return Math.abs(number) <= MAX_SAFE_INTEGER ? number : {"$int": String(value)};
+    }
+
+    /**
+     * Encodes the binary values of a row read without the typed option as <code>{"$blob": base64}</code> objects, as the typed option does.
+     * WebSQL returns BLOBs as strings, but drivers used via adapters (e.g. sql.js, better-sqlite3 and sqlite3) return them as Uint8Arrays or Buffers,
+     * which would otherwise be exported as a list of byte values.
+     * @param {object} dataRow - row read from the database
+     * @return {object} the row, or a copy of it in which binary values are encoded
+     */
+    function encodeBinaryValues(dataRow){
+        var _row = dataRow;
+        for (var name in dataRow) {
+            var value = dataRow[name];
+            if(typeof(ArrayBuffer) !== "undefined" && value !== null && typeof(value) === "object" && (value instanceof ArrayBuffer || ArrayBuffer.isView(value))){
+                if(_row === dataRow){
+                    _row = extend({}, dataRow);
+                }
+                var bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+                _row[name] = {"$blob": bytesToBase64(bytes)};
+            }
+        }
+        return _row;
+    }
+
+    /**
+     * Indicates if a value is an integer encoded as a <code>{"$int": decimal}</code> object.
+     * @param {any} value - value to check
+     * @return {boolean} true if the value is an encoded integer
+     */
+    function isIntValue(value){
+        return value !== null && typeof(value) === "object" && typeof(value["$int"]) === "string";
+    }
+
+    /**
+     * Indicates if a value is a BLOB encoded as a <code>{"$blob": base64}</code> object.
+     * @param {any} value - value to check
+     * @return {boolean} true if the value is an encoded BLOB
+     */
+    function isBlobValue(value){
+        return value !== null && typeof(value) === "object" && typeof(value["$blob"]) === "string";
+    }
+
+    /**
+     * Converts "null", "false", "true", and "undefined" fields to their properly typed null, false, true, and undefined equivalents
+     * @param {string} data - raw string from db
+     * @returns {object} boolean, null, or undefined if the original data
+     */
+    function dataRowToJsonData(data){
+        if (data === null || data === "null") return null;
+        if (data === undefined || data === "undefined") return undefined;
+        if (data === true || data === "true") return true;
+        if (data === false || data === "false") return false;
+        return data;
+    }
+
+    /**
+     * Converts a string of hexadecimal digits to base64.
+     * @param {string} hex - hexadecimal string
+     * @return {string} base64 string
+     */
+    function hexToBase64(hex){
+        var base64 = "";
+        for (var i = 0; i < hex.length; i += 6) {
+            var bytes = hex.substr(i, 6), length = bytes.length / 2,
+                bits = parseInt((bytes + "000000").substr(0, 6), 16);
+            for (var j = 0; j < 4; j++) {
+                base64 += j <= length ? BASE64_CHARS.charAt((bits >> (18 - 6 * j)) & 63) : "=";
+            }
+        }
+        return base64;
+    }
+
+    /**
+     * Converts a base64 string to a string of hexadecimal digits.
+     * @param {string} base64 - base64 string
+     * @return {string} hexadecimal string
+     */
+    function base64ToHex(base64){
+        var hex = "", bits = 0, bitCount = 0;
+        base64 = base64.replace(/[^A-Za-z0-9+\/]/g, "");
+        for (var i = 0; i < base64.length; i++) {
+            bits = ((bits << 6) | BASE64_CHARS.indexOf(base64.charAt(i))) & 0xFFFFFF;
+            bitCount += 6;
+            if (bitCount >= 8) {
+                bitCount -= 8;
+                hex += ("0" + ((bits >> bitCount) & 255).toString(16)).slice(-2);
+            }
+        }
+        return hex.toUpperCase();
+    }
+
+    /**
+     * Wraps the successFn callback of an export so that the exported SQL or JSON is delivered in an envelope created by createEnvelope().
+     * @param {Database} db - open SQLite database being exported
+     * @param {object} opts - export options containing the <code>envelope</code> and <code>versionTable</code> options; modified in place
+     * @param {string} type - type of the export: "sql" or "json"
+     * @param {object} tableCounts - map of the names of exported tables to the number of rows exported from them, which is populated during the export
+     */
+    function wrapInEnvelope(db, opts, type, tableCounts){
+        var successFn = opts.successFn, envelopeOpts = opts.envelope === true ? {} : opts.envelope;
+        opts.successFn = function(payload, count){
+            if(isCancelled(opts)){
+                // Compressing and encrypting a large export can take some time
+                handleCancel(opts);
+                return;
+            }
+            queryVersion(db, opts, function(version){
+                createEnvelope(type === "json" ? JSON.stringify(payload) : payload, {
+                    type: type,
+                    schemaVersion: version,
+                    tables: tableCounts
+                }, envelopeOpts, function(envelope){
+                    if(successFn){
+                        successFn(envelope, count);
+                    }
+                }, function(error){
+                    handleError(opts, error);
+                });
+            });
+        };
+    }
+
+    /**
+     * Unwraps an envelope passed to an import function, checking it contains the type of export the function imports.
+     * @param {object} envelope - parsed envelope
+     * @param {string} type - type of export imported by the function: "sql" or "json"
+     * @param {object} opts - import options containing the <code>passphrase</code> option and the errorFn callback to invoke on error
+     * @param {function} successFn - function to call with the payload string
+     */
+    function openImportEnvelope(envelope, type, opts, successFn){
+        if(envelope.type !== type){
+            var importFn = envelope.type === "json" ? "importJsonToDb()" : "importSqlToDb()";
+            handleError(opts, new Error("Failed to unwrap envelope: it contains a " + String(envelope.type).toUpperCase() + " export; import it using " + importFn));
+            return;
+        }
+        openEnvelope(envelope, opts, successFn, function(error){
+            handleError(opts, error);
+        });
+    }
+
+    /**
+     * Wraps an exported payload in an envelope, compressing and optionally encrypting it.
+     * The payload is encoded as UTF-8, compressed, encrypted, and then stored as base64 along with a SHA-256 checksum of the stored bytes,
+     * so corruption can be detected before decryption is attempted.
+     * @param {string} payload - exported SQL or JSON string
+     * @param {object} metadata - metadata to include in the envelope: <code>type</code> ("sql" or "json"), <code>schemaVersion</code> and <code>tables</code>
+     * @param {object} envelopeOpts - envelope options: <code>compression</code>, <code>passphrase</code> and <code>iterations</code>, as described in Envelopes in the README
+     * @param {function} successFn - function to call with the envelope as a JSON string
+     * @param {function} errorFn - function to call with the error if the envelope cannot be created
+     */
+    function createEnvelope(payload, metadata, envelopeOpts, successFn, errorFn){
+        var compression = envelopeOpts.compression || (getStreamConstructor("CompressionStream") ? "gzip" : "none"),
+            envelope = {
+                sqlitePorterEnvelope: ENVELOPE_VERSION,
+                type: metadata.type,
+                created: new Date().toISOString(),
+                schemaVersion: metadata.schemaVersion,
+                tables: metadata.tables,
+                compression: compression
+            };
+        var fail = function(error){
+            error.message = "Failed to create envelope: " + error.message;
+            errorFn(error);
+        };
+        var complete = function(bytes){
+            envelope.checksum = "SHA-256:" + bytesToHex(sha256(bytes));
+            envelope.payload = bytesToBase64(bytes);
+            successFn(JSON.stringify(envelope));
+        };
+        var encrypt = function(bytes){
+            if(!envelopeOpts.passphrase){
+                complete(bytes);
+                return;
+            }
+            var iterations = envelopeOpts.iterations || DEFAULT_KEY_ITERATIONS;
+            try{
+                var salt = randomBytes(16), iv = randomBytes(12);
+            }catch(e){
+                fail(e);
+                return;
+            }
+            envelope.encryption = {
+                algorithm: "AES-GCM",
+                keyDerivation: "PBKDF2-SHA-256",
+                iterations: iterations,
+                salt: bytesToBase64(salt),
+                iv: bytesToBase64(iv)
+            };
+            deriveKey(envelopeOpts.passphrase, salt, iterations, function(key){
+                aesGcm(key, iv, bytes, false, complete, fail);
+            }, fail);
+        };
+
+        if(ENVELOPE_COMPRESSIONS.indexOf(compression) === -1){
+            fail(new Error("invalid compression '" + compression + "'; expected one of: " + ENVELOPE_COMPRESSIONS.join(", ")));
+            return;
+        }
+        if(compression === "none"){
+            encrypt(utf8Encode(payload));
+        }else{
+            transformBytes(utf8Encode(payload), "CompressionStream", compression, encrypt, fail);
+        }
+    }
+
+    /**
+     * Unwraps the payload of an envelope created by createEnvelope(), verifying its checksum and decrypting and decompressing it.
+     * @param {object} envelope - parsed envelope
+     * @param {object} opts - options containing the <code>passphrase</code> to decrypt the envelope with
+     * @param {function} successFn - function to call with the payload string
+     * @param {function} errorFn - function to call with the error if the envelope cannot be unwrapped
+     */
+    function openEnvelope(envelope, opts, successFn, errorFn){
+        var fail = function(error){
+            error.message = "Failed to unwrap envelope: " + error.message;
+            errorFn(error);
+        };
+        var decompress = function(bytes){
+            var decode = function(bytes){
+                try{
+                    var payload = utf8Decode(bytes);
+                }catch(e){
+                    fail(e);
+                    return;
+                }
+                successFn(payload);
+            };
+            if(envelope.compression === "none"){
+                decode(bytes);
+            }else{
+                transformBytes(bytes, "DecompressionStream", envelope.compression, decode, fail);
+            }
+        };
+
+        if(envelope.sqlitePorterEnvelope !== ENVELOPE_VERSION){
+            fail(new Error("unsupported envelope version " + envelope.sqlitePorterEnvelope));
+            return;
+        }
+        if(ENVELOPE_COMPRESSIONS.indexOf(envelope.compression) === -1){
+            fail(new Error("unsupported compression '" + envelope.compression + "'"));
+            return;
+        }
+        try{
+            var bytes = base64ToBytes(envelope.payload || "");
+        }catch(e){
+            fail(e);
+            return;
+        }
+        if(envelope.checksum !== "SHA-256:" + bytesToHex(sha256(bytes))){
+            fail(new Error("checksum mismatch; the envelope is corrupted"));
+            return;
+        }
+        if(!envelope.encryption){
+            decompress(bytes);
+            return;
+        }
+        if(!opts.passphrase){
+            fail(new Error("the envelope is encrypted; specify the passphrase option to decrypt it"));
+            return;
+        }
+        var encryption = envelope.encryption;
+        if(encryption.algorithm !== "AES-GCM" || encryption.keyDerivation !== "PBKDF2-SHA-256"){
+            fail(new Error("unsupported encryption '" + encryption.algorithm + "' with key derivation '" + encryption.keyDerivation + "'"));
+            return;
+        }
+        deriveKey(opts.passphrase, base64ToBytes(encryption.salt), encryption.iterations, function(key){
+            aesGcm(key, base64ToBytes(encryption.iv), bytes, true, decompress, function(){
+                // The checksum matched, so the data is intact and authentication can only have failed because the key is wrong
+                fail(new Error("wrong passphrase"));
+            });
+        }, fail);
+    }
+
+    /**
+     * Parses an export which may be wrapped in an envelope created by exportDbToSql() or exportDbToJson() with the <code>envelope</code> option.
+     * @param {string/object} value - exported SQL or JSON string, or parsed JSON object
+     * @return {object} parsed envelope, or null if the value is not an envelope
+     */
+    function parseEnvelope(value){
+        if(typeof(value) === "string"){
+            if(!value.match(/^\s*\{\s*"sqlitePorterEnvelope"/)) return null;
+            try{
+                value = JSON.parse(value);
+            }catch(e){
+                return null;
+            }
+        }
+        return isObject(value) && value.hasOwnProperty("sqlitePorterEnvelope") ? value : null;
+    }
+
+    /**
+     * Compresses or decompresses bytes using the CompressionStream or DecompressionStream API.
+     * @param {Uint8Array} bytes - bytes to transform
+     * @param {string} streamType - "CompressionStream" or "DecompressionStream"
+     * @param {string} format - compression format: "gzip" or "deflate"
+     * @param {function} successFn - function to call with the transformed bytes
+     * @param {function} errorFn - function to call with the error if the bytes cannot be transformed
+     */
+    function transformBytes(bytes, streamType, format, successFn, errorFn){
+        var Stream = getStreamConstructor(streamType);
+        if(!Stream){
+            errorFn(new Error(format + " compression requires the " + streamType + " API, which is not supported in this environment; specify compression 'none'"));
+            return;
+        }
+        try{
+            var stream = new Stream(format), writer = stream.writable.getWriter(), reader = stream.readable.getReader(),
+                chunks = [], length = 0;
+            // Errors writing the bytes are also reported when reading them
+            writer.write(bytes)["catch"](function(){});
+            writer.close()["catch"](function(){});
+        }catch(e){
+            errorFn(e);
+            return;
+        }
+        var read = function(){
+            whenSettled(reader.read(), function(result){
+                if(!result.done){
+                    chunks.push(result.value);
+                    length += result.value.length;
+                    read();
+                    return;
+                }
+                var output = new Uint8Array(length), offset = 0;
+                for(var i = 0; i < chunks.length; i++){
+                    output.set(chunks[i], offset);
+                    offset += chunks[i].length;
+                }
+                successFn(output);
+            }, function(error){
+                errorFn(error instanceof Error ? error : new Error(String(error)));
+            });
+        };
+        read();
+    }
+
+    /**
+     * Calls a callback once a Promise has settled, outside of its promise chain,
+     * so that errors thrown by the callback are neither swallowed by the chain nor reported as the Promise failing.
+     * @param {Promise} promise - Promise to wait for
+     * @param {function} successFn - function to call with the value the Promise is resolved with
+     * @param {function} errorFn - function to call with the error the Promise is rejected with
+     */
+    function whenSettled(promise, successFn, errorFn){
+        promise.then(function(value){
+            setTimeout(function(){
+                successFn(value);
+            }, 0);
+        }, function(error){
+            setTimeout(function(){
+                errorFn(error);
+            }, 0);
+        });
+    }
+
+    /**
+     * Gets the constructor of the CompressionStream or DecompressionStream API, if supported.
+     * @param {string} streamType - "CompressionStream" or "DecompressionStream"
+     * @return {function} constructor, or null if not supported
+     */
+    function getStreamConstructor(streamType){
+        var root = typeof globalThis !== "undefined" ? globalThis : typeof window !== "undefined" ? window : {};
+        return typeof root[streamType] === "function" ? root[streamType] : null;
+    }
+
+    /**
+     * Gets the WebCrypto SubtleCrypto interface, if available.
+     * It is not available in insecure contexts (e.g. pages loaded over HTTP) in browsers, in which case pure-JS implementations are used instead.
+     * @return {SubtleCrypto} SubtleCrypto interface, or null if not available
+     */
+    function getSubtleCrypto(){
+        return typeof crypto !== "undefined" && crypto.subtle && typeof crypto.subtle.importKey === "function" ? crypto.subtle : null;
+    }
+
+    /**
+     * Generates cryptographically secure random bytes.
+     * @param {integer} length - number of bytes to generate
+     * @return {Uint8Array} random bytes
+     * @throws {Error} if no secure random number generator is available
+     */
+    function randomBytes(length){
+        if(typeof crypto === "undefined" || typeof crypto.getRandomValues !== "function"){
+            throw new Error("encryption requires crypto.getRandomValues(), which is not supported in this environment");
+        }
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * Derives a 256-bit AES key from a passphrase using PBKDF2 with HMAC-SHA-256, using WebCrypto if available.
+     * @param {string} passphrase - passphrase to derive the key from
+     * @param {Uint8Array} salt - salt
+     * @param {integer} iterations - number of PBKDF2 iterations
+     * @param {function} successFn - function to call with the key as a Uint8Array
+     * @param {function} errorFn - function to call with the error if the key cannot be derived
+     */
+    function deriveKey(passphrase, salt, iterations, successFn, errorFn){
+        var subtle = getSubtleCrypto();
+        if(subtle){
+            whenSettled(subtle.importKey("raw", utf8Encode(passphrase), "PBKDF2", false, ["deriveBits"]).then(function(baseKey){
+                return subtle.deriveBits({name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256"}, baseKey, 256);
+            }), function(bits){
+                successFn(new Uint8Array(bits));
+            }, errorFn);
+            return;
+        }
+        pbkdf2Sha256(utf8Encode(passphrase), salt, iterations, successFn);
+    }
+
+    /**
+     * Encrypts or decrypts bytes using AES-GCM with a 128-bit tag, which is appended to the ciphertext, using WebCrypto if available.
+     * @param {Uint8Array} key - 256-bit key
+     * @param {Uint8Array} iv - 96-bit initialisation vector
+     * @param {Uint8Array} bytes - plaintext to encrypt, or ciphertext and tag to decrypt
+     * @param {boolean} decrypt - true to decrypt, false to encrypt
+     * @param {function} successFn - function to call with the ciphertext and tag, or the plaintext
+     * @param {function} errorFn - function to call with the error if the bytes cannot be encrypted, or if decryption fails because the tag does not match
+     */
+    function aesGcm(key, iv, bytes, decrypt, successFn, errorFn){
+        var subtle = getSubtleCrypto();
+        if(subtle){
+            whenSettled(subtle.importKey("raw", key, "AES-GCM", false, [decrypt ? "decrypt" : "encrypt"]).then(function(cryptoKey){
+                return subtle[decrypt ? "decrypt" : "encrypt"]({name: "AES-GCM", iv: iv}, cryptoKey, bytes);
+            }), function(output){
+                successFn(new Uint8Array(output));
+            }, errorFn);
+            return;
+        }
+
+        var roundKeys = aesExpandKey(key), hashKey = aesEncryptBlock(roundKeys, new Uint8Array(16)),
+            initialCounter = new Uint8Array(16), counter = new Uint8Array(16), i, j;
+        if(decrypt && bytes.length < 16){
+            errorFn(new Error("ciphertext is too short"));
+            return;
+        }
+        initialCounter.set(iv);
+        initialCounter[15] = 1;
+        counter.set(initialCounter);
+
+        var input = decrypt ? bytes.subarray(0, bytes.length - 16) : bytes,
+            output = new Uint8Array(input.length + (decrypt ? 0 : 16));
+        for(i = 0; i < input.length; i += 16){
+            for(j = 15; j >= 12; j--){
+                counter[j] = (counter[j] + 1) & 255;
+                if(counter[j] !== 0) break;
+            }
+            var keyStream = aesEncryptBlock(roundKeys, counter);
+            for(j = 0; j < 16 && i + j < input.length; j++){
+                output[i + j] = input[i + j] ^ keyStream[j];
+            }
+        }
+
+        var tag = ghash(hashKey, decrypt ? input : output.subarray(0, input.length)),
+            tagMask = aesEncryptBlock(roundKeys, initialCounter), difference = 0;
+        for(i = 0; i < 16; i++){
+            tag[i] ^= tagMask[i];
+        }
+        if(!decrypt){
+            output.set(tag, input.length);
+            successFn(output);
+            return;
+        }
+        for(i = 0; i < 16; i++){
+            difference |= tag[i] ^ bytes[input.length + i];
+        }
+        if(difference !== 0){
+            errorFn(new Error("authentication tag mismatch"));
+            return;
+        }
+        successFn(output);
+    }
+
+    /**
+     * Computes the GHASH of AES-GCM ciphertext, with no additional authenticated data.
+     * @param {Uint8Array} hashKey - hash subkey, i.e. the encryption of a zero block
+     * @param {Uint8Array} ciphertext - ciphertext to hash
+     * @return {Uint8Array} 128-bit hash
+     */
+    function ghash(hashKey, ciphertext){
+        var h = bytesToWords(hashKey, 0), y = [0, 0, 0, 0], block = new Uint8Array(16), i, j;
+        var multiply = function(x){
+            var z0 = 0, z1 = 0, z2 = 0, z3 = 0, v0 = h[0], v1 = h[1], v2 = h[2], v3 = h[3];
+            for(var bit = 0; bit < 128; bit++){
+                if((x[bit >> 5] >>> (31 - (bit & 31))) & 1){
+                    z0 ^= v0; z1 ^= v1; z2 ^= v2; z3 ^= v3;
+                }
+                var lsb = v3 & 1;
+                v3 = (v3 >>> 1) | (v2 << 31);
+                v2 = (v2 >>> 1) | (v1 << 31);
+                v1 = (v1 >>> 1) | (v0 << 31);
+                v0 = v0 >>> 1;
+                if(lsb) v0 ^= 0xE1000000;
+            }
+            y = [z0, z1, z2, z3];
+        };
+        for(i = 0; i < ciphertext.length; i += 16){
+            block.fill(0);
+            block.set(ciphertext.subarray(i, i + 16));
+            var x = bytesToWords(block, 0);
+            for(j = 0; j < 4; j++) x[j] ^= y[j];
+            multiply(x);
+        }
+        // Final block contains the bit lengths of the additional authenticated data (none) and the ciphertext
+        var bitLength = ciphertext.length * 8;
+        multiply([y[0], y[1], y[2] ^ Math.floor(bitLength / 0x100000000), y[3] ^ (bitLength >>> 0)]);
+        var hash = new Uint8Array(16);
+        for(i = 0; i < 4; i++){
+            hash[i * 4] = y[i] >>> 24;
+            hash[i * 4 + 1] = (y[i] >>> 16) & 255;
+            hash[i * 4 + 2] = (y[i] >>> 8) & 255;
+            hash[i * 4 + 3] = y[i] & 255;
+        }
+        return hash;
+    }
+
+    /**
+     * Gets the AES S-box, generating it on first use.
+     * @return {array} S-box
+     */
+    function getAesSbox(){
+        if(AES_SBOX) return AES_SBOX;
+        var sbox = [], p = 1, q = 1;
+        var rotl8 = function(x, shift){
+            return ((x << shift) | (x >>> (8 - shift))) & 255;
+        };
+        do{
+            // Multiply p by 3 and divide q by 3 in GF(2^8), so q is the multiplicative inverse of p
+            p = p ^ ((p << 1) & 255) ^ (p & 0x80 ? 0x1B : 0);
+            q ^= q << 1;
+            q ^= q << 2;
+            q ^= q << 4;
+            q &= 255;
+            if(q & 0x80) q ^= 0x09;
+            sbox[p] = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4) ^ 0x63;
+        }while(p !== 1);
+        sbox[0] = 0x63;
+        AES_SBOX = sbox;
+        return sbox;
+    }
+
+    /**
+     * Expands a 256-bit AES key into the round keys used by aesEncryptBlock().
+     * @param {Uint8Array} key - 256-bit key
+     * @return {array} 60 32-bit round key words
+     */
+    function aesExpandKey(key){
+        var sbox = getAesSbox(), words = bytesToWords(key, 0).concat(bytesToWords(key, 16)), rcon = 1;
+        var subWord = function(word){
+            return (sbox[word >>> 24] << 24) | (sbox[(word >>> 16) & 255] << 16) | (sbox[(word >>> 8) & 255] << 8) | sbox[word & 255];
+        };
+        for(var i = 8; i < 60; i++){
+            var temp = words[i - 1];
+            if(i % 8 === 0){
+                temp = subWord((temp << 8) | (temp >>> 24)) ^ (rcon << 24);
+                rcon = (rcon << 1) ^ (rcon & 0x80 ? 0x11B : 0);
+            }else if(i % 8 === 4){
+                temp = subWord(temp);
+            }
+            words.push((words[i - 8] ^ temp) >>> 0);
+        }
+        return words;
+    }
+
+    /**
+     * Encrypts a single 128-bit block using AES-256.
+     * @param {array} roundKeys - round keys, as returned by aesExpandKey()
+     * @param {Uint8Array} input - block to encrypt
+     * @return {Uint8Array} encrypted block
+     */
+    function aesEncryptBlock(roundKeys, input){
+        var sbox = getAesSbox(), state = new Uint8Array(input), shifted = new Uint8Array(16), round, c, r;
+        var addRoundKey = function(round){
+            for(var c = 0; c < 4; c++){
+                var word = roundKeys[round * 4 + c];
+                state[c * 4] ^= word >>> 24;
+                state[c * 4 + 1] ^= (word >>> 16) & 255;
+                state[c * 4 + 2] ^= (word >>> 8) & 255;
+                state[c * 4 + 3] ^= word & 255;
+            }
+        };
+        var xtime = function(x){
+            return ((x << 1) ^ (x & 0x80 ? 0x1B : 0)) & 255;
+        };
+
+        addRoundKey(0);
+        for(round = 1; round <= 14; round++){
+            // SubBytes and ShiftRows, where the state is stored in column order
+            for(c = 0; c < 4; c++){
+                for(r = 0; r < 4; r++){
+                    shifted[c * 4 + r] = sbox[state[((c + r) % 4) * 4 + r]];
+                }
+            }
+            state.set(shifted);
+            if(round < 14){
+                for(c = 0; c < 4; c++){
+                    var a0 = state[c * 4], a1 = state[c * 4 + 1], a2 = state[c * 4 + 2], a3 = state[c * 4 + 3], all = a0 ^ a1 ^ a2 ^ a3;
+                    state[c * 4] = a0 ^ all ^ xtime(a0 ^ a1);
+                    state[c * 4 + 1] = a1 ^ all ^ xtime(a1 ^ a2);
+                    state[c * 4 + 2] = a2 ^ all ^ xtime(a2 ^ a3);
+                    state[c * 4 + 3] = a3 ^ all ^ xtime(a3 ^ a0);
+                }
+            }
+            addRoundKey(round);
+        }
+        return state;
+    }
+
+    /**
+     * Derives a 256-bit key from a password using PBKDF2 with HMAC-SHA-256.
+     * The iterations are computed in chunks of PBKDF2_CHUNK_ITERATIONS, yielding to the event loop between them.
+     * @param {Uint8Array} password - password bytes
+     * @param {Uint8Array} salt - salt
+     * @param {integer} iterations - number of iterations
+     * @param {function} successFn - function to call with the 256-bit key as a Uint8Array
+     */
+    function pbkdf2Sha256(password, salt, iterations, successFn){
+        var block = new Uint8Array(salt.length + 4);
+        block.set(salt);
+        block[salt.length + 3] = 1;
+        var u = hmacSha256(password, block), key = new Uint8Array(u), i = 1;
+        var iterate = function(){
+            for(var end = Math.min(i + PBKDF2_CHUNK_ITERATIONS, iterations); i < end; i++){
+                u = hmacSha256(password, u);
+                for(var j = 0; j < key.length; j++){
+                    key[j] ^= u[j];
+                }
+            }
+            if(i < iterations){
+                setTimeout(iterate, 0);
+            }else{
+                successFn(key);
+            }
+        };
+        iterate();
+    }
+
+    /**
+     * Computes the HMAC-SHA-256 of a message.
+     * @param {Uint8Array} key - key
+     * @param {Uint8Array} message - message
+     * @return {Uint8Array} 256-bit HMAC
+     */
+    function hmacSha256(key, message){
+        if(key.length > 64){
+            key = sha256(key);
+        }
+        var inner = new Uint8Array(64 + message.length), outer = new Uint8Array(64 + 32);
+        for(var i = 0; i < 64; i++){
+            inner[i] = (key[i] || 0) ^ 0x36;
+            outer[i] = (key[i] || 0) ^ 0x5C;
+        }
+        inner.set(message, 64);
+        outer.set(sha256(inner), 64);
+        return sha256(outer);
+    }
+
+    /**
+     * Computes the SHA-256 hash of bytes.
+     * @param {Uint8Array} bytes - bytes to hash
+     * @return {Uint8Array} 256-bit hash
+     */
+    function sha256(bytes){
+        var hash = [0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19],
+            w = new Array(64), length = bytes.length, i;
+        var rotr = function(x, n){
+            return (x >>> n) | (x << (32 - n));
+        };
+        var compress = function(block, offset){
+            var t, a = hash[0], b = hash[1], c = hash[2], d = hash[3], e = hash[4], f = hash[5], g = hash[6], h = hash[7];
+            for(t = 0; t < 16; t++){
+                w[t] = (block[offset + t * 4] << 24) | (block[offset + t * 4 + 1] << 16) | (block[offset + t * 4 + 2] << 8) | block[offset + t * 4 + 3];
+            }
+            for(t = 16; t < 64; t++){
+                var s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3),
+                    s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+            }
+            for(t = 0; t < 64; t++){
+                var t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[t] + w[t]) | 0,
+                    t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            hash[0] = (hash[0] + a) | 0; hash[1] = (hash[1] + b) | 0; hash[2] = (hash[2] + c) | 0; hash[3] = (hash[3] + d) | 0;
+            hash[4] = (hash[4] + e) | 0; hash[5] = (hash[5] + f) | 0; hash[6] = (hash[6] + g) | 0; hash[7] = (hash[7] + h) | 0;
+        };
+
+        var fullLength = length - (length % 64);
+        for(i = 0; i < fullLength; i += 64){
+            compress(bytes, i);
+        }
+        // Pad the remaining bytes with a 1 bit, zeros and the 64-bit message length in bits
+        var tail = new Uint8Array(length % 64 < 56 ? 64 : 128);
+        tail.set(bytes.subarray(fullLength));
+        tail[length % 64] = 0x80;
+        var highBits = Math.floor(length / 0x20000000), lowBits = (length << 3) >>> 0;
+        for(i = 0; i < 4; i++){
+            tail[tail.length - 8 + i] = (highBits >>> (24 - i * 8)) & 255;
+            tail[tail.length - 4 + i] = (lowBits >>> (24 - i * 8)) & 255;
+        }
+        for(i = 0; i < tail.length; i += 64){
+            compress(tail, i);
+        }
+
+        var output = new Uint8Array(32);
+        for(i = 0; i < 8; i++){
+            output[i * 4] = hash[i] >>> 24;
+            output[i * 4 + 1] = (hash[i] >>> 16) & 255;
+            output[i * 4 + 2] = (hash[i] >>> 8) & 255;
+            output[i * 4 + 3] = hash[i] & 255;
+        }
+        return output;
+    }
+
+    /**
+     * Reads four big-endian 32-bit words from bytes.
+     * @param {Uint8Array} bytes - bytes to read
+     * @param {integer} offset - offset of the first byte to read
+     * @return {array} four unsigned 32-bit words
+     */
+    function bytesToWords(bytes, offset){
+        var words = [];
+        for(var i = 0; i < 4; i++){
+            words.push(((bytes[offset + i * 4] << 24) | (bytes[offset + i * 4 + 1] << 16) | (bytes[offset + i * 4 + 2] << 8) | bytes[offset + i * 4 + 3]) >>> 0);
+        }
+        return words;
+    }
+
+    /**
+     * Encodes bytes as a lowercase hex string.
+     * @param {Uint8Array} bytes - bytes to encode
+     * @return {string} hex string
      */
-    sqlitePorter.wipeDb = function (db, opts){
-        opts = opts || {};
-        if(!isValidDB(db, opts)) return;
-        db.transaction(
-            function (transaction) {
-                transaction.executeSql("SELECT tbl_name, type FROM sqlite_master;", [],
-                    function (transaction, results) {
-                        var dropStatements = [];
-
-                        if (results.rows) {
-                            for (var i = 0; i < results.rows.length; i++) {
-                                var row = results.rows.item(i);
-                                if(row.type == 'table') {
-                                    var tableName = row.tbl_name;
-                                    if(!isReservedTable(tableName)){
-                                        dropStatements.push("DROP TABLE IF EXISTS " + sqlEscape(tableName));
-                                    }
-                                }
-                                if(row.type == 'view') {
-                                    var viewName = row.tbl_name;
-                                    if(!isReservedTable(viewName)){
-                                        dropStatements.push("DROP VIEW IF EXISTS " + sqlEscape(viewName));
-                                    }
-                                }
-                            }
-                        }
-                        if(dropStatements.length > 0){
-                            sqlitePorter.importSqlToDb(db, dropStatements.join(separator), opts);
-                        }else if(opts.successFn){
-                            opts.successFn(dropStatements.length);
-                        }
-                    }
-                );
+    function bytesToHex(bytes){
+        var hex = "";
+        for(var i = 0; i < bytes.length; i++){
+            hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * Encodes bytes as base64.
+     * @param {Uint8Array} bytes - bytes to encode
+     * @return {string} base64 string
+     */
+    function bytesToBase64(bytes){
+        var parts = [], chars = [];
+        for(var i = 0; i < bytes.length; i += 3){
+            var bits = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            chars.push(BASE64_CHARS.charAt(bits >>> 18), BASE64_CHARS.charAt((bits >>> 12) & 63),
+                i + 1 < bytes.length ? BASE64_CHARS.charAt((bits >>> 6) & 63) : "=",
+                i + 2 < bytes.length ? BASE64_CHARS.charAt(bits & 63) : "=");
+            // Join in parts to limit the size of the intermediate array
+            if(chars.length >= 8192){
+                parts.push(chars.join(""));
+                chars = [];
             }
-        );
-    };
+        }
+        parts.push(chars.join(""));
+        return parts.join("");
+    }
 
     /**
-     * Converts "null", "false", "true", and "undefined" fields to their properly typed null, false, true, and undefined equivalents
-     * @param {string} data - raw string from db
-     * @returns {object} boolean, null, or undefined if the original data
+     * Decodes base64 to bytes.
+     * @param {string} base64 - base64 string to decode
+     * @return {Uint8Array} decoded bytes
+     * @throws {Error} if the string is not valid base64
      */
-    function dataRowToJsonData(data){
-        if (data === null || data === "null") return null;
-        if (data === undefined || data === "undefined") return undefined;
-        if (data === true || data === "true") return true;
-        if (data === false || data === "false") return false;
-        return data;
+    function base64ToBytes(base64){
+        if(typeof(base64) !== "string" || !base64.match(/^[A-Za-z0-9+\/]*={0,2}$/) || base64.length % 4 !== 0){
+            throw new Error("payload is not valid base64");
+        }
+        var padding = base64.match(/=*$/)[0].length, bytes = new Uint8Array(base64.length / 4 * 3 - padding), n = 0;
+        for(var i = 0; i < base64.length; i += 4){
+            var bits = (BASE64_CHARS.indexOf(base64.charAt(i)) << 18) | (BASE64_CHARS.indexOf(base64.charAt(i + 1)) << 12)
+                | ((BASE64_CHARS.indexOf(base64.charAt(i + 2)) & 63) << 6) | (BASE64_CHARS.indexOf(base64.charAt(i + 3)) & 63);
+            bytes[n++] = bits >>> 16;
+            if(n < bytes.length) bytes[n++] = (bits >>> 8) & 255;
+            if(n < bytes.length) bytes[n++] = bits & 255;
+        }
+        return bytes;
+    }
+
+    /**
+     * Encodes a string as UTF-8.
+     * @param {string} str - string to encode
+     * @return {Uint8Array} UTF-8 bytes
+     */
+    function utf8Encode(str){
+        if(typeof TextEncoder !== "undefined"){
+            return new TextEncoder().encode(str);
+        }
+        var binary = unescape(encodeURIComponent(str)), bytes = new Uint8Array(binary.length);
+        for(var i = 0; i < binary.length; i++){
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Decodes UTF-8 bytes to a string.
+     * @param {Uint8Array} bytes - UTF-8 bytes to decode
+     * @return {string} decoded string
+     */
+    function utf8Decode(bytes){
+        if(typeof TextDecoder !== "undefined"){
+            return new TextDecoder().decode(bytes);
+        }
+        var binary = "";
+        for(var i = 0; i < bytes.length; i += 8192){
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        return decodeURIComponent(escape(binary));
     }
 
     /**
@@ -614,6 +5423,30 @@
         return str.replace(/^\s+/,"").replace(/\s+$/,"");
     }
 
+    /**
+     * Formats a value as a SQL literal of its type, as the SQLite <code>quote()</code> function does.
+     * @param {any} value - value to format: null, a number, a string, a <code>{"$blob": base64}</code> object or a <code>{"$int": decimal}</code> object
+     * @return {string} SQL literal
+     */
+    function sqlLiteral(value){
+        if(value === null || value === undefined){
+            return "NULL";
+        }
+        if(typeof(value) === "number"){
+            return isFinite(value) ? value + "" : (value > 0 ? "1e999" : value < 0 ? "-1e999" : "NULL");
+        }
+        if(typeof(value) === "boolean"){
+            return value ? "1" : "0";
+        }
+        if(typeof(value) === "object" && value.hasOwnProperty("$blob")){
+            return "X'" + base64ToHex(value["$blob"]) + "'";
+        }
+        if(isIntValue(value)){
+            return value["$int"].match(/^-?\d+$/) ? value["$int"] : "CAST('" + sanitiseForSql(value["$int"]) + "' AS INTEGER)";
+        }
+        return "'" + sanitiseForSql(value) + "'";
+    }
+
     /**
      * Sanitises a value for insertion into a SQL statement.
      * Replace occurrences of 1 single quote with 2 single quotes to SQL-escape them.
@@ -626,28 +5459,130 @@
     }
 
     /**
-     * Escapes the given value if it contains special characters by wrapping it with back-ticks: value => `value`.
-     * @param {string} value - unescaped value
-     * @return {string} escaped value
+     * Quotes the given identifier (e.g. a table or column name) with double quotes, escaping any double quotes it contains: my "table" => "my ""table""".
+     * This ensures names containing spaces, punctuation or non-ASCII characters, or matching reserved words, are valid in SQL.
+     * @param {string} value - unescaped identifier
+     * @return {string} escaped identifier
      */
     function sqlEscape(value){
-        if(value.match(/[_-]+/)){
-            value = '`' + value + '`';
+        return '"' + (value+"").replace(/"/g, '""') + '"';
+    }
+
+    /**
+     * Extracts the table definition from a CREATE TABLE statement, i.e. everything after the table name: CREATE TABLE "my table" (id, name) => (id, name).
+     * The table name may be quoted in any of the forms accepted by SQLite and optionally qualified by a schema name.
+     * @param {string} sql - CREATE TABLE statement
+     * @return {string} table definition
+     */
+    function getTableDefinition(sql){
+        var i = sql.match(/^\s*CREATE\s+(?:TEMP(?:ORARY)?\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?/i)[0].length;
+
+        var skipName = function(){
+            var c = sql.charAt(i);
+            if(c === '"' || c === "'" || c === "`" || c === "["){
+                var close = c === "[" ? "]" : c;
+                i++;
+                while(i < sql.length){
+                    if(sql.charAt(i) === close){
+                        if(close !== "]" && sql.charAt(i + 1) === close){
+                            i += 2;
+                            continue;
+                        }
+                        i++;
+                        break;
+                    }
+                    i++;
+                }
+            }else{
+                while(i < sql.length && wordCharRegEx.test(sql.charAt(i))){
+                    i++;
+                }
+            }
+            while(/\s/.test(sql.charAt(i))){
+                i++;
+            }
+        };
+
+        skipName();
+        while(sql.charAt(i) === "."){
+            i++;
+            while(/\s/.test(sql.charAt(i))){
+                i++;
+            }
+            skipName();
         }
-        return value;
+        return trimWhitespace(sql.substring(i));
     }
 
     /**
-     * Unescapes the given value if it's escaped with back-ticks: `value` => value.
-     * @param {string} value - unescaped value
-     * @return {string} escaped value
+     * Groups the schema objects listed in sqlite_master by type, excluding reserved objects and those without SQL (e.g. automatic indexes),
+     * and those of tables not included by the <code>tables</code> and <code>excludeTables</code> options.
+     * Views are ordered so that each view follows any other views it depends on.
+     * @param {SQLResultSetRowList} rows - rows queried from sqlite_master with <code>type</code>, <code>name</code>, <code>tbl_name</code> and <code>sql</code> columns
+     * @param {object} opts - options which may contain <code>tables</code> and <code>excludeTables</code> lists, as for isTableIncluded()
+     * @return {object} object with <code>tables</code>, <code>indexes</code>, <code>views</code> and <code>triggers</code> properties,
+     * each a list of objects with <code>name</code>, <code>table</code> (the table the object belongs to) and <code>sql</code> properties
      */
-    function sqlUnescape(value){
-        var matchesEscaped = value.match(/`([^`]+)`/);
-        if(matchesEscaped){
-            value = matchesEscaped[1];
+    function getSchemaObjects(rows, opts){
+        var schema = {tables: [], indexes: [], views: [], triggers: []},
+            types = {table: "tables", index: "indexes", view: "views", trigger: "triggers"};
+        for (var i = 0; i < rows.length; i++) {
+            var row = rows.item(i);
+            if (row.sql != null && types.hasOwnProperty(row.type) && !isReservedTable(row.name, opts, row.tbl_name) && isTableIncluded(row.tbl_name, opts)) {
+                schema[types[row.type]].push({
+                    name: row.name,
+                    table: row.tbl_name,
+                    sql: row.sql.replace(/[^\S\r\n]/g," ")
+                });
+            }
         }
-        return value;
+        schema.views = sortViews(schema.views);
+        return schema;
+    }
+
+    /**
+     * Orders a list of views so that each view follows any other views it references, so they can be created in that order.
+     * @param {array} views - list of objects with <code>name</code> and <code>sql</code> properties
+     * @return {array} sorted list of views
+     */
+    function sortViews(views){
+        var byName = {}, visited = {}, sorted = [], i;
+
+        var visit = function (view) {
+            var key = view.name.toLowerCase();
+            if(visited[key]) return;
+            visited[key] = true;
+            var names = getReferencedNames(view.sql);
+            for (var j = 0; j < names.length; j++) {
+                if(byName.hasOwnProperty(names[j])){
+                    visit(byName[names[j]]);
+                }
+            }
+            sorted.push(view);
+        };
+
+        for (i = 0; i < views.length; i++) {
+            byName[views[i].name.toLowerCase()] = views[i];
+        }
+        for (i = 0; i < views.length; i++) {
+            visit(views[i]);
+        }
+        return sorted;
+    }
+
+    /**
+     * Lists the (lower-cased) names which may be referenced by a SQL statement, i.e. its unquoted words and unquoted identifiers.
+     * @param {string} sql - SQL statement
+     * @return {array} list of names
+     */
+    function getReferencedNames(sql){
+        var names = [];
+        scanSql(sql, function(type, text){
+            if(type === "word" || type === "identifier"){
+                names.push(sqlUnescape(text).toLowerCase());
+            }
+        });
+        return names;
     }
 
     /**
@@ -664,29 +5599,41 @@
     }
 
     /**
-     * Indicates if given table name is a reserved SQLite meta-table.
-     * @param {string} tableName - name of table to check
-     * @return {boolean} true if table is a reserved SQLite table
+     * Indicates if given table name is a reserved SQLite (or WebSQL) meta-table, or the table (or one of the triggers) in which deletions are logged by enableDeleteTracking().
+     * The deletion log is only treated as user data if it is named explicitly in the <code>tables</code> option.
+     * @param {string} tableName - name of table (or other schema object) to check
+     * @param {object} opts - optional options which may contain a <code>tables</code> list
+     * @param {string} ownerName - optional name of the table the schema object belongs to
+     * @return {boolean} true if table is a reserved table
      */
-    function isReservedTable(tableName){
-        return !!tableName.match(/^sqlite_/);
+    function isReservedTable(tableName, opts, ownerName){
+        if(tableName.match(/^sqlite_|^__WebKitDatabaseInfoTable__$/)){
+            return true;
+        }
+        var isDeleteLog = tableName === DELETE_LOG_TABLE;
+        for(var i = 0; i < DELETE_LOG_EVENTS.length && ownerName && !isDeleteLog; i++){
+            isDeleteLog = tableName === getDeleteLogTriggerName(DELETE_LOG_EVENTS[i], ownerName);
+        }
+        if(isDeleteLog){
+            return !(opts && opts.tables && opts.tables.indexOf(DELETE_LOG_TABLE) !== -1);
+        }
+        return false;
     }
 
     /**
-     * Strip out comments
-     * @param {string} sql - Raw SQL query
-     * @return {string} Uncommented SQL query
+     * Starts a read-only transaction using the database's <code>readTransaction()</code> method if it has one,
+     * so that it does not take the write lock, or otherwise a transaction using its <code>transaction()</code> method.
+     * @param {Database} db - open SQLite database
+     * @param {function} callback - function to call with the transaction
+     * @param {function} errorCallback - function to call with the error if the transaction fails
+     * @param {function} successCallback - function to call once the transaction is complete
      */
-    function removeComments (sql) {
-        sql = sql.replace(/("(""|[^"])*")|('(''|[^'])*')|(--[^\n\r]*)|(\/\*[\w\W]*?(?=\*\/)\*\/)/gm, function(match){
-            if (
-                (match[0] === '"' && match[match.length - 1] === '"')
-                || (match[0] === "'" && match[match.length - 1] === "'")
-            ) return match;
-            return '';
-        });
-
-        return sql;
+    function readTransaction(db, callback, errorCallback, successCallback){
+        if(typeof(db.readTransaction) === "function"){
+            db.readTransaction(callback, errorCallback, successCallback);
+        }else{
+            db.transaction(callback, errorCallback, successCallback);
+        }
     }
 
     /**
@@ -697,8 +5644,11 @@
      */
     function isValidDB(db, opts){
         if(!db || typeof db.transaction !== "function"){
-            var errorMsg = "'db' argument must provide a valid SQLite database instance";
-            if(opts && opts.onError){
+            var errorMsg = "'db' argument must provide a valid SQLite database instance, or be created from an adapter using createAdapter()";
+            if(opts && opts.errorFn){
+                opts.errorFn(new Error(errorMsg));
+                return false;
+            }else if(opts && opts.onError){
                 opts.onError(errorMsg);
                 return false;
             }else{
@@ -709,21 +5659,489 @@
     }
 
     /**
-     * Creates a SQL statement fragment to filter by specified tables
-     * @param {array} tables - list of table names to filter by
-     * @return {string}
+     * Executes a WebSQL-style transaction using an adapter created by createAdapter().
+     * Statements are executed in the order they are queued by the transaction callback and the callbacks of previous statements.
+     * If a statement fails and its error callback does not return false, or a callback throws an error, the transaction is rolled back.
+     * @param {object} adapter - adapter to execute the transaction with
+     * @param {function} callback - transaction callback, called with a transaction object with an <code>executeSql(sql, params, successFn, errorFn)</code> method
+     * @param {function} errorFn - function to call with the error if the transaction is rolled back
+     * @param {function} successFn - function to call once the transaction has been committed
+     */
+    function runAdapterTransaction(adapter, callback, errorFn, successFn){
+        var statements = [], failure = null;
+        var tx = {
+            executeSql: function(sql, params, successFn, errorFn){
+                statements.push({sql: sql, params: params, successFn: successFn, errorFn: errorFn});
+            }
+        };
+
+        var rollback = function(error){
+            var report = function(){
+                errorFn(error);
+            };
+            // The transaction may already have been rolled back by SQLite, e.g. by RAISE(ROLLBACK), so errors rolling back are ignored
+            controlAdapterTransaction(adapter, "rollback", report, report);
+        };
+
+        // Statements are executed in a loop rather than recursively, since the callbacks of synchronous drivers are called before they return
+        var run = function(){
+            while(true){
+                if(failure){
+                    rollback(failure);
+                    return;
+                }
+                if(statements.length === 0){
+                    controlAdapterTransaction(adapter, "commit", successFn, rollback);
+                    return;
+                }
+                var statement = statements.shift(), returned = false, completed = false;
+                var complete = function(){
+                    completed = true;
+                    if(returned) run();
+                };
+                executeAdapterStatement(adapter, statement.sql, statement.params, function(resultSet){
+                    try{
+                        if(statement.successFn) statement.successFn(tx, resultSet);
+                    }catch(e){
+                        failure = e;
+                    }
+                    complete();
+                }, function(error){
+                    try{
+                        if(!statement.errorFn || statement.errorFn(tx, error) !== false){
+                            failure = error;
+                        }
+                    }catch(e){
+                        failure = e;
+                    }
+                    complete();
+                });
+                returned = true;
+                if(!completed) return;
+            }
+        };
+
+        controlAdapterTransaction(adapter, "begin", function(){
+            try{
+                callback(tx);
+            }catch(e){
+                failure = e;
+            }
+            run();
+        }, errorFn);
+    }
+
+    /**
+     * Begins, commits or rolls back a transaction using an adapter, using its own method for it if it has one, otherwise by executing the equivalent statement.
+     * @param {object} adapter - adapter to use
+     * @param {string} action - "begin", "commit" or "rollback"
+     * @param {function} successFn - function to call once the action is complete
+     * @param {function} errorFn - function to call with the error if the action fails
+     */
+    function controlAdapterTransaction(adapter, action, successFn, errorFn){
+        if(typeof adapter[action] === "function"){
+            adapter[action](function(){
+                successFn();
+            }, errorFn);
+        }else{
+            executeAdapterStatement(adapter, action.toUpperCase(), [], function(){
+                successFn();
+            }, errorFn);
+        }
+    }
+
+    /**
+     * Executes a statement using an adapter, using its <code>query</code> method if the statement returns rows and its <code>execute</code> method otherwise.
+     * @param {object} adapter - adapter to use
+     * @param {string} sql - SQL statement to execute
+     * @param {array} params - values to bind to the statement. Booleans are bound as 1 or 0, and undefined values as NULL.
+     * @param {function} successFn - function to call with a WebSQL-style result set, with <code>rows</code>, <code>rowsAffected</code> and <code>insertId</code> properties
+     * @param {function} errorFn - function to call with the error if the statement fails
+     */
+    function executeAdapterStatement(adapter, sql, params, successFn, errorFn){
+        var values = [], called = false;
+        for(var i = 0; params && i < params.length; i++){
+            values.push(params[i] === undefined ? null : typeof(params[i]) === "boolean" ? (params[i] ? 1 : 0) : params[i]);
+        }
+        var once = function(fn){
+            return function(result){
+                if(called) return;
+                called = true;
+                fn(result);
+            };
+        };
+        var onSuccess = once(function(result){
+            var rows = Array.isArray(result) ? result : [];
+            successFn({
+                rows: {
+                    length: rows.length,
+                    item: function(i){
+                        return rows[i];
+                    }
+                },
+                rowsAffected: Array.isArray(result) ? 0 : (result && result.rowsAffected) || 0,
+                insertId: Array.isArray(result) ? undefined : result && result.insertId
+            });
+        }), onError = once(errorFn);
+
+        try{
+            if(sql.match(/^\s*(SELECT|PRAGMA|WITH|VALUES|EXPLAIN)\b/i)){
+                adapter.query(sql, values, onSuccess, onError);
+            }else{
+                adapter.execute(sql, values, onSuccess, onError);
+            }
+        }catch(e){
+            onError(e);
+        }
+    }
+
+    /**
+     * Calls a function asynchronously, as soon as possible.
+     * @param {function} fn - function to call
+     */
+    function defer(fn){
+        if(typeof Promise !== "undefined"){
+            Promise.resolve().then(fn);
+        }else{
+            setTimeout(fn, 0);
+        }
+    }
+
+    /**
+     * Prepares the callbacks of an operation's options.
+     * If neither successFn nor errorFn are specified and Promises are supported, creates a Promise which is settled by the callbacks.
+     * Ensures errorFn is only invoked once, since a failed statement also fails its enclosing transaction.
+     * Also sets up the cancellation of the operation, via the <code>cancel()</code> method of the returned handle or the <code>signal</code> option (an AbortSignal).
+     * A cancelled operation is reported by calling the cancelFn callback with no arguments if specified, or otherwise via errorFn (or by rejecting the Promise)
+     * with an error whose <code>name</code> is "AbortError"; see handleCancel().
+     * @param {object} opts - options object for the operation; modified in place
+     * @param {function} resolveWith - optional function which maps the arguments passed to successFn to the value with which to resolve the Promise. Defaults to the first argument.
+     * @return {Promise/object} the created Promise, or an object if callbacks are being used, with a <code>cancel()</code> method which cancels the operation
+     */
+    function initCallbacks(opts, resolveWith){
+        var promise;
+        if(!opts.successFn && !opts.errorFn && typeof Promise !== "undefined"){
+            promise = new Promise(function(resolve, reject){
+                opts.successFn = function(){
+                    resolve(resolveWith ? resolveWith.apply(null, arguments) : arguments[0]);
+                };
+                opts.errorFn = reject;
+            });
+        }
+        if(opts.errorFn){
+            var errorFn = opts.errorFn, errored = false;
+            opts.errorFn = function(error){
+                if(errored) return;
+                errored = true;
+                errorFn(error);
+            };
+        }
+
+        // Operations which call other operations with the same options share their cancellation state
+        var handle = promise || {}, cancellation = opts.cancellation;
+        if(!cancellation){
+            cancellation = opts.cancellation = {cancelled: false};
+            if(opts.signal){
+                if(opts.signal.aborted){
+                    cancellation.cancelled = true;
+                }else{
+                    opts.signal.addEventListener("abort", function(){
+                        cancellation.cancelled = true;
+                    });
+                }
+            }
+        }
+        handle.cancel = function(){
+            cancellation.cancelled = true;
+        };
+        return handle;
+    }
+
+    /**
+     * Determines whether an operation has been cancelled.
+     * @param {object} opts - options object for the operation, as prepared by initCallbacks()
+     * @return {boolean} true if the operation has been cancelled
+     */
+    function isCancelled(opts){
+        return !!(opts.cancellation && opts.cancellation.cancelled);
+    }
+
+    /**
+     * Reports that an operation was cancelled via the cancel callback (if it exists) or otherwise as an error with the name "AbortError".
+     * @param {object} opts - options object which may contain cancel and error callbacks
+     */
+    function handleCancel(opts){
+        if(opts.cancelFn){
+            opts.cancelFn();
+            return;
+        }
+        var error = new Error("Operation cancelled");
+        error.name = "AbortError";
+        error.cancelled = true;
+        handleError(opts, error);
+    }
+
+    /**
+     * Reports an error via the error callback (if it exists) or otherwise logs it to the console.
+     * @param {object} opts - options object which may contain an error callback
+     * @param {object} error - object representing the error
+     */
+    function handleError(opts, error){
+        if(opts.errorFn){
+            opts.errorFn(error);
+        }else{
+            console.error(error.message);
+        }
+    }
+
+    /**
+     * Reports an error resulting from a query made against the database.
+     * @param {object} opts - options object which may contain an error callback
+     * @param {object} error - object representing the error
+     * @param {string} statement - SQL statement which caused the error
+     */
+    function handleQueryError(opts, error, statement){
+        error.message = "Failed to query database; message="+ error.message;
+        error.statement = statement;
+        handleError(opts, error);
+    }
+
+    /**
+     * Validates a JSON structure using validateJson(), throwing an error if it is invalid.
+     * @param {object} json - JSON structure to validate
+     * @throws {Error} if the JSON structure is invalid, with a <code>problems</code> property listing the problems found
+     */
+    function assertValidJson(json){
+        var problems = sqlitePorter.validateJson(json);
+        if(problems.length > 0){
+            var error = new Error("invalid JSON structure; " + problems.length + " problem(s) found, e.g. " + (problems[0].path || "JSON structure") + " " + problems[0].message);
+            error.problems = problems;
+            throw error;
+        }
+    }
+
+    /**
+     * Validates that a value in a JSON structure is an object, and validates each of its properties.
+     * @param {any} value - value to validate
+     * @param {string} path - path to the value
+     * @param {array} keys - names of the properties the object may contain, or null to allow any
+     * @param {function} problem - function to call with the path and description of each problem found
+     * @param {function} propertyFn - function to call to validate each property, with its value, path and name
+     */
+    function validateObject(value, path, keys, problem, propertyFn){
+        if(!isObject(value)){
+            problem(path, "must be an object");
+            return;
+        }
+        for(var key in value){
+            if(!value.hasOwnProperty(key)) continue;
+            var keyPath = appendJsonPath(path, key);
+            if(keys && keys.indexOf(key) === -1){
+                problem(keyPath, "is not a recognised property; expected one of: " + keys.join(", "));
+                continue;
+            }
+            propertyFn(value[key], keyPath, key);
+        }
+    }
+
+    /**
+     * Validates a row of a JSON structure, i.e. an object mapping field names to values.
+     * @param {any} row - row to validate
+     * @param {string} path - path to the row
+     * @param {boolean} typed - true if the JSON structure uses the typed format, in which BLOB values are represented by <code>{"$blob": base64}</code> objects
+     * @param {function} problem - function to call with the path and description of each problem found
+     */
+    function validateRow(row, path, typed, problem){
+        validateObject(row, path, null, problem, function(value, path){
+            validateValue(value, path, typed, problem);
+        });
+    }
+
+    /**
+     * Validates a field value of a JSON structure.
+     * @param {any} value - value to validate
+     * @param {string} path - path to the value
+     * @param {boolean} typed - true if the JSON structure uses the typed format, in which BLOB values are represented by <code>{"$blob": base64}</code> objects
+     * and large integers by <code>{"$int": decimal}</code> objects
+     * @param {function} problem - function to call with the path and description of each problem found
+     */
+    function validateValue(value, path, typed, problem){
+        if(value === null || typeof(value) === "string" || typeof(value) === "boolean"){
+            return;
+        }
+        if(typeof(value) === "number"){
+            if(!isFinite(value)) problem(path, "must be a finite number");
+            return;
+        }
+        if(isObject(value) && value.hasOwnProperty("$blob")){
+            if(!typed){
+                problem(path, "is a BLOB value, which requires formatVersion " + TYPED_JSON_FORMAT_VERSION);
+            }else if(typeof(value["$blob"]) !== "string" || !value["$blob"].match(/^([A-Za-z0-9+\/]{4})*([A-Za-z0-9+\/]{2}==|[A-Za-z0-9+\/]{3}=)?$/)){
+                problem(path + ".$blob", "must be a base64-encoded string");
+            }else if(Object.keys(value).length > 1){
+                problem(path, "must only contain the $blob property");
+            }
+            return;
+        }
+        if(isObject(value) && value.hasOwnProperty("$int")){
+            if(!typed){
+                problem(path, "is a large integer value, which requires formatVersion " + TYPED_JSON_FORMAT_VERSION);
+            }else if(typeof(value["$int"]) !== "string" || !value["$int"].match(/^-?\d+$/)){
+                problem(path + ".$int", "must be a string of decimal digits");
+            }else if(Object.keys(value).length > 1){
+                problem(path, "must only contain the $int property");
+            }
+            return;
+        }
+        problem(path, "must be a string, number, boolean or null" + (typed ? ", or a {\"$blob\": base64} or {\"$int\": decimal} object" : ""));
+    }
+
+    /**
+     * Appends a property name to a JSON path, using dot notation if the name is a valid identifier and bracket notation otherwise.
+     * @param {string} path - JSON path, e.g. <code>data.inserts</code>
+     * @param {string} key - property name, e.g. <code>users</code>
+     * @return {string} JSON path of the property, e.g. <code>data.inserts.users</code>
+     */
+    function appendJsonPath(path, key){
+        if(key.match(/^[A-Za-z_$][A-Za-z0-9_$]*$/)){
+            return path ? path + "." + key : key;
+        }
+        return path + "[" + JSON.stringify(key) + "]";
+    }
+
+    /**
+     * Determines if a value is a plain object, rather than an array, null or a primitive value.
+     * @param {any} value - value to check
+     * @return {boolean} true if the value is an object
+     */
+    function isObject(value){
+        return value !== null && typeof(value) === "object" && !Array.isArray(value);
+    }
+
+    /**
+     * Parses CSV, as defined by RFC 4180, into records. Records may be separated by CRLF, LF or CR line breaks, and a leading byte order mark is ignored.
+     * @param {string} csv - CSV to parse
+     * @param {string} delimiter - field delimiter
+     * @param {string} emptyValue - value of empty unquoted fields
+     * @return {array} list of records, each a list of field values
+     * @throws {Error} if a quoted field is not terminated
      */
-    function createFilters(tables){
-        var filters = "";
-        if(!tables || tables.length === 0) return filters;
+    function parseCsv(csv, delimiter, emptyValue){
+        var records = [], record = [], field = "", quoted = false, inQuotes = false, i = 0;
+        csv = csv.replace(/^\uFEFF/, "");
 
-        var names = "";
-        for (var i = 0; i < tables.length; i++) {
-            names += ",'"+tables[i]+"'"
+        var endField = function () {
+            record.push(field === "" && !quoted ? emptyValue : field);
+            field = "";
+            quoted = false;
+        };
+        var endRecord = function () {
+            endField();
+            records.push(record);
+            record = [];
+        };
+
+        while(i < csv.length){
+            var c = csv.charAt(i);
+            if(inQuotes){
+                if(c === '"'){
+                    if(csv.charAt(i + 1) === '"'){
+                        field += c;
+                        i++;
+                    }else{
+                        inQuotes = false;
+                    }
+                }else{
+                    field += c;
+                }
+            }else if(c === '"' && field === "" && !quoted){
+                inQuotes = quoted = true;
+            }else if(csv.substring(i, i + delimiter.length) === delimiter){
+                endField();
+                i += delimiter.length - 1;
+            }else if(c === "\r" || c === "\n"){
+                endRecord();
+                if(c === "\r" && csv.charAt(i + 1) === "\n"){
+                    i++;
+                }
+            }else{
+                field += c;
+            }
+            i++;
+        }
+        if(inQuotes){
+            throw new Error("unterminated quoted field in row " + (records.length + 1));
+        }
+        if(field !== "" || quoted || record.length > 0){
+            endRecord();
+        }
+        return records;
+    }
+
+    /**
+     * Formats a list of values as a CSV record, as defined by RFC 4180.
+     * @param {array} values - values to format, which may be strings, numbers, null, <code>{"$blob": base64}</code> or <code>{"$int": decimal}</code> objects
+     * @param {string} delimiter - field delimiter
+     * @return {string} CSV record, without a line separator
+     */
+    function formatCsvRecord(values, delimiter){
+        var fields = [];
+        for (var i = 0; i < values.length; i++) {
+            var value = values[i];
+            if(value === null || value === undefined){
+                fields.push("");
+                continue;
+            }
+            if(typeof(value) === "object" && value.hasOwnProperty("$blob")){
+                value = value["$blob"];
+            }else if(isIntValue(value)){
+                value = value["$int"];
+            }
+            value = value + "";
+            if(value === "" || value.indexOf(delimiter) !== -1 || value.match(/["\r\n]/)){
+                value = '"' + value.replace(/"/g, '""') + '"';
+            }
+            fields.push(value);
+        }
+        return fields.join(delimiter);
+    }
+
+    /**
+     * Determines whether a table is included by the <code>tables</code> and <code>excludeTables</code> options.
+     * @param {string} tableName - name of the table
+     * @param {object} opts - options which may contain lists of table names or patterns:
+     * <ul>
+     *  <li>{array} tables - if specified, only tables matching one of these are included</li>
+     *  <li>{array} excludeTables - tables matching one of these are excluded</li>
+     * </ul>
+     * @return {boolean} true if the table is included
+     */
+    function isTableIncluded(tableName, opts){
+        if(opts.tables && opts.tables.length > 0 && !matchesTable(tableName, opts.tables)){
+            return false;
+        }
+        return !(opts.excludeTables && matchesTable(tableName, opts.excludeTables));
+    }
+
+    /**
+     * Determines whether a table name matches any of a list of names or patterns.
+     * @param {string} tableName - name of the table
+     * @param {array} patterns - list of table names, glob patterns (strings containing <code>*</code> or <code>?</code>) or RegExp objects
+     * @return {boolean} true if the table name matches one of the patterns
+     */
+    function matchesTable(tableName, patterns){
+        for (var i = 0; i < patterns.length; i++) {
+            var pattern = patterns[i];
+            if(pattern instanceof RegExp){
+                if(pattern.test(tableName)) return true;
+            }else if(pattern.match(/[*?]/)){
+                var regExp = "^" + pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$";
+                if(new RegExp(regExp).test(tableName)) return true;
+            }else if(pattern === tableName){
+                return true;
+            }
         }
-        names = names.substring(1);
-        filters = "tbl_name IN (" + names  +" ) ";
-        return filters;
+        return false;
     }
 
     module.exports = sqlitePorter;